@@ -23,10 +23,40 @@ const options = {
         name: 'Inventory',
         description: 'Inventory management endpoints',
       },
+      {
+        name: 'Import Profiles',
+        description: 'CSV column mapping, delimiter and format profiles',
+      },
       {
         name: 'Store',
         description: 'Store management and reporting endpoints',
       },
+      {
+        name: 'Reports',
+        description: 'Reports covering several stores',
+      },
+      {
+        name: 'Report Templates',
+        description:
+          'Saved store report layouts: sections, row counts and filters',
+      },
+      {
+        name: 'Authors',
+        description: 'Author management endpoints',
+      },
+      {
+        name: 'Books',
+        description: 'Book management endpoints',
+      },
+      {
+        name: 'Transfers',
+        description: 'Stock transfers between stores',
+      },
+      {
+        name: 'Search',
+        description:
+          'Full-text and fuzzy search across books, authors and stores',
+      },
     ],
     components: {
       schemas: {
@@ -61,6 +91,35 @@ const options = {
               type: 'string',
               format: 'date-time',
             },
+            deleted_at: {
+              type: 'string',
+              format: 'date-time',
+              nullable: true,
+              description: 'Set while the store is deleted',
+            },
+          },
+        },
+        StoreInput: {
+          type: 'object',
+          required: ['name'],
+          properties: {
+            name: {
+              type: 'string',
+              maxLength: 255,
+              example: 'BookWorld',
+            },
+            address: {
+              type: 'string',
+              maxLength: 500,
+              nullable: true,
+              example: '123 Main St',
+            },
+            logo: {
+              type: 'string',
+              nullable: true,
+              description: 'Logo URL or base64 encoded image',
+              example: 'https://example.com/logo.png',
+            },
           },
         },
         Author: {
@@ -76,6 +135,25 @@ const options = {
               description: 'Author name',
               example: 'F. Scott Fitzgerald',
             },
+            created_at: {
+              type: 'string',
+              format: 'date-time',
+            },
+            updated_at: {
+              type: 'string',
+              format: 'date-time',
+            },
+          },
+        },
+        AuthorInput: {
+          type: 'object',
+          required: ['name'],
+          properties: {
+            name: {
+              type: 'string',
+              maxLength: 255,
+              example: 'F. Scott Fitzgerald',
+            },
           },
         },
         Book: {
@@ -101,6 +179,467 @@ const options = {
               description: 'Author ID',
               example: 1,
             },
+            isbn: {
+              type: 'string',
+              nullable: true,
+              description: 'ISBN-13 (ISBN-10s are converted)',
+              example: '9780743273565',
+            },
+            publisher: {
+              type: 'string',
+              nullable: true,
+              example: 'Scribner',
+            },
+            publication_year: {
+              type: 'integer',
+              nullable: true,
+              example: 2004,
+            },
+            language: {
+              type: 'string',
+              nullable: true,
+              description: 'BCP 47 language tag',
+              example: 'en',
+            },
+            genre: {
+              type: 'string',
+              nullable: true,
+              example: 'Fiction',
+            },
+            author: {
+              type: 'object',
+              description:
+                'First credited author; included when listing or fetching books',
+              properties: {
+                id: { type: 'integer', example: 1 },
+                name: { type: 'string', example: 'F. Scott Fitzgerald' },
+              },
+            },
+            authors: {
+              type: 'array',
+              description:
+                'Every credited author in order; included when listing or fetching books',
+              items: {
+                type: 'object',
+                properties: {
+                  id: { type: 'integer', example: 1 },
+                  name: { type: 'string', example: 'F. Scott Fitzgerald' },
+                  BookAuthor: {
+                    type: 'object',
+                    properties: {
+                      role: {
+                        type: 'string',
+                        enum: ['author', 'editor', 'translator'],
+                      },
+                      position: { type: 'integer', example: 0 },
+                    },
+                  },
+                },
+              },
+            },
+            created_at: {
+              type: 'string',
+              format: 'date-time',
+            },
+            updated_at: {
+              type: 'string',
+              format: 'date-time',
+            },
+          },
+        },
+        BookInput: {
+          type: 'object',
+          description: 'Either author_id or authors is required',
+          required: ['name'],
+          properties: {
+            name: {
+              type: 'string',
+              maxLength: 255,
+              example: 'The Great Gatsby',
+            },
+            pages: {
+              type: 'integer',
+              minimum: 1,
+              nullable: true,
+              example: 180,
+            },
+            author_id: {
+              type: 'integer',
+              minimum: 1,
+              description: 'First credited author; taken from authors if given',
+              example: 1,
+            },
+            authors: {
+              type: 'array',
+              description:
+                'Authors to credit, in order; replaces the current credits',
+              minItems: 1,
+              maxItems: 20,
+              items: {
+                type: 'object',
+                required: ['author_id'],
+                properties: {
+                  author_id: { type: 'integer', minimum: 1, example: 1 },
+                  role: {
+                    type: 'string',
+                    enum: ['author', 'editor', 'translator'],
+                    default: 'author',
+                  },
+                },
+              },
+            },
+            isbn: {
+              type: 'string',
+              nullable: true,
+              description:
+                'ISBN-10 or ISBN-13, hyphens and spaces allowed; stored as ISBN-13',
+              example: '0-7432-7356-7',
+            },
+            publisher: {
+              type: 'string',
+              maxLength: 255,
+              nullable: true,
+              example: 'Scribner',
+            },
+            publication_year: {
+              type: 'integer',
+              nullable: true,
+              example: 2004,
+            },
+            language: {
+              type: 'string',
+              nullable: true,
+              description: 'BCP 47 language tag, stored in canonical form',
+              example: 'en',
+            },
+            genre: {
+              type: 'string',
+              maxLength: 100,
+              nullable: true,
+              example: 'Fiction',
+            },
+          },
+        },
+        InventoryItem: {
+          type: 'object',
+          description: 'A book in a store, with its price and stock there',
+          properties: {
+            price: {
+              type: 'string',
+              description: 'Price at this store',
+              example: '12.99',
+            },
+            copies: {
+              type: 'integer',
+              description: 'Copies in stock',
+              example: 3,
+            },
+            sold_out: {
+              type: 'boolean',
+              example: false,
+            },
+            created_at: {
+              type: 'string',
+              format: 'date-time',
+            },
+            updated_at: {
+              type: 'string',
+              format: 'date-time',
+            },
+            book: {
+              type: 'object',
+              properties: {
+                id: { type: 'integer', example: 1 },
+                name: { type: 'string', example: 'The Great Gatsby' },
+                pages: { type: 'integer', nullable: true, example: 180 },
+                isbn: {
+                  type: 'string',
+                  nullable: true,
+                  example: '9780743273565',
+                },
+                publisher: { type: 'string', nullable: true },
+                publication_year: { type: 'integer', nullable: true },
+                language: { type: 'string', nullable: true, example: 'en' },
+                genre: { type: 'string', nullable: true, example: 'Fiction' },
+                author: {
+                  type: 'object',
+                  properties: {
+                    id: { type: 'integer', example: 1 },
+                    name: { type: 'string', example: 'F. Scott Fitzgerald' },
+                  },
+                },
+              },
+            },
+          },
+        },
+        StockMovement: {
+          type: 'object',
+          description: 'A sale or stock adjustment',
+          properties: {
+            id: { type: 'integer', example: 1 },
+            store_id: { type: 'integer', example: 1 },
+            book_id: { type: 'integer', example: 5 },
+            type: {
+              type: 'string',
+              enum: ['sale', 'return', 'damage', 'transfer-out', 'transfer-in'],
+            },
+            quantity: {
+              type: 'integer',
+              description:
+                'Change in copies; negative when stock left the store',
+              example: -2,
+            },
+            copies_after: {
+              type: 'integer',
+              description: 'Copies in stock after the movement',
+              example: 3,
+            },
+            unit_price: {
+              type: 'string',
+              description:
+                'Price per copy: the sale price for sales, else the shelf price',
+              example: '12.99',
+            },
+            note: { type: 'string', nullable: true },
+            transfer_id: {
+              type: 'integer',
+              nullable: true,
+              description: 'Transfer that made the movement',
+            },
+            created_at: { type: 'string', format: 'date-time' },
+            book: {
+              type: 'object',
+              description: 'Included when listing movements',
+              properties: {
+                id: { type: 'integer', example: 5 },
+                name: { type: 'string', example: 'The Great Gatsby' },
+              },
+            },
+          },
+        },
+        StockMovementResult: {
+          type: 'object',
+          properties: {
+            success: {
+              type: 'boolean',
+              example: true,
+            },
+            data: {
+              type: 'object',
+              properties: {
+                inventory: {
+                  type: 'object',
+                  description: 'The store inventory row after the movement',
+                  properties: {
+                    store_id: { type: 'integer', example: 1 },
+                    book_id: { type: 'integer', example: 5 },
+                    price: { type: 'string', example: '12.99' },
+                    copies: { type: 'integer', example: 3 },
+                    sold_out: { type: 'boolean', example: false },
+                  },
+                },
+                movement: { $ref: '#/components/schemas/StockMovement' },
+              },
+            },
+          },
+        },
+        Transfer: {
+          type: 'object',
+          properties: {
+            id: { type: 'integer', example: 1 },
+            from_store_id: { type: 'integer', example: 1 },
+            to_store_id: { type: 'integer', example: 2 },
+            status: {
+              type: 'string',
+              enum: ['pending', 'in-transit', 'received', 'cancelled'],
+            },
+            note: { type: 'string', nullable: true },
+            shipped_at: { type: 'string', format: 'date-time', nullable: true },
+            received_at: {
+              type: 'string',
+              format: 'date-time',
+              nullable: true,
+            },
+            cancelled_at: {
+              type: 'string',
+              format: 'date-time',
+              nullable: true,
+            },
+            created_at: { type: 'string', format: 'date-time' },
+            updated_at: { type: 'string', format: 'date-time' },
+            fromStore: {
+              type: 'object',
+              properties: {
+                id: { type: 'integer', example: 1 },
+                name: { type: 'string', example: 'BookWorld' },
+              },
+            },
+            toStore: {
+              type: 'object',
+              properties: {
+                id: { type: 'integer', example: 2 },
+                name: { type: 'string', example: 'Readers Corner' },
+              },
+            },
+            items: {
+              type: 'array',
+              description: 'Included when fetching a single transfer',
+              items: {
+                type: 'object',
+                properties: {
+                  book_id: { type: 'integer', example: 5 },
+                  quantity: { type: 'integer', example: 3 },
+                  price: {
+                    type: 'string',
+                    nullable: true,
+                    description: 'Price set at the destination, if overridden',
+                    example: '14.99',
+                  },
+                  source_price: {
+                    type: 'string',
+                    nullable: true,
+                    description: 'Price at the source when shipped',
+                    example: '12.99',
+                  },
+                  book: {
+                    type: 'object',
+                    properties: {
+                      id: { type: 'integer', example: 5 },
+                      name: { type: 'string', example: 'The Great Gatsby' },
+                    },
+                  },
+                },
+              },
+            },
+          },
+        },
+        TransferInput: {
+          type: 'object',
+          required: ['from_store_id', 'to_store_id', 'items'],
+          properties: {
+            from_store_id: { type: 'integer', minimum: 1, example: 1 },
+            to_store_id: { type: 'integer', minimum: 1, example: 2 },
+            items: {
+              type: 'array',
+              minItems: 1,
+              maxItems: 500,
+              items: {
+                type: 'object',
+                required: ['book_id', 'quantity'],
+                properties: {
+                  book_id: { type: 'integer', minimum: 1, example: 5 },
+                  quantity: { type: 'integer', minimum: 1, example: 3 },
+                  price: {
+                    type: 'number',
+                    minimum: 0,
+                    nullable: true,
+                    description:
+                      'Price at the destination; defaults to the source price for books new to it',
+                    example: 14.99,
+                  },
+                },
+              },
+            },
+            status: {
+              type: 'string',
+              enum: ['pending', 'in-transit', 'received'],
+              default: 'in-transit',
+            },
+            note: { type: 'string', maxLength: 500 },
+          },
+        },
+        SearchResult: {
+          type: 'object',
+          description:
+            'A book, author or store; fields beyond type, id, name and score depend on the type',
+          properties: {
+            type: {
+              type: 'string',
+              enum: ['book', 'author', 'store'],
+            },
+            id: { type: 'integer', example: 1 },
+            name: { type: 'string', example: 'The Great Gatsby' },
+            score: {
+              type: 'number',
+              description: 'Relevance; higher is better',
+              example: 1.0608,
+            },
+            pages: {
+              type: 'integer',
+              nullable: true,
+              description: 'Books only',
+            },
+            isbn: {
+              type: 'string',
+              nullable: true,
+              description: 'Books only',
+            },
+            author: {
+              type: 'object',
+              description: 'Books only',
+              properties: {
+                id: { type: 'integer', example: 1 },
+                name: { type: 'string', example: 'F. Scott Fitzgerald' },
+              },
+            },
+            stores: {
+              type: 'array',
+              description:
+                'Books only: stores stocking the book, cheapest first',
+              items: {
+                type: 'object',
+                properties: {
+                  id: { type: 'integer', example: 1 },
+                  name: { type: 'string', example: 'BookWorld' },
+                  price: { type: 'string', example: '12.99' },
+                  copies: { type: 'integer', example: 3 },
+                  sold_out: { type: 'boolean', example: false },
+                },
+              },
+            },
+            books: {
+              type: 'integer',
+              description: 'Authors only: number of books',
+            },
+            address: {
+              type: 'string',
+              nullable: true,
+              description: 'Stores only',
+            },
+          },
+        },
+        BookStore: {
+          type: 'object',
+          description:
+            'A store carrying a book, with its price and stock there',
+          properties: {
+            id: {
+              type: 'integer',
+              description: 'Store ID',
+              example: 1,
+            },
+            name: {
+              type: 'string',
+              example: 'BookWorld',
+            },
+            address: {
+              type: 'string',
+              example: '123 Main St',
+            },
+            price: {
+              type: 'string',
+              description: 'Price at this store',
+              example: '12.99',
+            },
+            copies: {
+              type: 'integer',
+              description: 'Copies in stock at this store',
+              example: 3,
+            },
+            sold_out: {
+              type: 'boolean',
+              example: false,
+            },
           },
         },
         UploadResult: {
@@ -122,6 +661,12 @@ const options = {
                   description: 'Number of rows processed',
                   example: 5,
                 },
+                failed: {
+                  type: 'integer',
+                  description:
+                    'Number of rows rejected; errors lists the first 100',
+                  example: 0,
+                },
                 created: {
                   type: 'object',
                   properties: {
@@ -144,6 +689,7 @@ const options = {
                     properties: {
                       row: { type: 'integer' },
                       data: { type: 'object' },
+                      code: { type: 'string', example: 'INVALID_PRICE' },
                       error: { type: 'string' },
                     },
                   },
@@ -152,6 +698,479 @@ const options = {
             },
           },
         },
+        ImportJob: {
+          type: 'object',
+          properties: {
+            id: {
+              type: 'integer',
+              description: 'Import job ID',
+              example: 1,
+            },
+            filename: {
+              type: 'string',
+              example: 'inventory.csv',
+            },
+            fileSize: {
+              type: 'integer',
+              description: 'Uploaded file size in bytes',
+              example: 52814,
+            },
+            checksum: {
+              type: 'string',
+              description: 'SHA-256 of the uploaded file',
+            },
+            idempotencyKey: {
+              type: 'string',
+              nullable: true,
+              description: 'Idempotency-Key header sent with the upload',
+            },
+            dryRun: {
+              type: 'boolean',
+              description: 'Preview only - no changes are committed',
+              example: false,
+            },
+            atomic: {
+              type: 'boolean',
+              description:
+                'All-or-nothing import - any row error rolls back the whole file',
+              example: false,
+            },
+            bulk: {
+              type: 'boolean',
+              description: 'Set-based batched ingestion',
+              example: false,
+            },
+            mergeStrategy: {
+              type: 'string',
+              enum: ['add', 'set', 'replace-store'],
+              description: 'How row copies combine with existing inventory',
+              example: 'add',
+            },
+            pricePolicy: {
+              type: 'string',
+              enum: ['latest', 'keep', 'max', 'min'],
+              description: 'Which price a book the store already stocks keeps',
+              example: 'latest',
+            },
+            format: {
+              type: 'string',
+              enum: ['csv', 'xlsx', 'json', 'ndjson'],
+              example: 'csv',
+            },
+            errorReport: {
+              type: 'string',
+              nullable: true,
+              description:
+                'Link to the CSV of rejected rows, if any rows were rejected',
+              example: '/api/inventory/imports/12/errors.csv',
+            },
+            preview: {
+              type: 'string',
+              nullable: true,
+              description:
+                'Link to every row of a dry run with its changes; null for other imports',
+              example: '/api/inventory/imports/12/preview',
+            },
+            sheet: {
+              type: 'string',
+              nullable: true,
+              description: 'XLSX worksheet imported; the first sheet if null',
+            },
+            profileId: {
+              type: 'integer',
+              nullable: true,
+              description: 'Import profile the file was parsed with',
+              example: 2,
+            },
+            parseOptions: {
+              type: 'object',
+              nullable: true,
+              description: 'Profile settings as of the upload',
+            },
+            status: {
+              type: 'string',
+              enum: ['queued', 'parsing', 'importing', 'done', 'failed'],
+              example: 'importing',
+            },
+            progress: {
+              type: 'object',
+              properties: {
+                totalRows: { type: 'integer', example: 1000 },
+                processedRows: { type: 'integer', example: 420 },
+                failedRows: { type: 'integer', example: 3 },
+                percent: { type: 'integer', example: 42 },
+              },
+            },
+            results: {
+              description:
+                'Final processing results, present once the job has finished. `errors` holds the first 100 rejected rows (`errorsTruncated` is set when there are more; download `errorReport` for all of them). Dry runs also include a per-row `preview` of the changes that would be made, kept for the first 100 rows (`previewTruncated` is set when there are more; page through `preview` for all of them).',
+              type: 'object',
+            },
+            error: {
+              type: 'string',
+              nullable: true,
+              description: 'Reason the job failed',
+            },
+            createdAt: {
+              type: 'string',
+              format: 'date-time',
+            },
+            startedAt: {
+              type: 'string',
+              format: 'date-time',
+              nullable: true,
+            },
+            finishedAt: {
+              type: 'string',
+              format: 'date-time',
+              nullable: true,
+            },
+            revertedAt: {
+              type: 'string',
+              format: 'date-time',
+              nullable: true,
+            },
+          },
+        },
+        ImportProfile: {
+          type: 'object',
+          properties: {
+            id: {
+              type: 'integer',
+              example: 2,
+            },
+            name: {
+              type: 'string',
+              example: 'acme-books',
+            },
+            description: {
+              type: 'string',
+              nullable: true,
+              example: 'Semicolon files from Acme Books',
+            },
+            headerAliases: {
+              type: 'object',
+              additionalProperties: {
+                type: 'array',
+                items: { type: 'string' },
+              },
+              example: {
+                book_name: ['Title'],
+                author_name: ['Writer'],
+                price: ['Retail Price'],
+              },
+            },
+            delimiter: {
+              type: 'string',
+              example: ';',
+            },
+            quote: {
+              type: 'string',
+              example: '"',
+            },
+            encoding: {
+              type: 'string',
+              example: 'windows-1252',
+            },
+            numberLocale: {
+              type: 'string',
+              nullable: true,
+              example: 'de-DE',
+            },
+            createdAt: {
+              type: 'string',
+              format: 'date-time',
+            },
+            updatedAt: {
+              type: 'string',
+              format: 'date-time',
+            },
+          },
+        },
+        ImportProfileInput: {
+          type: 'object',
+          properties: {
+            name: {
+              type: 'string',
+              description: 'Unique profile name (required on create)',
+              example: 'acme-books',
+            },
+            description: {
+              type: 'string',
+              nullable: true,
+            },
+            headerAliases: {
+              type: 'object',
+              description:
+                'Import field (store_name, store_address, book_name, pages, author_name, price, logo, copies) -> supplier header names',
+              additionalProperties: {
+                type: 'array',
+                items: { type: 'string' },
+              },
+            },
+            delimiter: {
+              type: 'string',
+              default: ',',
+            },
+            quote: {
+              type: 'string',
+              default: '"',
+            },
+            encoding: {
+              type: 'string',
+              default: 'utf-8',
+            },
+            numberLocale: {
+              type: 'string',
+              nullable: true,
+              description:
+                'Locale numbers are written in; null for plain 1234.56',
+            },
+          },
+        },
+        ReportFilters: {
+          type: 'object',
+          description:
+            'Narrow the inventory a report section looks at; all are optional',
+          properties: {
+            genre: {
+              type: 'string',
+              description: 'Genre, ignoring case',
+              example: 'Fantasy',
+            },
+            language: {
+              type: 'string',
+              description: 'BCP 47 language tag',
+              example: 'en',
+            },
+            authorId: {
+              type: 'integer',
+              description: 'Author credited on the book in any role',
+            },
+            minPrice: { type: 'number', minimum: 0 },
+            maxPrice: { type: 'number', minimum: 0, example: 20 },
+          },
+        },
+        InventoryStats: {
+          type: 'object',
+          properties: {
+            totalCopies: {
+              type: 'integer',
+              example: 342,
+            },
+            titles: {
+              type: 'integer',
+              description: 'Titles with copies in stock',
+              example: 57,
+            },
+            soldOutTitles: {
+              type: 'integer',
+              example: 4,
+            },
+            totalValue: {
+              type: 'number',
+              description: 'Sum of price × copies',
+              example: 6871.5,
+            },
+            averagePrice: {
+              type: 'number',
+              nullable: true,
+              description: 'Average price of the titles in stock',
+              example: 21.37,
+            },
+            medianPrice: {
+              type: 'number',
+              nullable: true,
+              description: 'Median price of the titles in stock',
+              example: 18.99,
+            },
+            priceDistribution: {
+              type: 'array',
+              description: 'Titles in stock by price, cheapest bucket first',
+              items: {
+                type: 'object',
+                properties: {
+                  min: { type: 'number', example: 10 },
+                  max: {
+                    type: 'number',
+                    nullable: true,
+                    description: 'Exclusive; null for the last bucket',
+                    example: 20,
+                  },
+                  label: { type: 'string', example: '$10 to $20' },
+                  titles: { type: 'integer', example: 21 },
+                  copies: { type: 'integer', example: 130 },
+                  value: { type: 'number', example: 1948.7 },
+                },
+              },
+            },
+            valueByAuthor: {
+              type: 'array',
+              description: 'Authors whose books in stock are worth the most',
+              items: {
+                type: 'object',
+                properties: {
+                  name: { type: 'string', example: 'Terry Pratchett' },
+                  bookCount: { type: 'integer', example: 6 },
+                  totalCopies: { type: 'integer', example: 41 },
+                  totalValue: { type: 'number', example: 612.59 },
+                },
+              },
+            },
+          },
+        },
+        ReportDefinition: {
+          type: 'object',
+          required: ['sections'],
+          properties: {
+            filters: {
+              $ref: '#/components/schemas/ReportFilters',
+            },
+            sections: {
+              type: 'array',
+              minItems: 1,
+              maxItems: 20,
+              items: {
+                type: 'object',
+                required: ['type'],
+                properties: {
+                  type: {
+                    type: 'string',
+                    enum: [
+                      'valuation',
+                      'priciest',
+                      'cheapest',
+                      'most-copies',
+                      'sold-out',
+                      'low-stock',
+                      'newest',
+                      'prolific-authors',
+                      'value-by-author',
+                    ],
+                  },
+                  title: {
+                    type: 'string',
+                    maxLength: 100,
+                    description: 'Heading to use instead of the default one',
+                  },
+                  limit: {
+                    type: 'integer',
+                    minimum: 1,
+                    maximum: 100,
+                    default: 5,
+                    description: 'Rows to list',
+                  },
+                  threshold: {
+                    type: 'integer',
+                    minimum: 1,
+                    default: 5,
+                    description:
+                      'low-stock only: most copies a book in stock can have to be listed',
+                  },
+                  filters: {
+                    $ref: '#/components/schemas/ReportFilters',
+                  },
+                },
+              },
+            },
+          },
+          example: {
+            filters: { genre: 'Fantasy' },
+            sections: [
+              { type: 'priciest', limit: 10 },
+              { type: 'low-stock', threshold: 3, filters: { maxPrice: 20 } },
+              { type: 'value-by-author', limit: 20 },
+            ],
+          },
+        },
+        ReportTemplate: {
+          type: 'object',
+          properties: {
+            id: {
+              type: 'integer',
+              example: 1,
+            },
+            name: {
+              type: 'string',
+              example: 'weekly-restock',
+            },
+            description: {
+              type: 'string',
+              nullable: true,
+              example: 'What to reorder on Mondays',
+            },
+            definition: {
+              $ref: '#/components/schemas/ReportDefinition',
+            },
+            createdAt: {
+              type: 'string',
+              format: 'date-time',
+            },
+            updatedAt: {
+              type: 'string',
+              format: 'date-time',
+            },
+          },
+        },
+        ReportTemplateInput: {
+          type: 'object',
+          properties: {
+            name: {
+              type: 'string',
+              description: 'Unique template name (required on create)',
+              example: 'weekly-restock',
+            },
+            description: {
+              type: 'string',
+              nullable: true,
+            },
+            definition: {
+              $ref: '#/components/schemas/ReportDefinition',
+            },
+          },
+        },
+        InventoryChange: {
+          type: 'object',
+          properties: {
+            id: { type: 'integer', example: 1 },
+            import_job_id: { type: 'integer', example: 3 },
+            store_id: { type: 'integer', example: 1 },
+            book_id: { type: 'integer', example: 7 },
+            copies_delta: {
+              type: 'integer',
+              description: 'Copies added by the import',
+              example: 1,
+            },
+            previous_price: {
+              type: 'number',
+              nullable: true,
+              description:
+                'Price before the change, null if the row was created',
+              example: 14.99,
+            },
+            new_price: { type: 'number', example: 15.99 },
+            previous_sold_out: { type: 'boolean', nullable: true },
+            created: {
+              type: 'boolean',
+              description: 'Whether the import created the inventory row',
+            },
+            store: { $ref: '#/components/schemas/Store' },
+            book: { $ref: '#/components/schemas/Book' },
+            created_at: { type: 'string', format: 'date-time' },
+          },
+        },
+        PreviewRow: {
+          type: 'object',
+          description:
+            'What a dry run found a row would change; `store`, `author` and `book` have an `action` of `create`, `update`, `restore` or `unchanged`',
+          properties: {
+            row: { type: 'integer', example: 2 },
+            store: { type: 'object' },
+            author: { type: 'object' },
+            book: { type: 'object' },
+            inventory: { type: 'object' },
+          },
+        },
         Error: {
           type: 'object',
           properties: {
@@ -0,0 +1,38 @@
+require('dotenv').config();
+
+const os = require('os');
+
+const maxFileSizeMb = parseInt(process.env.MAX_UPLOAD_SIZE_MB, 10) || 100;
+
+module.exports = {
+  // Uploaded files are streamed here and removed once imported
+  uploadDir: process.env.UPLOAD_DIR || os.tmpdir(),
+  maxFileSizeMb,
+  maxFileSize: maxFileSizeMb * 1024 * 1024,
+  // Validated rows sent from the parser worker per chunk
+  chunkSize: parseInt(process.env.CSV_CHUNK_SIZE, 10) || 1000,
+  // Import jobs a server runs at once; more wait in the queue. The database
+  // pool grows with it (see models/index.js)
+  concurrentJobs: parseInt(process.env.IMPORT_CONCURRENCY, 10) || 2,
+  // Accepted upload formats, detected by file extension and then mimetype
+  formats: {
+    csv: {
+      extensions: ['.csv'],
+      mimetypes: ['text/csv', 'application/csv'],
+    },
+    xlsx: {
+      extensions: ['.xlsx'],
+      mimetypes: [
+        'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet',
+      ],
+    },
+    json: {
+      extensions: ['.json'],
+      mimetypes: ['application/json'],
+    },
+    ndjson: {
+      extensions: ['.ndjson', '.jsonl'],
+      mimetypes: ['application/x-ndjson', 'application/ndjson'],
+    },
+  },
+};
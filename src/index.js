@@ -5,6 +5,7 @@ const swaggerUi = require('swagger-ui-express');
 const swaggerSpec = require('./config/swagger');
 const { sequelize } = require('./models');
 const routes = require('./routes');
+const importJobService = require('./services/importJobService');
 const { errorHandler, notFoundHandler } = require('./middleware/errorHandler');
 
 const app = express();
@@ -53,9 +54,42 @@ app.get('/', (req, res) => {
     endpoints: {
       health: 'GET /api/health',
       uploadInventory: 'POST /api/inventory/upload',
+      listImportJobs: 'GET /api/inventory/jobs',
+      getImportJob: 'GET /api/inventory/jobs/:id',
+      listImportChanges: 'GET /api/inventory/imports/:id/changes',
+      listImportPreview: 'GET /api/inventory/imports/:id/preview',
+      revertImport: 'POST /api/inventory/imports/:id/revert',
+      importErrorReport: 'GET /api/inventory/imports/:id/errors.csv',
+      importProfiles: 'GET|POST /api/inventory/profiles',
+      importProfile: 'GET|PUT|DELETE /api/inventory/profiles/:id',
       downloadStoreReport: 'GET /api/store/:id/download-report',
+      storeStats: 'GET /api/store/:id/stats',
+      consolidatedReport: 'GET /api/reports/consolidated',
+      reportTemplates: 'GET|POST /api/reports/templates',
+      reportTemplate: 'GET|PUT|DELETE /api/reports/templates/:id',
       getStore: 'GET /api/store/:id',
+      getStoreInventory: 'GET /api/store/:id/inventory',
+      exportStoreInventory: 'GET /api/store/:id/inventory/export',
+      sellBook: 'POST /api/store/:id/inventory/:bookId/sell',
+      adjustStock: 'POST /api/store/:id/inventory/:bookId/adjust',
+      stockMovements: 'GET /api/store/:id/movements',
       getAllStores: 'GET /api/store',
+      createStore: 'POST /api/store',
+      updateStore: 'PUT|PATCH /api/store/:id',
+      deleteStore: 'DELETE /api/store/:id',
+      restoreStore: 'POST /api/store/:id/restore',
+      authors: 'GET|POST /api/authors',
+      author: 'GET|PUT|DELETE /api/authors/:id',
+      authorBooks: 'GET /api/authors/:id/books',
+      books: 'GET|POST /api/books',
+      book: 'GET|PUT|PATCH|DELETE /api/books/:id',
+      bookStores: 'GET /api/books/:id/stores',
+      transfers: 'GET|POST /api/transfers',
+      transfer: 'GET /api/transfers/:id',
+      shipTransfer: 'POST /api/transfers/:id/ship',
+      receiveTransfer: 'POST /api/transfers/:id/receive',
+      cancelTransfer: 'POST /api/transfers/:id/cancel',
+      search: 'GET /api/search?q=',
     },
   });
 });
@@ -75,6 +109,18 @@ const startServer = async () => {
     await sequelize.sync({ alter: process.env.NODE_ENV === 'development' });
     console.log('✓ Database synchronized.');
 
+    // Jobs cut off by a previous shutdown cannot be resumed
+    const interrupted = await importJobService.failInterruptedJobs();
+    if (interrupted > 0) {
+      console.log(
+        `✓ Marked ${interrupted} interrupted import job(s) as failed.`
+      );
+    }
+
+    // Run queued imports in this process, outside any request
+    importJobService.startWorker();
+    console.log('✓ Import queue worker started.');
+
     // Start listening
     app.listen(PORT, () => {
       console.log(`✓ Server is running on http://localhost:${PORT}`);
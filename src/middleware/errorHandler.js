@@ -1,3 +1,5 @@
+const uploadConfig = require('../config/upload');
+
 /**
  * Global error handler middleware
  */
@@ -8,11 +10,11 @@ const errorHandler = (err, req, res, next) => {
   if (err.code === 'LIMIT_FILE_SIZE') {
     return res.status(400).json({
       success: false,
-      error: 'File size exceeds the maximum limit of 10MB.',
+      error: `File size exceeds the maximum limit of ${uploadConfig.maxFileSizeMb}MB.`,
     });
   }
 
-  if (err.message === 'Only CSV files are allowed') {
+  if (err.message === 'Only CSV, XLSX, JSON and NDJSON files are allowed') {
     return res.status(400).json({
       success: false,
       error: err.message,
@@ -60,10 +62,13 @@ const errorHandler = (err, req, res, next) => {
   const statusCode = err.statusCode || 500;
   const message = err.message || 'Internal server error';
 
+  // Errors raised with a 4xx status describe the request, so keep their message
   return res.status(statusCode).json({
     success: false,
     error:
-      process.env.NODE_ENV === 'production' ? 'An error occurred' : message,
+      process.env.NODE_ENV === 'production' && statusCode >= 500
+        ? 'An error occurred'
+        : message,
   });
 };
 
@@ -1,4 +1,9 @@
 const { DataTypes } = require('sequelize');
+const { nameKey } = require('../utils/names');
+
+// Full-text document for names (no stemming); search queries must use the
+// same expression for PostgreSQL to pick the GIN index
+const SEARCH_DOCUMENT = "to_tsvector('simple', name)";
 
 module.exports = (sequelize) => {
   const Author = sequelize.define(
@@ -12,12 +17,21 @@ module.exports = (sequelize) => {
       name: {
         type: DataTypes.STRING(255),
         allowNull: false,
+        set(value) {
+          this.setDataValue('name', value);
+          this.setDataValue('name_key', nameKey(value));
+        },
         validate: {
           notEmpty: {
             msg: 'Author name cannot be empty',
           },
         },
       },
+      // Folded name (see utils/names) matching differently written duplicates
+      name_key: {
+        type: DataTypes.STRING(255),
+        allowNull: true,
+      },
     },
     {
       tableName: 'authors',
@@ -29,9 +43,30 @@ module.exports = (sequelize) => {
           unique: true,
           fields: ['name'],
         },
+        {
+          fields: ['name_key'],
+        },
+        {
+          name: 'authors_name_search',
+          using: 'gin',
+          fields: [sequelize.literal(`(${SEARCH_DOCUMENT})`)],
+        },
+        {
+          name: 'authors_name_trgm',
+          using: 'gin',
+          fields: [{ name: 'name', operator: 'gin_trgm_ops' }],
+        },
       ],
     }
   );
 
+  Author.SEARCH_DOCUMENT = SEARCH_DOCUMENT;
+
+  // The name key is internal to matching and left out of API responses
+  Author.prototype.toJSON = function () {
+    const { name_key, ...values } = this.get({ plain: true });
+    return values;
+  };
+
   return Author;
 };
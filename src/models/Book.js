@@ -1,4 +1,14 @@
 const { DataTypes } = require('sequelize');
+const {
+  normalizeIsbn,
+  normalizeLanguage,
+  maxPublicationYear,
+  MIN_PUBLICATION_YEAR,
+} = require('../utils/bibliographic');
+
+// Full-text document for titles; search queries must use the same expression
+// for PostgreSQL to pick the GIN index
+const SEARCH_DOCUMENT = "to_tsvector('english', name)";
 
 module.exports = (sequelize) => {
   const Book = sequelize.define(
@@ -36,6 +46,72 @@ module.exports = (sequelize) => {
           key: 'id',
         },
       },
+      // ISBN-13; ISBN-10s are converted when set
+      isbn: {
+        type: DataTypes.STRING(13),
+        allowNull: true,
+        set(value) {
+          // Keep an invalid value as given so validation reports it
+          this.setDataValue(
+            'isbn',
+            value === null || value === undefined || value === ''
+              ? null
+              : normalizeIsbn(value) || String(value)
+          );
+        },
+        validate: {
+          // Custom validators also run for empty values
+          isIsbn(value) {
+            if (value === null || value === undefined) return;
+            if (normalizeIsbn(value) !== value) {
+              throw new Error(`Invalid ISBN: ${value}`);
+            }
+          },
+        },
+      },
+      publisher: {
+        type: DataTypes.STRING(255),
+        allowNull: true,
+      },
+      publication_year: {
+        type: DataTypes.INTEGER,
+        allowNull: true,
+        validate: {
+          isPlausibleYear(value) {
+            if (value === null || value === undefined) return;
+            if (value < MIN_PUBLICATION_YEAR || value > maxPublicationYear()) {
+              throw new Error(
+                `Publication year must be between ${MIN_PUBLICATION_YEAR} and ${maxPublicationYear()}`
+              );
+            }
+          },
+        },
+      },
+      // BCP 47 language tag, stored in canonical form (e.g. "en", "pt-BR")
+      language: {
+        type: DataTypes.STRING(35),
+        allowNull: true,
+        set(value) {
+          this.setDataValue(
+            'language',
+            value === null || value === undefined || value === ''
+              ? null
+              : normalizeLanguage(value) || String(value)
+          );
+        },
+        validate: {
+          isLanguageTag(value) {
+            if (value === null || value === undefined) return;
+            if (normalizeLanguage(value) !== value) {
+              throw new Error(`Invalid language tag: ${value}`);
+            }
+          },
+        },
+      },
+      genre: {
+        type: DataTypes.STRING(100),
+        allowNull: true,
+      },
     },
     {
       tableName: 'books',
@@ -44,12 +120,37 @@ module.exports = (sequelize) => {
       updatedAt: 'updated_at',
       indexes: [
         {
+          name: 'books_name_author',
+          fields: ['name', 'author_id'],
+        },
+        {
+          // Editions of a title are told apart by their ISBN, so only books
+          // without one must be unique per title and author
+          name: 'books_name_author_without_isbn',
           unique: true,
           fields: ['name', 'author_id'],
+          where: { isbn: null },
+        },
+        {
+          name: 'books_isbn',
+          unique: true,
+          fields: ['isbn'],
+        },
+        {
+          name: 'books_name_search',
+          using: 'gin',
+          fields: [sequelize.literal(`(${SEARCH_DOCUMENT})`)],
+        },
+        {
+          name: 'books_name_trgm',
+          using: 'gin',
+          fields: [{ name: 'name', operator: 'gin_trgm_ops' }],
         },
       ],
     }
   );
 
+  Book.SEARCH_DOCUMENT = SEARCH_DOCUMENT;
+
   return Book;
 };
@@ -0,0 +1,66 @@
+const { DataTypes } = require('sequelize');
+const { AUTHOR_ROLES } = require('../utils/bibliographic');
+
+module.exports = (sequelize) => {
+  const BookAuthor = sequelize.define(
+    'BookAuthor',
+    {
+      book_id: {
+        type: DataTypes.INTEGER,
+        primaryKey: true,
+        references: {
+          model: 'books',
+          key: 'id',
+        },
+        onDelete: 'CASCADE',
+      },
+      author_id: {
+        type: DataTypes.INTEGER,
+        primaryKey: true,
+        references: {
+          model: 'authors',
+          key: 'id',
+        },
+        onDelete: 'CASCADE',
+      },
+      role: {
+        type: DataTypes.STRING(20),
+        allowNull: false,
+        defaultValue: 'author',
+        validate: {
+          isIn: {
+            args: [AUTHOR_ROLES],
+            msg: `Role must be one of: ${AUTHOR_ROLES.join(', ')}`,
+          },
+        },
+      },
+      // Order the authors are credited in; the first is the book's author_id
+      position: {
+        type: DataTypes.INTEGER,
+        allowNull: false,
+        defaultValue: 0,
+        validate: {
+          min: {
+            args: [0],
+            msg: 'Position cannot be negative',
+          },
+        },
+      },
+    },
+    {
+      tableName: 'book_authors',
+      timestamps: true,
+      createdAt: 'created_at',
+      updatedAt: false,
+      indexes: [
+        {
+          fields: ['author_id'],
+        },
+      ],
+    }
+  );
+
+  BookAuthor.ROLES = AUTHOR_ROLES;
+
+  return BookAuthor;
+};
@@ -0,0 +1,194 @@
+const { DataTypes } = require('sequelize');
+
+const IMPORT_JOB_STATUSES = [
+  'queued',
+  'parsing',
+  'importing',
+  'done',
+  'failed',
+];
+
+// How a row's quantity combines with the copies a store already holds
+const MERGE_STRATEGIES = ['add', 'set', 'replace-store'];
+
+// Which price an already stocked book keeps
+const PRICE_POLICIES = ['latest', 'keep', 'max', 'min'];
+
+// File formats the parser worker can read
+const FILE_FORMATS = ['csv', 'xlsx', 'json', 'ndjson'];
+
+module.exports = (sequelize) => {
+  const ImportJob = sequelize.define(
+    'ImportJob',
+    {
+      id: {
+        type: DataTypes.INTEGER,
+        primaryKey: true,
+        autoIncrement: true,
+      },
+      filename: {
+        type: DataTypes.STRING(255),
+        allowNull: true,
+      },
+      file_size: {
+        type: DataTypes.INTEGER,
+        allowNull: true,
+        comment: 'Uploaded file size in bytes',
+      },
+      checksum: {
+        type: DataTypes.STRING(64),
+        allowNull: true,
+        comment: 'SHA-256 of the uploaded file',
+      },
+      idempotency_key: {
+        type: DataTypes.STRING(255),
+        allowNull: true,
+        comment: 'Idempotency-Key header sent with the upload',
+      },
+      file_path: {
+        type: DataTypes.STRING(1024),
+        allowNull: true,
+        comment: 'Uploaded file on disk while the job is pending',
+      },
+      dry_run: {
+        type: DataTypes.BOOLEAN,
+        allowNull: false,
+        defaultValue: false,
+        comment: 'Preview only - changes are rolled back',
+      },
+      atomic: {
+        type: DataTypes.BOOLEAN,
+        allowNull: false,
+        defaultValue: false,
+        comment: 'All-or-nothing - any row error rolls back the whole file',
+      },
+      bulk: {
+        type: DataTypes.BOOLEAN,
+        allowNull: false,
+        defaultValue: false,
+        comment: 'Set-based batched ingestion instead of per-row processing',
+      },
+      merge_strategy: {
+        type: DataTypes.STRING(20),
+        allowNull: false,
+        defaultValue: 'add',
+        validate: { isIn: [MERGE_STRATEGIES] },
+        comment: 'add, set or replace-store',
+      },
+      price_policy: {
+        type: DataTypes.STRING(20),
+        allowNull: false,
+        defaultValue: 'latest',
+        validate: { isIn: [PRICE_POLICIES] },
+        comment: 'latest, keep, max or min',
+      },
+      format: {
+        type: DataTypes.STRING(10),
+        allowNull: false,
+        defaultValue: 'csv',
+        validate: { isIn: [FILE_FORMATS] },
+      },
+      sheet: {
+        type: DataTypes.STRING(255),
+        allowNull: true,
+        comment: 'XLSX worksheet to import; the first sheet if null',
+      },
+      profile_id: {
+        type: DataTypes.INTEGER,
+        allowNull: true,
+        references: {
+          model: 'import_profiles',
+          key: 'id',
+        },
+        onDelete: 'SET NULL',
+      },
+      parse_options: {
+        type: DataTypes.JSONB,
+        allowNull: true,
+        comment:
+          'Profile settings (aliases, delimiter, encoding...) as of the upload',
+      },
+      status: {
+        type: DataTypes.ENUM(...IMPORT_JOB_STATUSES),
+        allowNull: false,
+        defaultValue: 'queued',
+      },
+      total_rows: {
+        type: DataTypes.INTEGER,
+        allowNull: false,
+        defaultValue: 0,
+      },
+      processed_rows: {
+        type: DataTypes.INTEGER,
+        allowNull: false,
+        defaultValue: 0,
+      },
+      failed_rows: {
+        type: DataTypes.INTEGER,
+        allowNull: false,
+        defaultValue: 0,
+      },
+      results: {
+        type: DataTypes.JSONB,
+        allowNull: true,
+        comment: 'Final processing results (counters and row errors)',
+      },
+      error: {
+        type: DataTypes.TEXT,
+        allowNull: true,
+        comment: 'Reason the job failed, if it did',
+      },
+      started_at: {
+        type: DataTypes.DATE,
+        allowNull: true,
+      },
+      worker_id: {
+        type: DataTypes.STRING(255),
+        allowNull: true,
+        comment: 'Server process running the job (host:pid:id)',
+      },
+      heartbeat_at: {
+        type: DataTypes.DATE,
+        allowNull: true,
+        comment: 'Last time the server running the job reported it alive',
+      },
+      finished_at: {
+        type: DataTypes.DATE,
+        allowNull: true,
+      },
+      reverted_at: {
+        type: DataTypes.DATE,
+        allowNull: true,
+        comment: 'When the import was reverted, if it was',
+      },
+    },
+    {
+      tableName: 'import_jobs',
+      timestamps: true,
+      createdAt: 'created_at',
+      updatedAt: 'updated_at',
+      indexes: [
+        {
+          fields: ['status'],
+        },
+        {
+          fields: ['checksum'],
+        },
+        {
+          // Dry runs may share a key with the import they preview
+          name: 'import_jobs_idempotency_key_not_dry_run',
+          unique: true,
+          fields: ['idempotency_key'],
+          where: { dry_run: false },
+        },
+      ],
+    }
+  );
+
+  ImportJob.STATUSES = IMPORT_JOB_STATUSES;
+  ImportJob.MERGE_STRATEGIES = MERGE_STRATEGIES;
+  ImportJob.PRICE_POLICIES = PRICE_POLICIES;
+  ImportJob.FORMATS = FILE_FORMATS;
+
+  return ImportJob;
+};
@@ -0,0 +1,45 @@
+const { DataTypes } = require('sequelize');
+
+module.exports = (sequelize) => {
+  const ImportPreviewRow = sequelize.define(
+    'ImportPreviewRow',
+    {
+      id: {
+        type: DataTypes.INTEGER,
+        primaryKey: true,
+        autoIncrement: true,
+      },
+      import_job_id: {
+        type: DataTypes.INTEGER,
+        allowNull: false,
+        references: {
+          model: 'import_jobs',
+          key: 'id',
+        },
+        onDelete: 'CASCADE',
+      },
+      row_number: {
+        type: DataTypes.INTEGER,
+        allowNull: false,
+      },
+      changes: {
+        type: DataTypes.JSON,
+        allowNull: false,
+        comment: 'What a dry run found the row would change',
+      },
+    },
+    {
+      tableName: 'import_preview_rows',
+      timestamps: true,
+      createdAt: 'created_at',
+      updatedAt: false,
+      indexes: [
+        {
+          fields: ['import_job_id', 'row_number'],
+        },
+      ],
+    }
+  );
+
+  return ImportPreviewRow;
+};
@@ -0,0 +1,148 @@
+const { DataTypes } = require('sequelize');
+
+// Columns an import understands; header aliases map supplier headers onto these
+const IMPORT_FIELDS = [
+  'store_name',
+  'store_address',
+  'book_name',
+  'pages',
+  'author_name',
+  'price',
+  'logo',
+  'copies',
+  'isbn',
+  'publisher',
+  'publication_year',
+  'language',
+  'genre',
+];
+
+module.exports = (sequelize) => {
+  const ImportProfile = sequelize.define(
+    'ImportProfile',
+    {
+      id: {
+        type: DataTypes.INTEGER,
+        primaryKey: true,
+        autoIncrement: true,
+      },
+      name: {
+        type: DataTypes.STRING(100),
+        allowNull: false,
+        validate: {
+          notEmpty: {
+            msg: 'Profile name cannot be empty',
+          },
+        },
+      },
+      description: {
+        type: DataTypes.TEXT,
+        allowNull: true,
+      },
+      header_aliases: {
+        type: DataTypes.JSONB,
+        allowNull: false,
+        defaultValue: {},
+        comment:
+          'Import field -> list of supplier headers, e.g. { "book_name": ["Title"] }',
+        validate: {
+          isAliasMap(value) {
+            if (!value || typeof value !== 'object' || Array.isArray(value)) {
+              throw new Error('Header aliases must be an object');
+            }
+            for (const [field, aliases] of Object.entries(value)) {
+              if (!IMPORT_FIELDS.includes(field)) {
+                throw new Error(
+                  `Unknown import field "${field}". Expected one of: ${IMPORT_FIELDS.join(
+                    ', '
+                  )}`
+                );
+              }
+              if (
+                !Array.isArray(aliases) ||
+                !aliases.every((a) => typeof a === 'string' && a.trim())
+              ) {
+                throw new Error(
+                  `Aliases for "${field}" must be a list of header names`
+                );
+              }
+            }
+          },
+        },
+      },
+      delimiter: {
+        type: DataTypes.STRING(1),
+        allowNull: false,
+        defaultValue: ',',
+        validate: {
+          len: {
+            args: [1, 1],
+            msg: 'Delimiter must be a single character',
+          },
+        },
+      },
+      quote: {
+        type: DataTypes.STRING(1),
+        allowNull: false,
+        defaultValue: '"',
+        validate: {
+          len: {
+            args: [1, 1],
+            msg: 'Quote must be a single character',
+          },
+        },
+      },
+      encoding: {
+        type: DataTypes.STRING(50),
+        allowNull: false,
+        defaultValue: 'utf-8',
+        comment: 'WHATWG encoding label, e.g. utf-8, windows-1252, utf-16le',
+        validate: {
+          isSupportedEncoding(value) {
+            try {
+              new TextDecoder(value);
+            } catch (error) {
+              throw new Error(`Unsupported encoding: ${value}`);
+            }
+          },
+        },
+      },
+      number_locale: {
+        type: DataTypes.STRING(35),
+        allowNull: true,
+        comment:
+          'BCP 47 locale for numbers, e.g. de-DE reads 1.234,56; null for plain 1234.56',
+        validate: {
+          isSupportedLocale(value) {
+            if (value === null || value === undefined) return;
+            let supported;
+            try {
+              supported = Intl.NumberFormat.supportedLocalesOf(value).length;
+            } catch (error) {
+              supported = 0;
+            }
+            if (!supported) {
+              throw new Error(`Unsupported number locale: ${value}`);
+            }
+          },
+        },
+      },
+    },
+    {
+      tableName: 'import_profiles',
+      timestamps: true,
+      createdAt: 'created_at',
+      updatedAt: 'updated_at',
+      indexes: [
+        {
+          unique: true,
+          fields: ['name'],
+        },
+      ],
+    }
+  );
+
+  ImportProfile.FIELDS = IMPORT_FIELDS;
+
+  return ImportProfile;
+};
@@ -0,0 +1,55 @@
+const { DataTypes } = require('sequelize');
+
+module.exports = (sequelize) => {
+  const ImportRowError = sequelize.define(
+    'ImportRowError',
+    {
+      id: {
+        type: DataTypes.INTEGER,
+        primaryKey: true,
+        autoIncrement: true,
+      },
+      import_job_id: {
+        type: DataTypes.INTEGER,
+        allowNull: false,
+        references: {
+          model: 'import_jobs',
+          key: 'id',
+        },
+        onDelete: 'CASCADE',
+      },
+      row_number: {
+        type: DataTypes.INTEGER,
+        allowNull: false,
+      },
+      code: {
+        type: DataTypes.STRING(50),
+        allowNull: false,
+        comment: 'Stable import error code, e.g. INVALID_PRICE',
+      },
+      message: {
+        type: DataTypes.TEXT,
+        allowNull: false,
+      },
+      data: {
+        // JSON rather than JSONB keeps the file's column order for the report
+        type: DataTypes.JSON,
+        allowNull: true,
+        comment: 'The rejected row as read from the file',
+      },
+    },
+    {
+      tableName: 'import_row_errors',
+      timestamps: true,
+      createdAt: 'created_at',
+      updatedAt: false,
+      indexes: [
+        {
+          fields: ['import_job_id', 'row_number'],
+        },
+      ],
+    }
+  );
+
+  return ImportRowError;
+};
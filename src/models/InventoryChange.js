@@ -0,0 +1,79 @@
+const { DataTypes } = require('sequelize');
+
+module.exports = (sequelize) => {
+  const InventoryChange = sequelize.define(
+    'InventoryChange',
+    {
+      id: {
+        type: DataTypes.INTEGER,
+        primaryKey: true,
+        autoIncrement: true,
+      },
+      import_job_id: {
+        type: DataTypes.INTEGER,
+        allowNull: false,
+        references: {
+          model: 'import_jobs',
+          key: 'id',
+        },
+      },
+      store_id: {
+        type: DataTypes.INTEGER,
+        allowNull: false,
+        references: {
+          model: 'stores',
+          key: 'id',
+        },
+      },
+      book_id: {
+        type: DataTypes.INTEGER,
+        allowNull: true,
+        references: {
+          model: 'books',
+          key: 'id',
+        },
+        onDelete: 'SET NULL',
+        comment: 'Null once the book is deleted; the history is kept',
+      },
+      copies_delta: {
+        type: DataTypes.INTEGER,
+        allowNull: false,
+      },
+      previous_price: {
+        type: DataTypes.DECIMAL(10, 2),
+        allowNull: true,
+        comment: 'Price before the change, null if the row was created',
+      },
+      new_price: {
+        type: DataTypes.DECIMAL(10, 2),
+        allowNull: false,
+      },
+      previous_sold_out: {
+        type: DataTypes.BOOLEAN,
+        allowNull: true,
+      },
+      created: {
+        type: DataTypes.BOOLEAN,
+        allowNull: false,
+        defaultValue: false,
+        comment: 'Whether the change created the store_books row',
+      },
+    },
+    {
+      tableName: 'inventory_changes',
+      timestamps: true,
+      createdAt: 'created_at',
+      updatedAt: false,
+      indexes: [
+        {
+          fields: ['import_job_id'],
+        },
+        {
+          fields: ['store_id', 'book_id'],
+        },
+      ],
+    }
+  );
+
+  return InventoryChange;
+};
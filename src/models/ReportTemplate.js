@@ -0,0 +1,58 @@
+const { DataTypes } = require('sequelize');
+const {
+  REPORT_SECTION_TYPES,
+  normalizeReportDefinition,
+} = require('../utils/reportDefinition');
+
+module.exports = (sequelize) => {
+  const ReportTemplate = sequelize.define(
+    'ReportTemplate',
+    {
+      id: {
+        type: DataTypes.INTEGER,
+        primaryKey: true,
+        autoIncrement: true,
+      },
+      name: {
+        type: DataTypes.STRING(100),
+        allowNull: false,
+        validate: {
+          notEmpty: {
+            msg: 'Template name cannot be empty',
+          },
+        },
+      },
+      description: {
+        type: DataTypes.TEXT,
+        allowNull: true,
+      },
+      definition: {
+        type: DataTypes.JSONB,
+        allowNull: false,
+        comment:
+          'Report sections and filters, e.g. { "sections": [{ "type": "priciest", "limit": 10 }] }',
+        validate: {
+          isReportDefinition(value) {
+            normalizeReportDefinition(value);
+          },
+        },
+      },
+    },
+    {
+      tableName: 'report_templates',
+      timestamps: true,
+      createdAt: 'created_at',
+      updatedAt: 'updated_at',
+      indexes: [
+        {
+          unique: true,
+          fields: ['name'],
+        },
+      ],
+    }
+  );
+
+  ReportTemplate.SECTION_TYPES = REPORT_SECTION_TYPES;
+
+  return ReportTemplate;
+};
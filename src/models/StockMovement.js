@@ -0,0 +1,102 @@
+const { DataTypes } = require('sequelize');
+
+// Movement type -> sign of its effect on copies
+const MOVEMENT_DIRECTIONS = {
+  sale: -1,
+  return: 1,
+  damage: -1,
+  'transfer-out': -1,
+  'transfer-in': 1,
+};
+
+// Types recorded through the adjust endpoint; sales and transfers have their own
+const ADJUSTMENT_TYPES = ['return', 'damage', 'transfer-out'];
+
+module.exports = (sequelize) => {
+  const StockMovement = sequelize.define(
+    'StockMovement',
+    {
+      id: {
+        type: DataTypes.INTEGER,
+        primaryKey: true,
+        autoIncrement: true,
+      },
+      store_id: {
+        type: DataTypes.INTEGER,
+        allowNull: false,
+        references: {
+          model: 'stores',
+          key: 'id',
+        },
+      },
+      book_id: {
+        type: DataTypes.INTEGER,
+        allowNull: true,
+        references: {
+          model: 'books',
+          key: 'id',
+        },
+        onDelete: 'SET NULL',
+        comment: 'Null once the book is deleted; the history is kept',
+      },
+      type: {
+        type: DataTypes.STRING(20),
+        allowNull: false,
+        validate: {
+          isIn: {
+            args: [Object.keys(MOVEMENT_DIRECTIONS)],
+            msg: `Movement type must be one of: ${Object.keys(
+              MOVEMENT_DIRECTIONS
+            ).join(', ')}`,
+          },
+        },
+      },
+      quantity: {
+        type: DataTypes.INTEGER,
+        allowNull: false,
+        comment: 'Change in copies; negative when stock leaves the store',
+      },
+      copies_after: {
+        type: DataTypes.INTEGER,
+        allowNull: false,
+      },
+      unit_price: {
+        type: DataTypes.DECIMAL(10, 2),
+        allowNull: false,
+        comment:
+          'Price per copy: the sale price for sales, else the shelf price',
+      },
+      note: {
+        type: DataTypes.TEXT,
+        allowNull: true,
+      },
+      transfer_id: {
+        type: DataTypes.INTEGER,
+        allowNull: true,
+        references: {
+          model: 'transfers',
+          key: 'id',
+        },
+        onDelete: 'SET NULL',
+        comment: 'Set for movements made by an inter-store transfer',
+      },
+    },
+    {
+      tableName: 'stock_movements',
+      timestamps: true,
+      createdAt: 'created_at',
+      updatedAt: false,
+      indexes: [
+        {
+          fields: ['store_id', 'book_id', 'created_at'],
+        },
+      ],
+    }
+  );
+
+  StockMovement.TYPES = Object.keys(MOVEMENT_DIRECTIONS);
+  StockMovement.DIRECTIONS = MOVEMENT_DIRECTIONS;
+  StockMovement.ADJUSTMENT_TYPES = ADJUSTMENT_TYPES;
+
+  return StockMovement;
+};
@@ -1,4 +1,10 @@
 const { DataTypes } = require('sequelize');
+const { nameKey } = require('../utils/names');
+
+// Full-text document for name and address (no stemming); search queries must
+// use the same expression for PostgreSQL to pick the GIN index
+const SEARCH_DOCUMENT =
+  "to_tsvector('simple', name || ' ' || coalesce(address, ''))";
 
 module.exports = (sequelize) => {
   const Store = sequelize.define(
@@ -12,12 +18,21 @@ module.exports = (sequelize) => {
       name: {
         type: DataTypes.STRING(255),
         allowNull: false,
+        set(value) {
+          this.setDataValue('name', value);
+          this.setDataValue('name_key', nameKey(value));
+        },
         validate: {
           notEmpty: {
             msg: 'Store name cannot be empty',
           },
         },
       },
+      // Folded name (see utils/names) matching differently written duplicates
+      name_key: {
+        type: DataTypes.STRING(255),
+        allowNull: true,
+      },
       address: {
         type: DataTypes.STRING(500),
         allowNull: true,
@@ -33,14 +48,44 @@ module.exports = (sequelize) => {
       timestamps: true,
       createdAt: 'created_at',
       updatedAt: 'updated_at',
+      // Deleted stores are kept so reports and import history still resolve
+      paranoid: true,
+      deletedAt: 'deleted_at',
+      // Names stay unique across deleted stores; re-importing one restores it
       indexes: [
         {
           unique: true,
           fields: ['name'],
         },
+        {
+          fields: ['name_key'],
+        },
+        {
+          name: 'stores_search',
+          using: 'gin',
+          fields: [sequelize.literal(`(${SEARCH_DOCUMENT})`)],
+        },
+        {
+          name: 'stores_name_trgm',
+          using: 'gin',
+          fields: [{ name: 'name', operator: 'gin_trgm_ops' }],
+        },
+        {
+          name: 'stores_address_trgm',
+          using: 'gin',
+          fields: [{ name: 'address', operator: 'gin_trgm_ops' }],
+        },
       ],
     }
   );
 
+  Store.SEARCH_DOCUMENT = SEARCH_DOCUMENT;
+
+  // The name key is internal to matching and left out of API responses
+  Store.prototype.toJSON = function () {
+    const { name_key, ...values } = this.get({ plain: true });
+    return values;
+  };
+
   return Store;
 };
@@ -0,0 +1,82 @@
+const { DataTypes } = require('sequelize');
+
+// pending: planned, no stock moved; in-transit: copies left the source;
+// received: copies added at the destination; cancelled: stopped, shipped copies returned
+const TRANSFER_STATUSES = ['pending', 'in-transit', 'received', 'cancelled'];
+
+module.exports = (sequelize) => {
+  const Transfer = sequelize.define(
+    'Transfer',
+    {
+      id: {
+        type: DataTypes.INTEGER,
+        primaryKey: true,
+        autoIncrement: true,
+      },
+      from_store_id: {
+        type: DataTypes.INTEGER,
+        allowNull: false,
+        references: {
+          model: 'stores',
+          key: 'id',
+        },
+      },
+      to_store_id: {
+        type: DataTypes.INTEGER,
+        allowNull: false,
+        references: {
+          model: 'stores',
+          key: 'id',
+        },
+      },
+      status: {
+        type: DataTypes.STRING(20),
+        allowNull: false,
+        defaultValue: 'pending',
+        validate: {
+          isIn: {
+            args: [TRANSFER_STATUSES],
+            msg: `Status must be one of: ${TRANSFER_STATUSES.join(', ')}`,
+          },
+        },
+      },
+      note: {
+        type: DataTypes.TEXT,
+        allowNull: true,
+      },
+      shipped_at: {
+        type: DataTypes.DATE,
+        allowNull: true,
+      },
+      received_at: {
+        type: DataTypes.DATE,
+        allowNull: true,
+      },
+      cancelled_at: {
+        type: DataTypes.DATE,
+        allowNull: true,
+      },
+    },
+    {
+      tableName: 'transfers',
+      timestamps: true,
+      createdAt: 'created_at',
+      updatedAt: 'updated_at',
+      indexes: [
+        {
+          fields: ['from_store_id'],
+        },
+        {
+          fields: ['to_store_id'],
+        },
+        {
+          fields: ['status'],
+        },
+      ],
+    }
+  );
+
+  Transfer.STATUSES = TRANSFER_STATUSES;
+
+  return Transfer;
+};
@@ -0,0 +1,74 @@
+const { DataTypes } = require('sequelize');
+
+module.exports = (sequelize) => {
+  const TransferItem = sequelize.define(
+    'TransferItem',
+    {
+      id: {
+        type: DataTypes.INTEGER,
+        primaryKey: true,
+        autoIncrement: true,
+      },
+      transfer_id: {
+        type: DataTypes.INTEGER,
+        allowNull: false,
+        references: {
+          model: 'transfers',
+          key: 'id',
+        },
+        onDelete: 'CASCADE',
+      },
+      book_id: {
+        type: DataTypes.INTEGER,
+        allowNull: true,
+        references: {
+          model: 'books',
+          key: 'id',
+        },
+        onDelete: 'SET NULL',
+        comment: 'Null once the book is deleted; the history is kept',
+      },
+      quantity: {
+        type: DataTypes.INTEGER,
+        allowNull: false,
+        validate: {
+          min: {
+            args: [1],
+            msg: 'Quantity must be at least 1',
+          },
+        },
+      },
+      price: {
+        type: DataTypes.DECIMAL(10, 2),
+        allowNull: true,
+        comment:
+          'Price to set at the destination; null carries over the source price',
+        validate: {
+          min: {
+            args: [0],
+            msg: 'Price cannot be negative',
+          },
+        },
+      },
+      source_price: {
+        type: DataTypes.DECIMAL(10, 2),
+        allowNull: true,
+        comment: 'Price at the source store when the copies were shipped',
+      },
+    },
+    {
+      tableName: 'transfer_items',
+      timestamps: true,
+      createdAt: 'created_at',
+      updatedAt: false,
+      indexes: [
+        {
+          unique: true,
+          fields: ['transfer_id', 'book_id'],
+        },
+      ],
+    }
+  );
+
+  return TransferItem;
+};
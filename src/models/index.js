@@ -1,6 +1,12 @@
 const { Sequelize } = require('sequelize');
+const uploadConfig = require('../config/upload');
 require('dotenv').config();
 
+// Connections kept for API requests, plus two per import job a server runs
+// at once: dry-run, atomic and bulk jobs hold a transaction for the whole
+// job and write their progress on another connection
+const POOL_SIZE = 5 + 2 * uploadConfig.concurrentJobs;
+
 // Use DATABASE_URL if available, otherwise fall back to individual config
 const sequelize = process.env.DATABASE_URL
   ? new Sequelize(process.env.DATABASE_URL, {
@@ -13,7 +19,7 @@ const sequelize = process.env.DATABASE_URL
         },
       },
       pool: {
-        max: 5,
+        max: POOL_SIZE,
         min: 0,
         acquire: 30000,
         idle: 10000,
@@ -33,7 +39,7 @@ const sequelize = process.env.DATABASE_URL
           dialect: dbConfig.dialect,
           logging: dbConfig.logging,
           pool: {
-            max: 5,
+            max: POOL_SIZE,
             min: 0,
             acquire: 30000,
             idle: 10000,
@@ -47,12 +53,38 @@ const Store = require('./Store')(sequelize);
 const Author = require('./Author')(sequelize);
 const Book = require('./Book')(sequelize);
 const StoreBook = require('./StoreBook')(sequelize);
+const ImportJob = require('./ImportJob')(sequelize);
+const InventoryChange = require('./InventoryChange')(sequelize);
+const ImportProfile = require('./ImportProfile')(sequelize);
+const ImportRowError = require('./ImportRowError')(sequelize);
+const ImportPreviewRow = require('./ImportPreviewRow')(sequelize);
+const StockMovement = require('./StockMovement')(sequelize);
+const Transfer = require('./Transfer')(sequelize);
+const TransferItem = require('./TransferItem')(sequelize);
+const BookAuthor = require('./BookAuthor')(sequelize);
+const ReportTemplate = require('./ReportTemplate')(sequelize);
 
 // Define associations
-// Author - Book (One-to-Many)
+// Author - Book (One-to-Many, the first credited author)
 Author.hasMany(Book, { foreignKey: 'author_id', as: 'books' });
 Book.belongsTo(Author, { foreignKey: 'author_id', as: 'author' });
 
+// Author - Book (Many-to-Many through BookAuthor, every credit with its role)
+Book.belongsToMany(Author, {
+  through: BookAuthor,
+  foreignKey: 'book_id',
+  otherKey: 'author_id',
+  as: 'authors',
+});
+Author.belongsToMany(Book, {
+  through: BookAuthor,
+  foreignKey: 'author_id',
+  otherKey: 'book_id',
+  as: 'credits',
+});
+Book.hasMany(BookAuthor, { foreignKey: 'book_id', as: 'bookAuthors' });
+BookAuthor.belongsTo(Author, { foreignKey: 'author_id', as: 'author' });
+
 // Store - Book (Many-to-Many through StoreBook)
 Store.belongsToMany(Book, {
   through: StoreBook,
@@ -74,6 +106,59 @@ StoreBook.belongsTo(Store, { foreignKey: 'store_id', as: 'store' });
 Book.hasMany(StoreBook, { foreignKey: 'book_id', as: 'storeBooks' });
 StoreBook.belongsTo(Book, { foreignKey: 'book_id', as: 'book' });
 
+// ImportJob - InventoryChange (One-to-Many ledger of store_books changes)
+ImportJob.hasMany(InventoryChange, {
+  foreignKey: 'import_job_id',
+  as: 'changes',
+});
+InventoryChange.belongsTo(ImportJob, {
+  foreignKey: 'import_job_id',
+  as: 'importJob',
+});
+InventoryChange.belongsTo(Store, { foreignKey: 'store_id', as: 'store' });
+InventoryChange.belongsTo(Book, { foreignKey: 'book_id', as: 'book' });
+
+// ImportJob - ImportRowError (One-to-Many, rows the import rejected)
+ImportJob.hasMany(ImportRowError, {
+  foreignKey: 'import_job_id',
+  as: 'rowErrors',
+});
+ImportRowError.belongsTo(ImportJob, {
+  foreignKey: 'import_job_id',
+  as: 'importJob',
+});
+
+// ImportJob - ImportPreviewRow (One-to-Many, what a dry run would change)
+ImportJob.hasMany(ImportPreviewRow, {
+  foreignKey: 'import_job_id',
+  as: 'previewRows',
+});
+ImportPreviewRow.belongsTo(ImportJob, {
+  foreignKey: 'import_job_id',
+  as: 'importJob',
+});
+
+// ImportProfile - ImportJob (One-to-Many, uploads parsed with the profile)
+ImportProfile.hasMany(ImportJob, { foreignKey: 'profile_id', as: 'jobs' });
+ImportJob.belongsTo(ImportProfile, { foreignKey: 'profile_id', as: 'profile' });
+
+// Store/Book - StockMovement (ledger of sales and stock adjustments)
+Store.hasMany(StockMovement, { foreignKey: 'store_id', as: 'stockMovements' });
+StockMovement.belongsTo(Store, { foreignKey: 'store_id', as: 'store' });
+StockMovement.belongsTo(Book, { foreignKey: 'book_id', as: 'book' });
+
+// Transfer - Store/TransferItem (copies moved between stores)
+Transfer.belongsTo(Store, { foreignKey: 'from_store_id', as: 'fromStore' });
+Transfer.belongsTo(Store, { foreignKey: 'to_store_id', as: 'toStore' });
+Transfer.hasMany(TransferItem, { foreignKey: 'transfer_id', as: 'items' });
+TransferItem.belongsTo(Transfer, { foreignKey: 'transfer_id', as: 'transfer' });
+TransferItem.belongsTo(Book, { foreignKey: 'book_id', as: 'book' });
+Transfer.hasMany(StockMovement, { foreignKey: 'transfer_id', as: 'movements' });
+StockMovement.belongsTo(Transfer, {
+  foreignKey: 'transfer_id',
+  as: 'transfer',
+});
+
 module.exports = {
   sequelize,
   Sequelize,
@@ -81,4 +166,14 @@ module.exports = {
   Author,
   Book,
   StoreBook,
+  ImportJob,
+  InventoryChange,
+  ImportProfile,
+  ImportRowError,
+  ImportPreviewRow,
+  StockMovement,
+  Transfer,
+  TransferItem,
+  BookAuthor,
+  ReportTemplate,
 };
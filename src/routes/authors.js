@@ -0,0 +1,812 @@
+const express = require('express');
+const { body, param, query, validationResult } = require('express-validator');
+const authorService = require('../services/authorService');
+const bookService = require('../services/bookService');
+
+const router = express.Router();
+
+const authorIdValidator = param('id')
+  .isInt({ min: 1 })
+  .withMessage('Author ID must be a positive integer');
+
+const paginationValidators = [
+  query('limit')
+    .optional()
+    .isInt({ min: 1, max: 100 })
+    .withMessage('Limit must be an integer between 1 and 100'),
+  query('offset')
+    .optional()
+    .isInt({ min: 0 })
+    .withMessage('Offset must be a non-negative integer'),
+];
+
+const duplicateValidators = [
+  query('threshold')
+    .optional()
+    .isFloat({ min: 0.3, max: 1 })
+    .withMessage('Threshold must be a number between 0.3 and 1'),
+  query('limit')
+    .optional()
+    .isInt({ min: 1, max: 100 })
+    .withMessage('Limit must be an integer between 1 and 100'),
+];
+
+const mergeValidators = [
+  body('source_ids')
+    .isArray({ min: 1, max: 50 })
+    .withMessage('source_ids must be a list of 1 to 50 author IDs')
+    .bail()
+    .custom((ids) => new Set(ids.map(Number)).size === ids.length)
+    .withMessage('source_ids must not repeat an ID')
+    .custom((ids, { req }) => !ids.map(Number).includes(Number(req.params.id)))
+    .withMessage('An author cannot be merged into itself'),
+  body('source_ids.*')
+    .isInt({ min: 1 })
+    .withMessage('source_ids must be positive integers')
+    .toInt(),
+];
+
+const authorValidators = [
+  body('name')
+    .isString()
+    .withMessage('Name must be a string')
+    .bail()
+    .trim()
+    .isLength({ min: 1, max: 255 })
+    .withMessage('Name must be between 1 and 255 characters'),
+];
+
+/**
+ * Answer 409 if another author already uses the name
+ * @param {Object} res - Express response
+ * @param {string} name - Requested author name
+ * @param {number} [authorId] - Author being renamed, allowed to keep its name
+ * @returns {Promise<boolean>} - Whether a response was sent
+ */
+const rejectTakenName = async (res, name, authorId) => {
+  const existing = await authorService.findByName(name);
+  if (!existing || existing.id === authorId) return false;
+
+  res.status(409).json({
+    success: false,
+    error: `Author "${name}" already exists (ID ${existing.id}).`,
+  });
+  return true;
+};
+
+/**
+ * @swagger
+ * /api/authors:
+ *   get:
+ *     summary: List authors
+ *     description: Retrieve authors sorted by name
+ *     tags: [Authors]
+ *     parameters:
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           minimum: 1
+ *           maximum: 100
+ *           default: 50
+ *       - in: query
+ *         name: offset
+ *         schema:
+ *           type: integer
+ *           minimum: 0
+ *           default: 0
+ *     responses:
+ *       200:
+ *         description: List of authors
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: true
+ *                 data:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/Author'
+ *                 count:
+ *                   type: integer
+ *                   description: Total number of authors
+ *                   example: 42
+ *       400:
+ *         description: Invalid query parameters
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ */
+router.get('/', paginationValidators, async (req, res, next) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        errors: errors.array(),
+      });
+    }
+
+    const { rows, count } = await authorService.listAuthors({
+      limit: req.query.limit ? parseInt(req.query.limit, 10) : undefined,
+      offset: req.query.offset ? parseInt(req.query.offset, 10) : undefined,
+    });
+
+    return res.json({
+      success: true,
+      data: rows,
+      count,
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * @swagger
+ * /api/authors:
+ *   post:
+ *     summary: Create an author
+ *     tags: [Authors]
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/AuthorInput'
+ *     responses:
+ *       201:
+ *         description: Author created
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: true
+ *                 data:
+ *                   $ref: '#/components/schemas/Author'
+ *       400:
+ *         description: Invalid author details
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       409:
+ *         description: An author with this name already exists
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ */
+router.post('/', authorValidators, async (req, res, next) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        errors: errors.array(),
+      });
+    }
+
+    if (await rejectTakenName(res, req.body.name)) return;
+
+    const author = await authorService.createAuthor(req.body);
+
+    res.setHeader('Location', `/api/authors/${author.id}`);
+    return res.status(201).json({
+      success: true,
+      data: author,
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * @swagger
+ * /api/authors/duplicates:
+ *   get:
+ *     summary: Suggest duplicate authors
+ *     description: |
+ *       Pairs of authors whose names are likely written differently for the same
+ *       person. Names that only differ in case, accents, spacing or punctuation
+ *       (such as "J.R.R. Tolkien" and "J. R. R. Tolkien") score 1; other pairs
+ *       score the trigram similarity of their names.
+ *     tags: [Authors]
+ *     parameters:
+ *       - in: query
+ *         name: threshold
+ *         schema:
+ *           type: number
+ *           minimum: 0.3
+ *           maximum: 1
+ *           default: 0.6
+ *         description: Lowest score to suggest
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           minimum: 1
+ *           maximum: 100
+ *           default: 50
+ *     responses:
+ *       200:
+ *         description: Likely duplicates, most similar first
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: true
+ *                 data:
+ *                   type: array
+ *                   items:
+ *                     type: object
+ *                     properties:
+ *                       score:
+ *                         type: number
+ *                         example: 1
+ *                       authors:
+ *                         type: array
+ *                       items:
+ *                         type: object
+ *                         properties:
+ *                           id:
+ *                             type: integer
+ *                           name:
+ *                             type: string
+ *                           books:
+ *                             type: integer
+ *                             description: Books crediting the author
+ *       400:
+ *         description: Invalid query parameters
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ */
+router.get('/duplicates', duplicateValidators, async (req, res, next) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        errors: errors.array(),
+      });
+    }
+
+    const duplicates = await authorService.findDuplicates({
+      threshold: req.query.threshold
+        ? parseFloat(req.query.threshold)
+        : undefined,
+      limit: req.query.limit ? parseInt(req.query.limit, 10) : undefined,
+    });
+
+    return res.json({
+      success: true,
+      data: duplicates,
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * @swagger
+ * /api/authors/{id}:
+ *   get:
+ *     summary: Get author details
+ *     tags: [Authors]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *           minimum: 1
+ *         description: Author ID
+ *     responses:
+ *       200:
+ *         description: Author details
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: true
+ *                 data:
+ *                   $ref: '#/components/schemas/Author'
+ *       400:
+ *         description: Invalid author ID
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       404:
+ *         description: Author not found
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ */
+router.get('/:id', [authorIdValidator], async (req, res, next) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        errors: errors.array(),
+      });
+    }
+
+    const authorId = parseInt(req.params.id, 10);
+    const author = await authorService.getAuthor(authorId);
+
+    if (!author) {
+      return res.status(404).json({
+        success: false,
+        error: `Author with ID ${authorId} not found.`,
+      });
+    }
+
+    return res.json({
+      success: true,
+      data: author,
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * @swagger
+ * /api/authors/{id}/books:
+ *   get:
+ *     summary: List an author's books
+ *     description: Retrieve the books crediting an author (as author, editor or translator), sorted by title
+ *     tags: [Authors]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *           minimum: 1
+ *         description: Author ID
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           minimum: 1
+ *           maximum: 100
+ *           default: 50
+ *       - in: query
+ *         name: offset
+ *         schema:
+ *           type: integer
+ *           minimum: 0
+ *           default: 0
+ *     responses:
+ *       200:
+ *         description: The author's books
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: true
+ *                 data:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/Book'
+ *                 count:
+ *                   type: integer
+ *                   description: Total number of books by the author
+ *                   example: 7
+ *       400:
+ *         description: Invalid author ID or query parameters
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       404:
+ *         description: Author not found
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ */
+router.get(
+  '/:id/books',
+  [authorIdValidator, ...paginationValidators],
+  async (req, res, next) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          errors: errors.array(),
+        });
+      }
+
+      const authorId = parseInt(req.params.id, 10);
+      const author = await authorService.getAuthor(authorId);
+
+      if (!author) {
+        return res.status(404).json({
+          success: false,
+          error: `Author with ID ${authorId} not found.`,
+        });
+      }
+
+      const { rows, count } = await bookService.listBooks({
+        authorId,
+        limit: req.query.limit ? parseInt(req.query.limit, 10) : undefined,
+        offset: req.query.offset ? parseInt(req.query.offset, 10) : undefined,
+      });
+
+      return res.json({
+        success: true,
+        data: rows,
+        count,
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
+/**
+ * @swagger
+ * /api/authors/{id}:
+ *   put:
+ *     summary: Rename an author
+ *     tags: [Authors]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *           minimum: 1
+ *         description: Author ID
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/AuthorInput'
+ *     responses:
+ *       200:
+ *         description: Author updated
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: true
+ *                 data:
+ *                   $ref: '#/components/schemas/Author'
+ *       400:
+ *         description: Invalid author ID or details
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       404:
+ *         description: Author not found
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       409:
+ *         description: Another author already has this name
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ */
+router.put(
+  '/:id',
+  [authorIdValidator, ...authorValidators],
+  async (req, res, next) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          errors: errors.array(),
+        });
+      }
+
+      const authorId = parseInt(req.params.id, 10);
+      const author = await authorService.getAuthor(authorId);
+
+      if (!author) {
+        return res.status(404).json({
+          success: false,
+          error: `Author with ID ${authorId} not found.`,
+        });
+      }
+
+      if (req.body.name !== author.name) {
+        if (await rejectTakenName(res, req.body.name, author.id)) return;
+      }
+
+      await authorService.updateAuthor(author, req.body);
+
+      return res.json({
+        success: true,
+        data: author,
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
+/**
+ * @swagger
+ * /api/authors/{id}:
+ *   delete:
+ *     summary: Delete an author
+ *     description: |
+ *       An author credited on any book is not deleted unless `cascade=true` is given.
+ *       Cascading deletes the books they are credited first on, removes them from every
+ *       store's inventory and keeps their import history, stock movements and transfer
+ *       items without the book reference. On other books only their credit is removed.
+ *     tags: [Authors]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *           minimum: 1
+ *         description: Author ID
+ *       - in: query
+ *         name: cascade
+ *         schema:
+ *           type: boolean
+ *           default: false
+ *         description: Also delete the author's books and their inventory
+ *     responses:
+ *       200:
+ *         description: Author deleted
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: true
+ *                 message:
+ *                   type: string
+ *                   example: Author 4 deleted with 2 book(s) and 5 inventory row(s).
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     books:
+ *                       type: integer
+ *                       description: Books deleted
+ *                     credits:
+ *                       type: integer
+ *                       description: Credits removed from books kept
+ *                     inventory:
+ *                       type: integer
+ *                       description: Store inventory rows removed
+ *       400:
+ *         description: Invalid author ID or parameters
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       404:
+ *         description: Author not found
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       409:
+ *         description: The author is still credited on books and cascade was not requested, or one of their books is on a pending or in-transit transfer
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ */
+router.delete(
+  '/:id',
+  [
+    authorIdValidator,
+    query('cascade')
+      .optional()
+      .isBoolean()
+      .withMessage('cascade must be true or false')
+      .toBoolean(),
+  ],
+  async (req, res, next) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          errors: errors.array(),
+        });
+      }
+
+      const authorId = parseInt(req.params.id, 10);
+      const author = await authorService.getAuthor(authorId);
+
+      if (!author) {
+        return res.status(404).json({
+          success: false,
+          error: `Author with ID ${authorId} not found.`,
+        });
+      }
+
+      const bookCount = await authorService.countBooks(authorId);
+      if (bookCount > 0 && !req.query.cascade) {
+        return res.status(409).json({
+          success: false,
+          error: `Author ${authorId} is credited on ${bookCount} book(s). Delete them first or pass cascade=true to delete the author with the books they are credited first on.`,
+        });
+      }
+
+      const removed = await authorService.deleteAuthor(author);
+
+      return res.json({
+        success: true,
+        message:
+          removed.books > 0
+            ? `Author ${authorId} deleted with ${removed.books} book(s) and ${removed.inventory} inventory row(s).`
+            : `Author ${authorId} deleted.`,
+        data: removed,
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
+/**
+ * @swagger
+ * /api/authors/{id}/merge:
+ *   post:
+ *     summary: Merge duplicate authors
+ *     description: |
+ *       Merge duplicate authors into this one. Books and credits of the duplicates
+ *       move to it; a book crediting several of them keeps the earliest credit. The
+ *       duplicates are then deleted. Everything happens in one transaction.
+ *     tags: [Authors]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *           minimum: 1
+ *         description: Author ID to keep
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [source_ids]
+ *             properties:
+ *               source_ids:
+ *                 type: array
+ *                 minItems: 1
+ *                 maxItems: 50
+ *                 items:
+ *                   type: integer
+ *                 description: IDs of the duplicates to merge
+ *                 example: [12, 15]
+ *     responses:
+ *       200:
+ *         description: Authors merged
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: true
+ *                 message:
+ *                   type: string
+ *                   example: Merged 2 author(s) into author 4.
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     author:
+ *                       $ref: '#/components/schemas/Author'
+ *                     merged:
+ *                       type: integer
+ *                       description: Authors merged and deleted
+ *                     books:
+ *                       type: integer
+ *                       description: Books whose first author changed
+ *                     credits:
+ *                       type: integer
+ *                       description: Credits moved to the author
+ *                     combined:
+ *                       type: integer
+ *                       description: Books without ISBN merged into another book of the same title
+ *       400:
+ *         description: Invalid author ID, or a duplicate does not exist
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       404:
+ *         description: Author not found
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ */
+router.post(
+  '/:id/merge',
+  [authorIdValidator, ...mergeValidators],
+  async (req, res, next) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          errors: errors.array(),
+        });
+      }
+
+      const authorId = parseInt(req.params.id, 10);
+      const author = await authorService.getAuthor(authorId);
+
+      if (!author) {
+        return res.status(404).json({
+          success: false,
+          error: `Author with ID ${authorId} not found.`,
+        });
+      }
+
+      const sourceIds = req.body.source_ids;
+      const sources = await authorService.getAuthors(sourceIds);
+      const missing = sourceIds.find(
+        (id) => !sources.some((source) => source.id === id)
+      );
+      if (missing) {
+        return res.status(400).json({
+          success: false,
+          error: `Author with ID ${missing} not found.`,
+        });
+      }
+
+      const merged = await authorService.mergeAuthors(author, sources);
+
+      return res.json({
+        success: true,
+        message: `Merged ${merged.merged} author(s) into author ${authorId}.`,
+        data: { author, ...merged },
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
+module.exports = router;
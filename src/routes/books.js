@@ -0,0 +1,810 @@
+const express = require('express');
+const { body, param, query, validationResult } = require('express-validator');
+const authorService = require('../services/authorService');
+const bookService = require('../services/bookService');
+const {
+  normalizeIsbn,
+  normalizeLanguage,
+  maxPublicationYear,
+  MIN_PUBLICATION_YEAR,
+  AUTHOR_ROLES,
+} = require('../utils/bibliographic');
+
+const router = express.Router();
+
+const bookIdValidator = param('id')
+  .isInt({ min: 1 })
+  .withMessage('Book ID must be a positive integer');
+
+/**
+ * Validate an ISBN-10 or ISBN-13 and normalize it to 13 digits
+ * @param {ValidationChain} chain - Chain for the field
+ * @returns {ValidationChain}
+ */
+const isbnValidator = (chain) =>
+  chain
+    .custom((value) => normalizeIsbn(value) !== null)
+    .withMessage('ISBN must be a valid ISBN-10 or ISBN-13')
+    .customSanitizer(normalizeIsbn);
+
+/**
+ * Validate a BCP 47 language tag and put it in canonical form
+ * @param {ValidationChain} chain - Chain for the field
+ * @returns {ValidationChain}
+ */
+const languageValidator = (chain) =>
+  chain
+    .custom((value) => normalizeLanguage(value) !== null)
+    .withMessage(
+      'Language must be a BCP 47 language tag such as "en" or "pt-BR"'
+    )
+    .customSanitizer(normalizeLanguage);
+
+/**
+ * Validation for book details. Name and author are required unless the
+ * update is partial; the author may be given as author_id or as the first
+ * of `authors`.
+ * @param {boolean} partial - Whether fields may be left out (PATCH)
+ * @returns {Array} - express-validator chains
+ */
+const bookValidators = (partial) => [
+  (partial ? body('name').optional() : body('name'))
+    .isString()
+    .withMessage('Name must be a string')
+    .bail()
+    .trim()
+    .isLength({ min: 1, max: 255 })
+    .withMessage('Name must be between 1 and 255 characters'),
+  body('pages')
+    .optional({ nullable: true })
+    .isInt({ min: 1 })
+    .withMessage('Pages must be a positive integer')
+    .toInt(),
+  (partial
+    ? body('author_id').optional()
+    : body('author_id').if(body('authors').not().exists())
+  )
+    .isInt({ min: 1 })
+    .withMessage('author_id must be a positive integer')
+    .toInt(),
+  body('authors')
+    .optional()
+    .isArray({ min: 1, max: 20 })
+    .withMessage('authors must be a list of 1 to 20 credits')
+    .bail()
+    .custom(
+      (authors) =>
+        new Set(authors.map((credit) => Number(credit && credit.author_id)))
+          .size === authors.length
+    )
+    .withMessage('Each author can only be credited once'),
+  body('authors.*.author_id')
+    .isInt({ min: 1 })
+    .withMessage('authors[].author_id must be a positive integer')
+    .toInt(),
+  body('authors.*.role')
+    .optional()
+    .isIn(AUTHOR_ROLES)
+    .withMessage(`authors[].role must be one of: ${AUTHOR_ROLES.join(', ')}`),
+  body('author_id')
+    .optional()
+    .custom(
+      (value, { req }) =>
+        !Array.isArray(req.body.authors) ||
+        Number(req.body.authors[0] && req.body.authors[0].author_id) ===
+          Number(value)
+    )
+    .withMessage('author_id must be the first of authors'),
+  isbnValidator(body('isbn').optional({ nullable: true })),
+  body('publisher')
+    .optional({ nullable: true })
+    .isString()
+    .withMessage('Publisher must be a string')
+    .bail()
+    .trim()
+    .isLength({ min: 1, max: 255 })
+    .withMessage('Publisher must be between 1 and 255 characters'),
+  body('publication_year')
+    .optional({ nullable: true })
+    .isInt({ min: MIN_PUBLICATION_YEAR, max: maxPublicationYear() })
+    .withMessage(
+      `Publication year must be an integer between ${MIN_PUBLICATION_YEAR} and next year`
+    )
+    .toInt(),
+  languageValidator(body('language').optional({ nullable: true })),
+  body('genre')
+    .optional({ nullable: true })
+    .isString()
+    .withMessage('Genre must be a string')
+    .bail()
+    .trim()
+    .isLength({ min: 1, max: 100 })
+    .withMessage('Genre must be between 1 and 100 characters'),
+];
+
+/**
+ * Take the book's author_id from the first credit when authors are listed
+ * @param {Object} data - Validated request body
+ * @returns {Object} - Body with author_id set
+ */
+const withFirstAuthor = (data) =>
+  data.authors ? { ...data, author_id: data.authors[0].author_id } : data;
+
+/**
+ * Answer 400 if an author does not exist, or 409 if the book has no ISBN
+ * and the author already has another book without ISBN with this title
+ * @param {Object} res - Express response
+ * @param {Object} data - { name, author_id, authors, isbn } the book will have
+ * @param {number} [bookId] - Book being updated, allowed to keep its title
+ * @returns {Promise<boolean>} - Whether a response was sent
+ */
+const rejectInvalidBook = async (
+  res,
+  { name, author_id, authors, isbn },
+  bookId
+) => {
+  const authorIds = authors
+    ? authors.map((credit) => credit.author_id)
+    : [author_id];
+
+  let author;
+  for (const authorId of authorIds) {
+    const found = await authorService.getAuthor(authorId);
+    if (!found) {
+      res.status(400).json({
+        success: false,
+        error: `Author with ID ${authorId} not found.`,
+      });
+      return true;
+    }
+    if (authorId === author_id) author = found;
+  }
+
+  // Editions with an ISBN may share their title
+  if (isbn) return false;
+  const existing = await bookService.findByNameAndAuthor(name, author_id);
+  if (!existing || existing.id === bookId) return false;
+
+  res.status(409).json({
+    success: false,
+    error: `Book "${name}" by ${author.name} already exists without ISBN (ID ${existing.id}). Give this one an ISBN to add it as another edition.`,
+  });
+  return true;
+};
+
+/**
+ * Answer 409 if another book already has this ISBN
+ * @param {Object} res - Express response
+ * @param {string} isbn - Normalized ISBN the book will have
+ * @param {number} [bookId] - Book being updated, allowed to keep its ISBN
+ * @returns {Promise<boolean>} - Whether a response was sent
+ */
+const rejectTakenIsbn = async (res, isbn, bookId) => {
+  if (!isbn) return false;
+
+  const existing = await bookService.findByIsbn(isbn);
+  if (!existing || existing.id === bookId) return false;
+
+  res.status(409).json({
+    success: false,
+    error: `ISBN ${isbn} is already used by book "${existing.name}" (ID ${existing.id}).`,
+  });
+  return true;
+};
+
+/**
+ * @swagger
+ * /api/books:
+ *   get:
+ *     summary: List books
+ *     description: Retrieve books with their authors, sorted by title
+ *     tags: [Books]
+ *     parameters:
+ *       - in: query
+ *         name: author_id
+ *         schema:
+ *           type: integer
+ *           minimum: 1
+ *         description: Only return books crediting this author in any role
+ *       - in: query
+ *         name: isbn
+ *         schema:
+ *           type: string
+ *         description: Only return the book with this ISBN-10 or ISBN-13
+ *       - in: query
+ *         name: genre
+ *         schema:
+ *           type: string
+ *         description: Only return books of this genre (case-insensitive)
+ *       - in: query
+ *         name: language
+ *         schema:
+ *           type: string
+ *         description: Only return books in this language (BCP 47 tag)
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           minimum: 1
+ *           maximum: 100
+ *           default: 50
+ *       - in: query
+ *         name: offset
+ *         schema:
+ *           type: integer
+ *           minimum: 0
+ *           default: 0
+ *     responses:
+ *       200:
+ *         description: List of books
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: true
+ *                 data:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/Book'
+ *                 count:
+ *                   type: integer
+ *                   description: Total number of matching books
+ *                   example: 120
+ *       400:
+ *         description: Invalid query parameters
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ */
+router.get(
+  '/',
+  [
+    query('author_id')
+      .optional()
+      .isInt({ min: 1 })
+      .withMessage('author_id must be a positive integer'),
+    isbnValidator(query('isbn').optional()),
+    query('genre')
+      .optional()
+      .isLength({ max: 100 })
+      .withMessage('Genre must be at most 100 characters'),
+    languageValidator(query('language').optional()),
+    query('limit')
+      .optional()
+      .isInt({ min: 1, max: 100 })
+      .withMessage('Limit must be an integer between 1 and 100'),
+    query('offset')
+      .optional()
+      .isInt({ min: 0 })
+      .withMessage('Offset must be a non-negative integer'),
+  ],
+  async (req, res, next) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          errors: errors.array(),
+        });
+      }
+
+      const { rows, count } = await bookService.listBooks({
+        authorId: req.query.author_id
+          ? parseInt(req.query.author_id, 10)
+          : undefined,
+        isbn: req.query.isbn,
+        genre: req.query.genre,
+        language: req.query.language,
+        limit: req.query.limit ? parseInt(req.query.limit, 10) : undefined,
+        offset: req.query.offset ? parseInt(req.query.offset, 10) : undefined,
+      });
+
+      return res.json({
+        success: true,
+        data: rows,
+        count,
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
+/**
+ * @swagger
+ * /api/books:
+ *   post:
+ *     summary: Create a book
+ *     tags: [Books]
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/BookInput'
+ *     responses:
+ *       201:
+ *         description: Book created
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: true
+ *                 data:
+ *                   $ref: '#/components/schemas/Book'
+ *       400:
+ *         description: Invalid book details or unknown author
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       409:
+ *         description: The book has no ISBN and the author already has a book without ISBN with this title, or another book has this ISBN
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ */
+router.post('/', bookValidators(false), async (req, res, next) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        errors: errors.array(),
+      });
+    }
+
+    const data = withFirstAuthor(req.body);
+    if (await rejectInvalidBook(res, data)) return;
+    if (await rejectTakenIsbn(res, data.isbn)) return;
+
+    const book = await bookService.createBook(data);
+
+    res.setHeader('Location', `/api/books/${book.id}`);
+    return res.status(201).json({
+      success: true,
+      data: book,
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * @swagger
+ * /api/books/{id}:
+ *   get:
+ *     summary: Get book details
+ *     tags: [Books]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *           minimum: 1
+ *         description: Book ID
+ *     responses:
+ *       200:
+ *         description: Book details with its author
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: true
+ *                 data:
+ *                   $ref: '#/components/schemas/Book'
+ *       400:
+ *         description: Invalid book ID
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       404:
+ *         description: Book not found
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ */
+router.get('/:id', [bookIdValidator], async (req, res, next) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        errors: errors.array(),
+      });
+    }
+
+    const bookId = parseInt(req.params.id, 10);
+    const book = await bookService.getBook(bookId);
+
+    if (!book) {
+      return res.status(404).json({
+        success: false,
+        error: `Book with ID ${bookId} not found.`,
+      });
+    }
+
+    return res.json({
+      success: true,
+      data: book,
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * @swagger
+ * /api/books/{id}/stores:
+ *   get:
+ *     summary: List the stores carrying a book
+ *     description: Stores that have the book in their inventory, with its price and stock there, sorted by store name. Deleted stores are left out.
+ *     tags: [Books]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *           minimum: 1
+ *         description: Book ID
+ *     responses:
+ *       200:
+ *         description: Stores carrying the book
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: true
+ *                 data:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/BookStore'
+ *                 count:
+ *                   type: integer
+ *                   example: 2
+ *       400:
+ *         description: Invalid book ID
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       404:
+ *         description: Book not found
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ */
+router.get('/:id/stores', [bookIdValidator], async (req, res, next) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        errors: errors.array(),
+      });
+    }
+
+    const bookId = parseInt(req.params.id, 10);
+    const book = await bookService.getBook(bookId);
+
+    if (!book) {
+      return res.status(404).json({
+        success: false,
+        error: `Book with ID ${bookId} not found.`,
+      });
+    }
+
+    const stores = await bookService.listStores(book);
+
+    return res.json({
+      success: true,
+      data: stores,
+      count: stores.length,
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * Handler shared by PUT (replace) and PATCH (partial update)
+ * @param {boolean} partial - Whether fields left out keep their values
+ */
+const updateBookHandler = (partial) => async (req, res, next) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        errors: errors.array(),
+      });
+    }
+
+    const bookId = parseInt(req.params.id, 10);
+    const book = await bookService.getBook(bookId);
+
+    if (!book) {
+      return res.status(404).json({
+        success: false,
+        error: `Book with ID ${bookId} not found.`,
+      });
+    }
+
+    const data = withFirstAuthor(req.body);
+    const target = {
+      name: data.name !== undefined ? data.name : book.name,
+      author_id: data.author_id !== undefined ? data.author_id : book.author_id,
+      authors: data.authors,
+      isbn: data.isbn !== undefined ? data.isbn : partial ? book.isbn : null,
+    };
+    if (
+      target.name !== book.name ||
+      target.author_id !== book.author_id ||
+      target.isbn !== book.isbn ||
+      target.authors
+    ) {
+      if (await rejectInvalidBook(res, target, book.id)) return;
+    }
+    if (await rejectTakenIsbn(res, data.isbn, book.id)) return;
+
+    const updated = await bookService.updateBook(book, data, {
+      replace: !partial,
+    });
+
+    return res.json({
+      success: true,
+      data: updated,
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @swagger
+ * /api/books/{id}:
+ *   put:
+ *     summary: Replace a book's details
+ *     description: Sets title, authors and details. Details left out (pages, ISBN, publisher, publication year, language, genre) are cleared, and without `authors` the book is credited to `author_id` alone.
+ *     tags: [Books]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *           minimum: 1
+ *         description: Book ID
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/BookInput'
+ *     responses:
+ *       200:
+ *         description: Book updated
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: true
+ *                 data:
+ *                   $ref: '#/components/schemas/Book'
+ *       400:
+ *         description: Invalid book ID, details or unknown author
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       404:
+ *         description: Book not found
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       409:
+ *         description: The book would have no ISBN and the author already has another book without ISBN with this title, or another book has this ISBN
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *   patch:
+ *     summary: Update some of a book's details
+ *     description: Changes only the fields given. Changing `author_id` without `authors` replaces the first credited author and keeps the others.
+ *     tags: [Books]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *           minimum: 1
+ *         description: Book ID
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/BookInput'
+ *     responses:
+ *       200:
+ *         description: Book updated
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: true
+ *                 data:
+ *                   $ref: '#/components/schemas/Book'
+ *       400:
+ *         description: Invalid book ID, details or unknown author
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       404:
+ *         description: Book not found
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       409:
+ *         description: The book would have no ISBN and the author already has another book without ISBN with this title, or another book has this ISBN
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ */
+router.put(
+  '/:id',
+  [bookIdValidator, ...bookValidators(false)],
+  updateBookHandler(false)
+);
+router.patch(
+  '/:id',
+  [bookIdValidator, ...bookValidators(true)],
+  updateBookHandler(true)
+);
+
+/**
+ * @swagger
+ * /api/books/{id}:
+ *   delete:
+ *     summary: Delete a book
+ *     description: |
+ *       A book that any store still has in its inventory is not deleted unless
+ *       `cascade=true` is given. Cascading removes it from every store's inventory.
+ *       A book on a pending or in-transit transfer is not deleted. Its import history,
+ *       stock movements and transfer items are kept without the book reference.
+ *     tags: [Books]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *           minimum: 1
+ *         description: Book ID
+ *       - in: query
+ *         name: cascade
+ *         schema:
+ *           type: boolean
+ *           default: false
+ *         description: Also remove the book from store inventories
+ *     responses:
+ *       200:
+ *         description: Book deleted
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: true
+ *                 message:
+ *                   type: string
+ *                   example: Book 12 deleted.
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     inventory:
+ *                       type: integer
+ *                       description: Store inventory rows removed
+ *       400:
+ *         description: Invalid book ID or parameters
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       404:
+ *         description: Book not found
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       409:
+ *         description: Stores still carry the book and cascade was not requested, or the book is on a pending or in-transit transfer
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ */
+router.delete(
+  '/:id',
+  [
+    bookIdValidator,
+    query('cascade')
+      .optional()
+      .isBoolean()
+      .withMessage('cascade must be true or false')
+      .toBoolean(),
+  ],
+  async (req, res, next) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          errors: errors.array(),
+        });
+      }
+
+      const bookId = parseInt(req.params.id, 10);
+      const book = await bookService.getBook(bookId);
+
+      if (!book) {
+        return res.status(404).json({
+          success: false,
+          error: `Book with ID ${bookId} not found.`,
+        });
+      }
+
+      const storeCount = await bookService.countStores(bookId);
+      if (storeCount > 0 && !req.query.cascade) {
+        return res.status(409).json({
+          success: false,
+          error: `Book ${bookId} is in the inventory of ${storeCount} store(s). Pass cascade=true to remove it from them and delete it.`,
+        });
+      }
+
+      const removed = await bookService.deleteBook(book);
+
+      return res.json({
+        success: true,
+        message: `Book ${bookId} deleted.`,
+        data: removed,
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
+module.exports = router;
@@ -0,0 +1,410 @@
+const express = require('express');
+const { body, param, validationResult } = require('express-validator');
+const importProfileService = require('../services/importProfileService');
+
+const router = express.Router();
+
+/**
+ * Validation for profile settings; name is only required on create
+ * @param {boolean} requireName - Whether the name must be present
+ * @returns {Array} - express-validator chains
+ */
+const profileValidators = (requireName) => [
+  (requireName ? body('name') : body('name').optional())
+    .isString()
+    .trim()
+    .isLength({ min: 1, max: 100 })
+    .withMessage('Name must be between 1 and 100 characters'),
+  body('description')
+    .optional({ nullable: true })
+    .isString()
+    .withMessage('Description must be a string'),
+  body('headerAliases')
+    .optional()
+    .isObject()
+    .withMessage('headerAliases must be an object of field -> header names'),
+  body('delimiter')
+    .optional()
+    .isString()
+    .isLength({ min: 1, max: 1 })
+    .withMessage('Delimiter must be a single character'),
+  body('quote')
+    .optional()
+    .isString()
+    .isLength({ min: 1, max: 1 })
+    .withMessage('Quote must be a single character'),
+  body('encoding')
+    .optional()
+    .isString()
+    .trim()
+    .notEmpty()
+    .withMessage('Encoding must be an encoding label such as windows-1252'),
+  body('numberLocale')
+    .optional({ nullable: true })
+    .isString()
+    .trim()
+    .notEmpty()
+    .withMessage('numberLocale must be a locale such as de-DE'),
+];
+
+const profileIdValidator = param('id')
+  .isInt({ min: 1 })
+  .withMessage('Profile ID must be a positive integer');
+
+/**
+ * @swagger
+ * /api/inventory/profiles:
+ *   get:
+ *     summary: List import profiles
+ *     description: Retrieve all CSV import profiles, sorted by name
+ *     tags: [Import Profiles]
+ *     responses:
+ *       200:
+ *         description: List of import profiles
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: true
+ *                 data:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/ImportProfile'
+ *                 count:
+ *                   type: integer
+ *                   example: 2
+ */
+router.get('/', async (req, res, next) => {
+  try {
+    const profiles = await importProfileService.listProfiles();
+
+    return res.json({
+      success: true,
+      data: profiles.map((p) => importProfileService.serialize(p)),
+      count: profiles.length,
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * @swagger
+ * /api/inventory/profiles:
+ *   post:
+ *     summary: Create an import profile
+ *     description: |
+ *       Define how a supplier's CSV files are read. Select the profile on upload with
+ *       `profile=<id or name>`.
+ *       - `headerAliases` maps our import fields to the supplier's headers, e.g.
+ *         `{ "book_name": ["Title"], "author_name": ["Writer"], "price": ["Retail Price"] }`.
+ *         Headers are matched case-insensitively, ignoring surrounding spaces.
+ *       - `delimiter` and `quote` are single characters (defaults `,` and `"`).
+ *       - `encoding` is a WHATWG encoding label such as `utf-8`, `windows-1252` or `utf-16le`.
+ *       - `numberLocale` is the locale numbers are written in, e.g. `de-DE` reads
+ *         `1.234,56` as 1234.56. Leave it empty for plain `1234.56`.
+ *     tags: [Import Profiles]
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/ImportProfileInput'
+ *     responses:
+ *       201:
+ *         description: Import profile created
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: true
+ *                 data:
+ *                   $ref: '#/components/schemas/ImportProfile'
+ *       400:
+ *         description: Invalid profile settings
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       409:
+ *         description: A profile with this name already exists
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ */
+router.post('/', profileValidators(true), async (req, res, next) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        errors: errors.array(),
+      });
+    }
+
+    if (await importProfileService.findByName(req.body.name)) {
+      return res.status(409).json({
+        success: false,
+        error: `Import profile "${req.body.name}" already exists.`,
+      });
+    }
+
+    const profile = await importProfileService.createProfile(req.body);
+
+    res.setHeader('Location', `/api/inventory/profiles/${profile.id}`);
+    return res.status(201).json({
+      success: true,
+      data: importProfileService.serialize(profile),
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * @swagger
+ * /api/inventory/profiles/{id}:
+ *   get:
+ *     summary: Get an import profile
+ *     tags: [Import Profiles]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *           minimum: 1
+ *         description: Import profile ID
+ *     responses:
+ *       200:
+ *         description: Import profile details
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: true
+ *                 data:
+ *                   $ref: '#/components/schemas/ImportProfile'
+ *       400:
+ *         description: Invalid profile ID
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       404:
+ *         description: Import profile not found
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ */
+router.get('/:id', [profileIdValidator], async (req, res, next) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        errors: errors.array(),
+      });
+    }
+
+    const profileId = parseInt(req.params.id, 10);
+    const profile = await importProfileService.getProfile(profileId);
+
+    if (!profile) {
+      return res.status(404).json({
+        success: false,
+        error: `Import profile with ID ${profileId} not found.`,
+      });
+    }
+
+    return res.json({
+      success: true,
+      data: importProfileService.serialize(profile),
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * @swagger
+ * /api/inventory/profiles/{id}:
+ *   put:
+ *     summary: Update an import profile
+ *     description: Change the given settings; fields left out keep their values. Jobs already queued keep the settings they were uploaded with.
+ *     tags: [Import Profiles]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *           minimum: 1
+ *         description: Import profile ID
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/ImportProfileInput'
+ *     responses:
+ *       200:
+ *         description: Import profile updated
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: true
+ *                 data:
+ *                   $ref: '#/components/schemas/ImportProfile'
+ *       400:
+ *         description: Invalid profile ID or settings
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       404:
+ *         description: Import profile not found
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       409:
+ *         description: Another profile already has this name
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ */
+router.put(
+  '/:id',
+  [profileIdValidator, ...profileValidators(false)],
+  async (req, res, next) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          errors: errors.array(),
+        });
+      }
+
+      const profileId = parseInt(req.params.id, 10);
+      const profile = await importProfileService.getProfile(profileId);
+
+      if (!profile) {
+        return res.status(404).json({
+          success: false,
+          error: `Import profile with ID ${profileId} not found.`,
+        });
+      }
+
+      if (req.body.name && req.body.name !== profile.name) {
+        if (await importProfileService.findByName(req.body.name)) {
+          return res.status(409).json({
+            success: false,
+            error: `Import profile "${req.body.name}" already exists.`,
+          });
+        }
+      }
+
+      await importProfileService.updateProfile(profile, req.body);
+
+      return res.json({
+        success: true,
+        data: importProfileService.serialize(profile),
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
+/**
+ * @swagger
+ * /api/inventory/profiles/{id}:
+ *   delete:
+ *     summary: Delete an import profile
+ *     description: Import jobs that used the profile keep a copy of its settings.
+ *     tags: [Import Profiles]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *           minimum: 1
+ *         description: Import profile ID
+ *     responses:
+ *       200:
+ *         description: Import profile deleted
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: true
+ *                 message:
+ *                   type: string
+ *                   example: Import profile 3 deleted.
+ *       400:
+ *         description: Invalid profile ID
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       404:
+ *         description: Import profile not found
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ */
+router.delete('/:id', [profileIdValidator], async (req, res, next) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        errors: errors.array(),
+      });
+    }
+
+    const profileId = parseInt(req.params.id, 10);
+    const profile = await importProfileService.getProfile(profileId);
+
+    if (!profile) {
+      return res.status(404).json({
+        success: false,
+        error: `Import profile with ID ${profileId} not found.`,
+      });
+    }
+
+    await importProfileService.deleteProfile(profile);
+
+    return res.json({
+      success: true,
+      message: `Import profile ${profileId} deleted.`,
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+module.exports = router;
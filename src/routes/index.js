@@ -1,6 +1,13 @@
 const express = require('express');
+const authorRoutes = require('./authors');
+const bookRoutes = require('./books');
 const inventoryRoutes = require('./inventory');
+const importProfileRoutes = require('./importProfiles');
+const reportRoutes = require('./reports');
+const reportTemplateRoutes = require('./reportTemplates');
+const searchRoutes = require('./search');
 const storeRoutes = require('./store');
+const transferRoutes = require('./transfers');
 
 const router = express.Router();
 
@@ -38,7 +45,14 @@ router.get('/health', (req, res) => {
 });
 
 // Mount routes
+router.use('/inventory/profiles', importProfileRoutes);
 router.use('/inventory', inventoryRoutes);
 router.use('/store', storeRoutes);
+router.use('/reports/templates', reportTemplateRoutes);
+router.use('/reports', reportRoutes);
+router.use('/authors', authorRoutes);
+router.use('/books', bookRoutes);
+router.use('/transfers', transferRoutes);
+router.use('/search', searchRoutes);
 
 module.exports = router;
@@ -1,42 +1,217 @@
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const { once } = require('events');
 const express = require('express');
 const multer = require('multer');
-const { body, validationResult } = require('express-validator');
-const inventoryService = require('../services/inventoryService');
+const {
+  body,
+  header,
+  param,
+  query,
+  validationResult,
+} = require('express-validator');
+const importJobService = require('../services/importJobService');
+const importProfileService = require('../services/importProfileService');
+const { ImportJob } = require('../models');
+const uploadConfig = require('../config/upload');
 
 const router = express.Router();
 
-// Configure multer for file upload
-const storage = multer.memoryStorage();
+const UNSUPPORTED_FILE_MESSAGE =
+  'Only CSV, XLSX, JSON and NDJSON files are allowed';
+
+/**
+ * Work out an upload's format from its extension, falling back to its mimetype
+ * @param {Object} file - Multer file info ({ originalname, mimetype })
+ * @returns {string|null} - 'csv', 'xlsx', 'json', 'ndjson', or null if unsupported
+ */
+const detectFormat = (file) => {
+  const formats = Object.entries(uploadConfig.formats);
+  const extension = path.extname(file.originalname).toLowerCase();
+
+  const byExtension = formats.find(([, f]) => f.extensions.includes(extension));
+  if (byExtension) return byExtension[0];
+
+  const byMimetype = formats.find(([, f]) =>
+    f.mimetypes.includes(file.mimetype)
+  );
+  return byMimetype ? byMimetype[0] : null;
+};
+
+// Configure multer to stream uploads to disk instead of buffering in memory
+const storage = multer.diskStorage({
+  destination: uploadConfig.uploadDir,
+  filename: (req, file, cb) => {
+    cb(null, `inventory-${Date.now()}-${crypto.randomUUID()}.${file.format}`);
+  },
+});
 const upload = multer({
   storage: storage,
   limits: {
-    fileSize: 10 * 1024 * 1024, // 10MB limit
+    fileSize: uploadConfig.maxFileSize,
   },
   fileFilter: (req, file, cb) => {
-    // Accept only CSV files
-    if (
-      file.mimetype === 'text/csv' ||
-      file.originalname.toLowerCase().endsWith('.csv')
-    ) {
+    // Accept only formats the parser worker can read
+    file.format = detectFormat(file);
+    if (file.format) {
       cb(null, true);
     } else {
-      cb(new Error('Only CSV files are allowed'), false);
+      cb(new Error(UNSUPPORTED_FILE_MESSAGE), false);
     }
   },
 });
 
+/**
+ * Remove the uploaded file once the response is sent, unless an import
+ * job has taken it over (signalled via res.locals.uploadClaimed)
+ */
+const discardUnclaimedUpload = (req, res, next) => {
+  res.on('close', () => {
+    if (req.file && !res.locals.uploadClaimed) {
+      fs.promises.unlink(req.file.path).catch(() => {});
+    }
+  });
+  next();
+};
+
+/**
+ * Answer a repeated upload with the import it repeats
+ * @param {Object} res - Express response
+ * @param {Object} original - ImportJob instance repeated
+ * @param {string} [idempotencyKey] - Idempotency-Key sent with the upload
+ */
+const sendDuplicate = (res, original, idempotencyKey) => {
+  res.setHeader('Location', `/api/inventory/jobs/${original.id}`);
+  return res.status(200).json({
+    success: true,
+    duplicate: true,
+    message: idempotencyKey
+      ? `This Idempotency-Key was already used for job ${original.id}.`
+      : `This file was already imported as job ${original.id}. Pass force=true to import it again.`,
+    data: importJobService.serialize(original),
+  });
+};
+
 /**
  * @swagger
  * /api/inventory/upload:
  *   post:
- *     summary: Upload CSV file to ingest inventory data
+ *     summary: Upload an inventory file (CSV, XLSX, JSON or NDJSON)
  *     description: |
- *       Parse a CSV file and ingest the data into the database.
+ *       Queue a file for ingestion and return immediately with an import job.
+ *       The file is parsed and ingested in the background; poll
+ *       `GET /api/inventory/jobs/{id}` for status, progress and final results.
  *       - Creates new stores, authors, and books if they don't exist
- *       - If the store already stocks the specific book, increments the number of copies
- *       
- *       **CSV Format:** store_name, store_address, book_name, pages, author_name, price, logo
+ *       - If the store already stocks the specific book, merges the row into its inventory
+ *
+ *       Each row adds the number of copies in its optional `copies` (or `quantity`) column,
+ *       1 if the file has none. `mergeStrategy` controls how that combines with stock:
+ *       - `add` (default) - add the row's copies to the store's current copies
+ *       - `set` - replace the store's copies with the row's copies
+ *       - `replace-store` - empty each store mentioned in the file before its first row,
+ *         then add rows; books the file does not list are left with 0 copies and sold out
+ *
+ *       `pricePolicy` picks the price of a book the store already stocks: `latest`
+ *       (default, the row's price), `keep` (the existing price), `max` or `min` of the two.
+ *       Books whose copies end up at 0 are marked sold out.
+ *
+ *       With `dryRun=true` the full pipeline (validation and database lookups) runs inside a
+ *       transaction that is rolled back, and the job results include a per-row `preview`
+ *       of the stores, authors, books and inventory rows that would be created or changed.
+ *       Only the first 100 rows are kept there; `GET /api/inventory/imports/{id}/preview`
+ *       pages through all of them.
+ *
+ *       With `atomic=true` the whole file is applied in a single transaction. If any row
+ *       fails (including validation errors) everything is rolled back, the job ends as
+ *       `failed` and its error report lists every row error. By default each row is committed
+ *       on its own and failing rows are skipped.
+ *
+ *       With `bulk=true` rows are ingested with set-based batched upserts: stores, authors
+ *       and books are deduplicated in memory and copies are aggregated per (store, book)
+ *       before a single batched upsert into inventory. Much faster for large files; the
+ *       database work runs in one transaction and cannot be combined with `dryRun`.
+ *
+ *       Uploads are idempotent. A request carrying an `Idempotency-Key` header that was
+ *       already used returns the original upload instead of queuing a new one. Dry runs
+ *       and imports are matched separately, so a key used for a dry run can be sent
+ *       again to run the import. A key cannot be combined with `force=true`. Without a key,
+ *       a file whose SHA-256 matches an earlier import that was not a dry run, did not
+ *       fail and was not reverted is treated as a duplicate in the same way. Pass
+ *       `force=true` to import it again anyway. Dry runs are never deduplicated by
+ *       checksum.
+ *
+ *       Pass `profile` (an import profile ID or name, see `/api/inventory/profiles`) to
+ *       read supplier files with their own header names, delimiter, quote character,
+ *       encoding and number format.
+ *
+ *       **Columns:** store_name, store_address, book_name, pages, author_name, price, logo, copies,
+ *       isbn, publisher, publication_year, language, genre
+ *
+ *       Books are matched by `isbn` first when a row has one, then by title and author.
+ *
+ *       The format is detected from the file extension, then the mimetype:
+ *       - `.csv` - header row followed by data rows
+ *       - `.xlsx` - the first worksheet, or the one named by `sheet`; the first non-empty
+ *         row holds the headers. Errors report spreadsheet row numbers
+ *       - `.json` - an array of objects keyed by column; row N is the Nth object
+ *       - `.ndjson` / `.jsonl` - one object per line; row N is line N
  *     tags: [Inventory]
+ *     parameters:
+ *       - in: query
+ *         name: dryRun
+ *         schema:
+ *           type: boolean
+ *           default: false
+ *         description: Preview the import without committing any changes
+ *       - in: query
+ *         name: atomic
+ *         schema:
+ *           type: boolean
+ *           default: false
+ *         description: Roll back the whole file if any row fails
+ *       - in: query
+ *         name: bulk
+ *         schema:
+ *           type: boolean
+ *           default: false
+ *         description: Use batched set-based ingestion for large files
+ *       - in: query
+ *         name: mergeStrategy
+ *         schema:
+ *           type: string
+ *           enum: [add, set, replace-store]
+ *           default: add
+ *         description: How row copies combine with existing inventory
+ *       - in: query
+ *         name: pricePolicy
+ *         schema:
+ *           type: string
+ *           enum: [latest, keep, max, min]
+ *           default: latest
+ *         description: Which price to keep for books the store already stocks
+ *       - in: query
+ *         name: sheet
+ *         schema:
+ *           type: string
+ *         description: XLSX worksheet to import (defaults to the first sheet)
+ *       - in: query
+ *         name: profile
+ *         schema:
+ *           type: string
+ *         description: Import profile ID or name to parse the file with
+ *       - in: query
+ *         name: force
+ *         schema:
+ *           type: boolean
+ *           default: false
+ *         description: Import even if the file was already imported; cannot be combined with an Idempotency-Key
+ *       - in: header
+ *         name: Idempotency-Key
+ *         schema:
+ *           type: string
+ *           maxLength: 255
+ *         description: Client-chosen key identifying this upload across retries; each key can be used once for a dry run and once for the import
  *     requestBody:
  *       required: true
  *       content:
@@ -49,64 +224,969 @@ const upload = multer({
  *               file:
  *                 type: string
  *                 format: binary
- *                 description: CSV file to upload (max 10MB)
+ *                 description: CSV, XLSX, JSON or NDJSON file to upload (max 100MB by default, see MAX_UPLOAD_SIZE_MB)
+ *               dryRun:
+ *                 type: boolean
+ *                 description: Same as the dryRun query parameter
+ *               atomic:
+ *                 type: boolean
+ *                 description: Same as the atomic query parameter
+ *               bulk:
+ *                 type: boolean
+ *                 description: Same as the bulk query parameter
+ *               mergeStrategy:
+ *                 type: string
+ *                 description: Same as the mergeStrategy query parameter
+ *               pricePolicy:
+ *                 type: string
+ *                 description: Same as the pricePolicy query parameter
+ *               sheet:
+ *                 type: string
+ *                 description: Same as the sheet query parameter
+ *               profile:
+ *                 type: string
+ *                 description: Same as the profile query parameter
+ *               force:
+ *                 type: boolean
+ *                 description: Same as the force query parameter
+ *     responses:
+ *       200:
+ *         description: Duplicate upload - the original import is returned and nothing is queued
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: true
+ *                 duplicate:
+ *                   type: boolean
+ *                   example: true
+ *                 message:
+ *                   type: string
+ *                   example: This file was already imported as job 4. Pass force=true to import it again.
+ *                 data:
+ *                   $ref: '#/components/schemas/ImportJob'
+ *       202:
+ *         description: File accepted and queued for processing
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: true
+ *                 message:
+ *                   type: string
+ *                   example: File accepted for processing.
+ *                 data:
+ *                   $ref: '#/components/schemas/ImportJob'
+ *       400:
+ *         description: Bad request - No file uploaded, empty or unsupported file, unknown profile, or force with an Idempotency-Key
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ */
+router.post(
+  '/upload',
+  upload.single('file'),
+  discardUnclaimedUpload,
+  [
+    query('dryRun')
+      .optional()
+      .isBoolean()
+      .withMessage('dryRun must be true or false')
+      .toBoolean(),
+    body('dryRun')
+      .optional()
+      .isBoolean()
+      .withMessage('dryRun must be true or false')
+      .toBoolean(),
+    query('atomic')
+      .optional()
+      .isBoolean()
+      .withMessage('atomic must be true or false')
+      .toBoolean(),
+    body('atomic')
+      .optional()
+      .isBoolean()
+      .withMessage('atomic must be true or false')
+      .toBoolean(),
+    query('bulk')
+      .optional()
+      .isBoolean()
+      .withMessage('bulk must be true or false')
+      .toBoolean(),
+    body('bulk')
+      .optional()
+      .isBoolean()
+      .withMessage('bulk must be true or false')
+      .toBoolean(),
+    query('force')
+      .optional()
+      .isBoolean()
+      .withMessage('force must be true or false')
+      .toBoolean(),
+    body('force')
+      .optional()
+      .isBoolean()
+      .withMessage('force must be true or false')
+      .toBoolean(),
+    query('mergeStrategy')
+      .optional()
+      .isIn(ImportJob.MERGE_STRATEGIES)
+      .withMessage(
+        `mergeStrategy must be one of: ${ImportJob.MERGE_STRATEGIES.join(', ')}`
+      ),
+    body('mergeStrategy')
+      .optional()
+      .isIn(ImportJob.MERGE_STRATEGIES)
+      .withMessage(
+        `mergeStrategy must be one of: ${ImportJob.MERGE_STRATEGIES.join(', ')}`
+      ),
+    query('pricePolicy')
+      .optional()
+      .isIn(ImportJob.PRICE_POLICIES)
+      .withMessage(
+        `pricePolicy must be one of: ${ImportJob.PRICE_POLICIES.join(', ')}`
+      ),
+    body('pricePolicy')
+      .optional()
+      .isIn(ImportJob.PRICE_POLICIES)
+      .withMessage(
+        `pricePolicy must be one of: ${ImportJob.PRICE_POLICIES.join(', ')}`
+      ),
+    query('sheet')
+      .optional()
+      .isString()
+      .trim()
+      .isLength({ min: 1, max: 255 })
+      .withMessage('sheet must be between 1 and 255 characters'),
+    body('sheet')
+      .optional()
+      .isString()
+      .trim()
+      .isLength({ min: 1, max: 255 })
+      .withMessage('sheet must be between 1 and 255 characters'),
+    query('profile')
+      .optional()
+      .isString()
+      .trim()
+      .notEmpty()
+      .withMessage('profile must be a profile ID or name'),
+    body('profile')
+      .optional()
+      .isString()
+      .trim()
+      .notEmpty()
+      .withMessage('profile must be a profile ID or name'),
+    header('idempotency-key')
+      .optional()
+      .isString()
+      .trim()
+      .isLength({ min: 1, max: 255 })
+      .withMessage('Idempotency-Key must be between 1 and 255 characters'),
+  ],
+  async (req, res, next) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          errors: errors.array(),
+        });
+      }
+
+      // Check if file was uploaded
+      if (!req.file) {
+        return res.status(400).json({
+          success: false,
+          error:
+            'No file uploaded. Please upload a CSV, XLSX, JSON or NDJSON file.',
+        });
+      }
+
+      // Check if file has content
+      if (req.file.size === 0) {
+        return res.status(400).json({
+          success: false,
+          error: 'Uploaded file is empty.',
+        });
+      }
+
+      const dryRun = Boolean(req.query.dryRun || req.body.dryRun);
+      const atomic = Boolean(req.query.atomic || req.body.atomic);
+      const bulk = Boolean(req.query.bulk || req.body.bulk);
+      const force = Boolean(req.query.force || req.body.force);
+      const mergeStrategy =
+        req.query.mergeStrategy || req.body.mergeStrategy || 'add';
+      const pricePolicy =
+        req.query.pricePolicy || req.body.pricePolicy || 'latest';
+      const idempotencyKey = req.get('Idempotency-Key');
+
+      if (dryRun && bulk) {
+        return res.status(400).json({
+          success: false,
+          error: 'Dry runs are not supported in bulk mode.',
+        });
+      }
+
+      if (force && idempotencyKey) {
+        return res.status(400).json({
+          success: false,
+          error:
+            'force cannot be used with an Idempotency-Key, which always returns the upload first made with it. Send a new key to import the file again.',
+        });
+      }
+
+      const sheet = req.query.sheet || req.body.sheet;
+      if (sheet && req.file.format !== 'xlsx') {
+        return res.status(400).json({
+          success: false,
+          error: 'sheet can only be used with XLSX files.',
+        });
+      }
+
+      const profileRef = req.query.profile || req.body.profile;
+      const profile = profileRef
+        ? await importProfileService.resolveProfile(profileRef)
+        : null;
+      if (profileRef && !profile) {
+        return res.status(400).json({
+          success: false,
+          error: `Import profile "${profileRef}" not found.`,
+        });
+      }
+
+      const checksum = await importJobService.computeChecksum(req.file.path);
+
+      // Return the original upload for repeated ones. Keys of imports are
+      // also checked by the unique index when the job is inserted, so
+      // concurrent retries cannot both queue one.
+      if (idempotencyKey || (!dryRun && !force)) {
+        const original = await importJobService.findDuplicate({
+          checksum,
+          idempotencyKey,
+          dryRun,
+        });
+        if (original) return sendDuplicate(res, original, idempotencyKey);
+      }
+
+      // Queue the CSV file for background processing
+      let job;
+      try {
+        job = await importJobService.enqueue(req.file, {
+          dryRun,
+          atomic,
+          bulk,
+          mergeStrategy,
+          pricePolicy,
+          format: req.file.format,
+          sheet,
+          profile,
+          checksum,
+          idempotencyKey,
+        });
+      } catch (error) {
+        if (
+          !idempotencyKey ||
+          error.name !== 'SequelizeUniqueConstraintError'
+        ) {
+          throw error;
+        }
+        const original = await importJobService.findDuplicate({
+          idempotencyKey,
+        });
+        return sendDuplicate(res, original, idempotencyKey);
+      }
+      res.locals.uploadClaimed = true;
+
+      res.setHeader('Location', `/api/inventory/jobs/${job.id}`);
+      return res.status(202).json({
+        success: true,
+        message: dryRun
+          ? 'File accepted for dry run. No changes will be committed.'
+          : 'File accepted for processing.',
+        data: importJobService.serialize(job),
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
+/**
+ * @swagger
+ * /api/inventory/jobs:
+ *   get:
+ *     summary: List import jobs
+ *     description: Retrieve import jobs, newest first. Results are omitted; fetch a single job for them.
+ *     tags: [Inventory]
+ *     parameters:
+ *       - in: query
+ *         name: status
+ *         schema:
+ *           type: string
+ *           enum: [queued, parsing, importing, done, failed]
+ *         description: Only return jobs in this state
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           minimum: 1
+ *           maximum: 100
+ *           default: 20
+ *       - in: query
+ *         name: offset
+ *         schema:
+ *           type: integer
+ *           minimum: 0
+ *           default: 0
+ *     responses:
+ *       200:
+ *         description: List of import jobs
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: true
+ *                 data:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/ImportJob'
+ *                 count:
+ *                   type: integer
+ *                   example: 3
+ *       400:
+ *         description: Invalid query parameters
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ */
+router.get(
+  '/jobs',
+  [
+    query('status')
+      .optional()
+      .isIn(ImportJob.STATUSES)
+      .withMessage(`Status must be one of: ${ImportJob.STATUSES.join(', ')}`),
+    query('limit')
+      .optional()
+      .isInt({ min: 1, max: 100 })
+      .withMessage('Limit must be an integer between 1 and 100'),
+    query('offset')
+      .optional()
+      .isInt({ min: 0 })
+      .withMessage('Offset must be a non-negative integer'),
+  ],
+  async (req, res, next) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          errors: errors.array(),
+        });
+      }
+
+      const { rows, count } = await importJobService.listJobs({
+        status: req.query.status,
+        limit: req.query.limit ? parseInt(req.query.limit, 10) : undefined,
+        offset: req.query.offset ? parseInt(req.query.offset, 10) : undefined,
+      });
+
+      return res.json({
+        success: true,
+        data: rows.map((job) => importJobService.serialize(job)),
+        count,
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
+/**
+ * @swagger
+ * /api/inventory/jobs/{id}:
+ *   get:
+ *     summary: Get import job status
+ *     description: Retrieve the state, progress counts and, once finished, the results of an import job
+ *     tags: [Inventory]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *           minimum: 1
+ *         description: Import job ID
  *     responses:
  *       200:
- *         description: CSV processed successfully
+ *         description: Import job details
  *         content:
  *           application/json:
  *             schema:
- *               $ref: '#/components/schemas/UploadResult'
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: true
+ *                 data:
+ *                   $ref: '#/components/schemas/ImportJob'
  *       400:
- *         description: Bad request - No file uploaded, empty file, or invalid CSV
+ *         description: Invalid job ID
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       404:
+ *         description: Import job not found
  *         content:
  *           application/json:
  *             schema:
  *               $ref: '#/components/schemas/Error'
  */
-router.post('/upload', upload.single('file'), async (req, res, next) => {
-  try {
-    // Check if file was uploaded
-    if (!req.file) {
-      return res.status(400).json({
-        success: false,
-        error: 'No file uploaded. Please upload a CSV file.',
+router.get(
+  '/jobs/:id',
+  [
+    param('id')
+      .isInt({ min: 1 })
+      .withMessage('Job ID must be a positive integer'),
+  ],
+  async (req, res, next) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          errors: errors.array(),
+        });
+      }
+
+      const jobId = parseInt(req.params.id, 10);
+      const job = await importJobService.getJob(jobId);
+
+      if (!job) {
+        return res.status(404).json({
+          success: false,
+          error: `Import job with ID ${jobId} not found.`,
+        });
+      }
+
+      return res.json({
+        success: true,
+        data: importJobService.serialize(job),
       });
+    } catch (error) {
+      next(error);
     }
+  }
+);
+
+/**
+ * @swagger
+ * /api/inventory/imports/{id}/changes:
+ *   get:
+ *     summary: List inventory changes made by an import
+ *     description: |
+ *       Ledger of every store inventory change an import made: copies added,
+ *       and the price and sold-out flag before the change. Import IDs are the
+ *       job IDs returned by the upload endpoint.
+ *     tags: [Inventory]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *           minimum: 1
+ *         description: Import job ID
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           minimum: 1
+ *           maximum: 1000
+ *           default: 100
+ *       - in: query
+ *         name: offset
+ *         schema:
+ *           type: integer
+ *           minimum: 0
+ *           default: 0
+ *     responses:
+ *       200:
+ *         description: Inventory changes
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: true
+ *                 data:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/InventoryChange'
+ *                 count:
+ *                   type: integer
+ *                   example: 16
+ *       400:
+ *         description: Invalid parameters
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       404:
+ *         description: Import not found
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ */
+router.get(
+  '/imports/:id/changes',
+  [
+    param('id')
+      .isInt({ min: 1 })
+      .withMessage('Import ID must be a positive integer'),
+    query('limit')
+      .optional()
+      .isInt({ min: 1, max: 1000 })
+      .withMessage('Limit must be an integer between 1 and 1000'),
+    query('offset')
+      .optional()
+      .isInt({ min: 0 })
+      .withMessage('Offset must be a non-negative integer'),
+  ],
+  async (req, res, next) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          errors: errors.array(),
+        });
+      }
+
+      const jobId = parseInt(req.params.id, 10);
+      const job = await importJobService.getJob(jobId);
+
+      if (!job) {
+        return res.status(404).json({
+          success: false,
+          error: `Import with ID ${jobId} not found.`,
+        });
+      }
 
-    // Check if file has content
-    if (req.file.size === 0) {
-      return res.status(400).json({
-        success: false,
-        error: 'Uploaded file is empty.',
+      const { rows, count } = await importJobService.listChanges(jobId, {
+        limit: req.query.limit ? parseInt(req.query.limit, 10) : undefined,
+        offset: req.query.offset ? parseInt(req.query.offset, 10) : undefined,
       });
+
+      return res.json({
+        success: true,
+        data: rows,
+        count,
+      });
+    } catch (error) {
+      next(error);
     }
+  }
+);
+
+/**
+ * @swagger
+ * /api/inventory/imports/{id}/preview:
+ *   get:
+ *     summary: List the changes a dry run found
+ *     description: |
+ *       Every row of a dry run with what it would change, in file order. The job's
+ *       `results.preview` only keeps the first 100 rows. Rows are stored as the dry
+ *       run goes, so a running dry run lists the rows checked so far.
+ *     tags: [Inventory]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *           minimum: 1
+ *         description: Import job ID
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           minimum: 1
+ *           maximum: 1000
+ *           default: 100
+ *       - in: query
+ *         name: offset
+ *         schema:
+ *           type: integer
+ *           minimum: 0
+ *           default: 0
+ *     responses:
+ *       200:
+ *         description: Preview rows
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: true
+ *                 data:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/PreviewRow'
+ *                 count:
+ *                   type: integer
+ *                   example: 2500
+ *       400:
+ *         description: Invalid parameters, or the import is not a dry run
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       404:
+ *         description: Import not found
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ */
+router.get(
+  '/imports/:id/preview',
+  [
+    param('id')
+      .isInt({ min: 1 })
+      .withMessage('Import ID must be a positive integer'),
+    query('limit')
+      .optional()
+      .isInt({ min: 1, max: 1000 })
+      .withMessage('Limit must be an integer between 1 and 1000'),
+    query('offset')
+      .optional()
+      .isInt({ min: 0 })
+      .withMessage('Offset must be a non-negative integer'),
+  ],
+  async (req, res, next) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          errors: errors.array(),
+        });
+      }
+
+      const jobId = parseInt(req.params.id, 10);
+      const job = await importJobService.getJob(jobId);
 
-    // Process the CSV file
-    const results = await inventoryService.processCSV(req.file.buffer);
+      if (!job) {
+        return res.status(404).json({
+          success: false,
+          error: `Import with ID ${jobId} not found.`,
+        });
+      }
 
-    // Determine response status based on results
-    const hasErrors = results.errors.length > 0;
-    const hasSuccesses = results.processed > 0;
+      if (!job.dry_run) {
+        return res.status(400).json({
+          success: false,
+          error: `Import ${jobId} is not a dry run. See its changes instead.`,
+        });
+      }
 
-    if (!hasSuccesses && hasErrors) {
-      return res.status(400).json({
-        success: false,
-        message: 'Failed to process any rows from the CSV file.',
-        results,
+      const { rows, count } = await importJobService.listPreview(jobId, {
+        limit: req.query.limit ? parseInt(req.query.limit, 10) : undefined,
+        offset: req.query.offset ? parseInt(req.query.offset, 10) : undefined,
       });
+
+      return res.json({
+        success: true,
+        data: rows,
+        count,
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
+/**
+ * @swagger
+ * /api/inventory/imports/{id}/errors.csv:
+ *   get:
+ *     summary: Download the rows an import rejected
+ *     description: |
+ *       CSV of every row the import rejected: the row's original columns followed by
+ *       `row_number`, `error_code` and `error_message`. Fix the rows and upload the file
+ *       again to import just the failures (the extra columns are ignored).
+ *
+ *       Error codes are stable:
+ *       - `MISSING_REQUIRED_FIELDS`, `INVALID_PRICE`, `INVALID_PAGES`, `INVALID_COPIES`,
+ *         `INVALID_ISBN`, `INVALID_YEAR`, `INVALID_LANGUAGE` - row validation
+ *       - `INVALID_JSON`, `INVALID_RECORD` - NDJSON/JSON entries that are not objects
+ *       - `VALIDATION_FAILED`, `CONSTRAINT_VIOLATION`, `DATABASE_ERROR` - rejected by the database
+ *       - `PROCESSING_FAILED` - any other failure
+ *     tags: [Inventory]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *           minimum: 1
+ *         description: Import job ID
+ *     responses:
+ *       200:
+ *         description: Error report (header only if no rows were rejected)
+ *         content:
+ *           text/csv:
+ *             schema:
+ *               type: string
+ *       400:
+ *         description: Invalid import ID
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       404:
+ *         description: Import not found
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       409:
+ *         description: Import is still running
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ */
+router.get(
+  '/imports/:id/errors.csv',
+  [
+    param('id')
+      .isInt({ min: 1 })
+      .withMessage('Import ID must be a positive integer'),
+  ],
+  async (req, res, next) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          errors: errors.array(),
+        });
+      }
+
+      const jobId = parseInt(req.params.id, 10);
+      const job = await importJobService.getJob(jobId);
+
+      if (!job) {
+        return res.status(404).json({
+          success: false,
+          error: `Import with ID ${jobId} not found.`,
+        });
+      }
+
+      if (!job.finished_at) {
+        return res.status(409).json({
+          success: false,
+          error: `Import ${jobId} is still ${job.status}. Try again once it has finished.`,
+        });
+      }
+
+      res.setHeader('Content-Type', 'text/csv; charset=utf-8');
+      res.setHeader(
+        'Content-Disposition',
+        `attachment; filename="import-${jobId}-errors.csv"`
+      );
+
+      // Stream the report so large error sets are never buffered
+      for await (const lines of importJobService.errorReportLines(job)) {
+        if (!res.write(lines)) {
+          await Promise.race([once(res, 'drain'), once(res, 'close')]);
+          // The client went away; stop reading the report
+          if (res.destroyed) return;
+        }
+      }
+      return res.end();
+    } catch (error) {
+      if (res.headersSent) return res.destroy(error);
+      next(error);
     }
+  }
+);
+
+/**
+ * @swagger
+ * /api/inventory/imports/{id}/revert:
+ *   post:
+ *     summary: Revert an import
+ *     description: |
+ *       Reverse the inventory changes made by a finished import: copies it added
+ *       are removed, prices and sold-out flags are restored to their values before
+ *       the import, and inventory rows it created are deleted once no copies remain.
+ *       Stores, authors and books created by the import are kept. A failed import
+ *       is reverted as far as it got; one that failed before changing anything has
+ *       nothing to revert.
+ *
+ *       If a later import changed any of the same inventory rows the revert is
+ *       refused with 409 and the conflicting import IDs, unless `force=true`.
+ *     tags: [Inventory]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *           minimum: 1
+ *         description: Import job ID
+ *       - in: query
+ *         name: force
+ *         schema:
+ *           type: boolean
+ *           default: false
+ *         description: Revert even if later imports touched the same inventory rows
+ *     responses:
+ *       200:
+ *         description: Import reverted
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: true
+ *                 message:
+ *                   type: string
+ *                   example: Import 3 reverted.
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     import:
+ *                       $ref: '#/components/schemas/ImportJob'
+ *                     summary:
+ *                       type: object
+ *                       properties:
+ *                         restored:
+ *                           type: integer
+ *                           example: 12
+ *                         removed:
+ *                           type: integer
+ *                           example: 4
+ *                         missing:
+ *                           type: integer
+ *                           example: 0
+ *       400:
+ *         description: Invalid import ID, or the import was a dry run
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       404:
+ *         description: Import not found
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       409:
+ *         description: Import not finished, already reverted, failed without changes, or later imports touched the same rows
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ */
+router.post(
+  '/imports/:id/revert',
+  [
+    param('id')
+      .isInt({ min: 1 })
+      .withMessage('Import ID must be a positive integer'),
+    query('force')
+      .optional()
+      .isBoolean()
+      .withMessage('force must be true or false')
+      .toBoolean(),
+    body('force')
+      .optional()
+      .isBoolean()
+      .withMessage('force must be true or false')
+      .toBoolean(),
+  ],
+  async (req, res, next) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          errors: errors.array(),
+        });
+      }
+
+      const jobId = parseInt(req.params.id, 10);
+      const force = Boolean(req.query.force || req.body.force);
+      const job = await importJobService.getJob(jobId);
+
+      if (!job) {
+        return res.status(404).json({
+          success: false,
+          error: `Import with ID ${jobId} not found.`,
+        });
+      }
 
-    return res.status(200).json({
-      success: true,
-      message: hasErrors
-        ? 'CSV processed with some errors.'
-        : 'CSV processed successfully.',
-      results,
-    });
-  } catch (error) {
-    next(error);
+      if (job.dry_run) {
+        return res.status(400).json({
+          success: false,
+          error: 'Dry-run imports made no changes to revert.',
+        });
+      }
+
+      if (job.reverted_at) {
+        return res.status(409).json({
+          success: false,
+          error: `Import ${jobId} has already been reverted.`,
+        });
+      }
+
+      let summary;
+      try {
+        summary = await importJobService.revert(job, { force });
+      } catch (error) {
+        if (!error.conflicts) throw error;
+        return res.status(409).json({
+          success: false,
+          error: error.message,
+          conflicts: error.conflicts,
+        });
+      }
+
+      return res.json({
+        success: true,
+        message: `Import ${jobId} reverted.`,
+        data: {
+          import: importJobService.serialize(job),
+          summary,
+        },
+      });
+    } catch (error) {
+      next(error);
+    }
   }
-});
+);
 
 module.exports = router;
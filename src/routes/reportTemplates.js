@@ -0,0 +1,388 @@
+const express = require('express');
+const { body, param, validationResult } = require('express-validator');
+const reportTemplateService = require('../services/reportTemplateService');
+const { normalizeReportDefinition } = require('../utils/reportDefinition');
+
+const router = express.Router();
+
+/**
+ * Validation for template settings; name and definition are only required
+ * on create
+ * @param {boolean} create - Whether the template is being created
+ * @returns {Array} - express-validator chains
+ */
+const templateValidators = (create) => [
+  (create ? body('name') : body('name').optional())
+    .isString()
+    .trim()
+    .isLength({ min: 1, max: 100 })
+    .withMessage('Name must be between 1 and 100 characters'),
+  body('description')
+    .optional({ nullable: true })
+    .isString()
+    .withMessage('Description must be a string'),
+  (create ? body('definition') : body('definition').optional()).custom(
+    (definition) => {
+      normalizeReportDefinition(definition);
+      return true;
+    }
+  ),
+];
+
+const templateIdValidator = param('id')
+  .isInt({ min: 1 })
+  .withMessage('Template ID must be a positive integer');
+
+/**
+ * @swagger
+ * /api/reports/templates:
+ *   get:
+ *     summary: List report templates
+ *     description: Retrieve all saved store report templates, sorted by name
+ *     tags: [Report Templates]
+ *     responses:
+ *       200:
+ *         description: List of report templates
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: true
+ *                 data:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/ReportTemplate'
+ *                 count:
+ *                   type: integer
+ *                   example: 2
+ */
+router.get('/', async (req, res, next) => {
+  try {
+    const templates = await reportTemplateService.listTemplates();
+
+    return res.json({
+      success: true,
+      data: templates.map((t) => reportTemplateService.serialize(t)),
+      count: templates.length,
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * @swagger
+ * /api/reports/templates:
+ *   post:
+ *     summary: Create a report template
+ *     description: |
+ *       Save a store report layout for reuse. Download a report with it using
+ *       `GET /api/store/{id}/download-report?template=<id or name>`.
+ *       - `definition.sections` lists the report sections in order, each with its
+ *         `type`, number of rows (`limit`, default 5) and optional `title` and `filters`.
+ *       - `definition.filters` apply to every section; a section's own filters
+ *         override them field by field.
+ *     tags: [Report Templates]
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/ReportTemplateInput'
+ *     responses:
+ *       201:
+ *         description: Report template created
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: true
+ *                 data:
+ *                   $ref: '#/components/schemas/ReportTemplate'
+ *       400:
+ *         description: Invalid template settings or definition
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       409:
+ *         description: A template with this name already exists
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ */
+router.post('/', templateValidators(true), async (req, res, next) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        errors: errors.array(),
+      });
+    }
+
+    if (await reportTemplateService.findByName(req.body.name)) {
+      return res.status(409).json({
+        success: false,
+        error: `Report template "${req.body.name}" already exists.`,
+      });
+    }
+
+    const template = await reportTemplateService.createTemplate(req.body);
+
+    res.setHeader('Location', `/api/reports/templates/${template.id}`);
+    return res.status(201).json({
+      success: true,
+      data: reportTemplateService.serialize(template),
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * @swagger
+ * /api/reports/templates/{id}:
+ *   get:
+ *     summary: Get a report template
+ *     tags: [Report Templates]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *           minimum: 1
+ *         description: Report template ID
+ *     responses:
+ *       200:
+ *         description: Report template details
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: true
+ *                 data:
+ *                   $ref: '#/components/schemas/ReportTemplate'
+ *       400:
+ *         description: Invalid template ID
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       404:
+ *         description: Report template not found
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ */
+router.get('/:id', [templateIdValidator], async (req, res, next) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        errors: errors.array(),
+      });
+    }
+
+    const templateId = parseInt(req.params.id, 10);
+    const template = await reportTemplateService.getTemplate(templateId);
+
+    if (!template) {
+      return res.status(404).json({
+        success: false,
+        error: `Report template with ID ${templateId} not found.`,
+      });
+    }
+
+    return res.json({
+      success: true,
+      data: reportTemplateService.serialize(template),
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * @swagger
+ * /api/reports/templates/{id}:
+ *   put:
+ *     summary: Update a report template
+ *     description: Change the given settings; fields left out keep their values. A new `definition` replaces the old one.
+ *     tags: [Report Templates]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *           minimum: 1
+ *         description: Report template ID
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/ReportTemplateInput'
+ *     responses:
+ *       200:
+ *         description: Report template updated
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: true
+ *                 data:
+ *                   $ref: '#/components/schemas/ReportTemplate'
+ *       400:
+ *         description: Invalid template ID, settings or definition
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       404:
+ *         description: Report template not found
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       409:
+ *         description: Another template already has this name
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ */
+router.put(
+  '/:id',
+  [templateIdValidator, ...templateValidators(false)],
+  async (req, res, next) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          errors: errors.array(),
+        });
+      }
+
+      const templateId = parseInt(req.params.id, 10);
+      const template = await reportTemplateService.getTemplate(templateId);
+
+      if (!template) {
+        return res.status(404).json({
+          success: false,
+          error: `Report template with ID ${templateId} not found.`,
+        });
+      }
+
+      if (req.body.name && req.body.name !== template.name) {
+        if (await reportTemplateService.findByName(req.body.name)) {
+          return res.status(409).json({
+            success: false,
+            error: `Report template "${req.body.name}" already exists.`,
+          });
+        }
+      }
+
+      await reportTemplateService.updateTemplate(template, req.body);
+
+      return res.json({
+        success: true,
+        data: reportTemplateService.serialize(template),
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
+/**
+ * @swagger
+ * /api/reports/templates/{id}:
+ *   delete:
+ *     summary: Delete a report template
+ *     tags: [Report Templates]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *           minimum: 1
+ *         description: Report template ID
+ *     responses:
+ *       200:
+ *         description: Report template deleted
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: true
+ *                 message:
+ *                   type: string
+ *                   example: Report template 3 deleted.
+ *       400:
+ *         description: Invalid template ID
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       404:
+ *         description: Report template not found
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ */
+router.delete('/:id', [templateIdValidator], async (req, res, next) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        errors: errors.array(),
+      });
+    }
+
+    const templateId = parseInt(req.params.id, 10);
+    const template = await reportTemplateService.getTemplate(templateId);
+
+    if (!template) {
+      return res.status(404).json({
+        success: false,
+        error: `Report template with ID ${templateId} not found.`,
+      });
+    }
+
+    await reportTemplateService.deleteTemplate(template);
+
+    return res.json({
+      success: true,
+      message: `Report template ${templateId} deleted.`,
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+module.exports = router;
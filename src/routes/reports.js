@@ -0,0 +1,145 @@
+const express = require('express');
+const { query, validationResult } = require('express-validator');
+const reportService = require('../services/reportService');
+const { Store } = require('../models');
+
+const router = express.Router();
+
+/**
+ * @swagger
+ * /api/reports/consolidated:
+ *   get:
+ *     summary: Download a consolidated PDF report across stores
+ *     description: |
+ *       Generate and download a chain-wide PDF report covering every store, or
+ *       the stores given in `storeIds`. It contains:
+ *       - a summary of each store: titles and copies in stock, retail value
+ *         (price × copies) and average price, with totals for all of them
+ *         (a title stocked by several stores counts once)
+ *       - the books with the most copies in stock across the stores, with the
+ *         number of stores stocking them and their price range
+ *       - the authors with the most books available across the stores
+ *       - a price comparison of the titles in stock at more than one store at
+ *         different prices, with the price in each store, widest spread first
+ *         (at most 100 titles)
+ *
+ *       File is named: Consolidated-Report-YYYY-MM-DD.pdf
+ *     tags: [Reports]
+ *     parameters:
+ *       - in: query
+ *         name: storeIds
+ *         schema:
+ *           type: string
+ *           example: 1,2,5
+ *         description: Comma-separated IDs of the stores to cover; all stores when left out
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           minimum: 1
+ *           maximum: 100
+ *           default: 10
+ *         description: Number of top books and authors to list
+ *     responses:
+ *       200:
+ *         description: PDF report file
+ *         content:
+ *           application/pdf:
+ *             schema:
+ *               type: string
+ *               format: binary
+ *       400:
+ *         description: Invalid or unknown store IDs, or invalid limit
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       404:
+ *         description: There are no stores to report on
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ */
+router.get(
+  '/consolidated',
+  [
+    query('storeIds')
+      .optional()
+      .isString()
+      .customSanitizer((value) =>
+        value
+          .split(',')
+          .map((id) => id.trim())
+          .filter(Boolean)
+      )
+      .custom(
+        (ids) =>
+          ids.length > 0 &&
+          ids.every((id) => /^\d+$/.test(id) && parseInt(id, 10) > 0)
+      )
+      .withMessage('storeIds must be a comma-separated list of store IDs')
+      .customSanitizer((ids) => [
+        ...new Set(ids.map((id) => parseInt(id, 10))),
+      ]),
+    query('limit')
+      .optional()
+      .isInt({ min: 1, max: 100 })
+      .withMessage('Limit must be an integer between 1 and 100'),
+  ],
+  async (req, res, next) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          errors: errors.array(),
+        });
+      }
+
+      const { storeIds } = req.query;
+      const stores = await Store.findAll({
+        where: storeIds ? { id: storeIds } : {},
+        order: [
+          ['name', 'ASC'],
+          ['id', 'ASC'],
+        ],
+      });
+
+      if (storeIds) {
+        const missing = storeIds.find(
+          (id) => !stores.some((store) => store.id === id)
+        );
+        if (missing) {
+          return res.status(400).json({
+            success: false,
+            error: `Store with ID ${missing} not found.`,
+          });
+        }
+      } else if (stores.length === 0) {
+        return res.status(404).json({
+          success: false,
+          error: 'There are no stores to report on.',
+        });
+      }
+
+      const { buffer, filename } =
+        await reportService.generateConsolidatedReport(stores, {
+          limit: req.query.limit ? parseInt(req.query.limit, 10) : 10,
+        });
+
+      res.setHeader('Content-Type', 'application/pdf');
+      res.setHeader(
+        'Content-Disposition',
+        `attachment; filename="${filename}"`
+      );
+      res.setHeader('Content-Length', buffer.length);
+
+      return res.send(buffer);
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
+module.exports = router;
@@ -0,0 +1,128 @@
+const express = require('express');
+const { query, validationResult } = require('express-validator');
+const searchService = require('../services/searchService');
+
+const router = express.Router();
+
+/**
+ * @swagger
+ * /api/search:
+ *   get:
+ *     summary: Search books, authors and stores
+ *     description: |
+ *       Match book titles, author names and store names/addresses with PostgreSQL
+ *       full-text search, plus trigram fuzzy matching so small typos still match
+ *       (`gatsy` finds "The Great Gatsby"). Results of all types are ranked together
+ *       by `score`, best first.
+ *
+ *       `q` accepts web search syntax: `"exact phrase"`, `or`, and `-excluded` words.
+ *       An ISBN (10 or 13 digits, hyphens allowed) finds the book with that ISBN.
+ *       Book results list the stores stocking them, cheapest first.
+ *     tags: [Search]
+ *     parameters:
+ *       - in: query
+ *         name: q
+ *         required: true
+ *         schema:
+ *           type: string
+ *           maxLength: 200
+ *         description: Search text
+ *       - in: query
+ *         name: type
+ *         schema:
+ *           type: string
+ *           example: book,author
+ *         description: Comma-separated result types to include (book, author, store); all by default
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           minimum: 1
+ *           maximum: 50
+ *           default: 20
+ *     responses:
+ *       200:
+ *         description: Ranked search results
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: true
+ *                 data:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/SearchResult'
+ *                 count:
+ *                   type: integer
+ *                   example: 3
+ *       400:
+ *         description: Missing search text or invalid parameters
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ */
+router.get(
+  '/',
+  [
+    query('q')
+      .isString()
+      .withMessage('Search text (q) is required')
+      .bail()
+      .trim()
+      .isLength({ min: 1, max: 200 })
+      .withMessage('Search text (q) must be between 1 and 200 characters'),
+    query('type')
+      .optional()
+      .isString()
+      .customSanitizer((value) =>
+        value
+          .split(',')
+          .map((type) => type.trim())
+          .filter(Boolean)
+      )
+      .custom(
+        (types) =>
+          types.length > 0 &&
+          types.every((type) => searchService.types.includes(type))
+      )
+      .withMessage(
+        `Type must be a comma-separated list of: ${searchService.types.join(
+          ', '
+        )}`
+      ),
+    query('limit')
+      .optional()
+      .isInt({ min: 1, max: 50 })
+      .withMessage('Limit must be an integer between 1 and 50'),
+  ],
+  async (req, res, next) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          errors: errors.array(),
+        });
+      }
+
+      const results = await searchService.search(req.query.q, {
+        types: req.query.type,
+        limit: req.query.limit ? parseInt(req.query.limit, 10) : undefined,
+      });
+
+      return res.json({
+        success: true,
+        data: results,
+        count: results.length,
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
+module.exports = router;
@@ -1,23 +1,91 @@
+const { once } = require('events');
 const express = require('express');
-const { param, validationResult } = require('express-validator');
+const { body, param, query, validationResult } = require('express-validator');
+const uploadConfig = require('../config/upload');
+const exportService = require('../services/exportService');
 const reportService = require('../services/reportService');
-const { Store } = require('../models');
+const reportTemplateService = require('../services/reportTemplateService');
+const stockService = require('../services/stockService');
+const storeService = require('../services/storeService');
+const { StockMovement, Store } = require('../models');
+const {
+  REPORT_FILTERS,
+  DEFAULT_REPORT_DEFINITION,
+  normalizeReportFilters,
+  parseSectionList,
+} = require('../utils/reportDefinition');
 
 const router = express.Router();
 
+const storeIdValidator = param('id')
+  .isInt({ min: 1 })
+  .withMessage('Store ID must be a positive integer');
+
+// Content types of the spreadsheet exports
+const EXPORT_CONTENT_TYPES = {
+  csv: `${uploadConfig.formats.csv.mimetypes[0]}; charset=utf-8`,
+  xlsx: uploadConfig.formats.xlsx.mimetypes[0],
+};
+
+const duplicateValidators = [
+  query('threshold')
+    .optional()
+    .isFloat({ min: 0.3, max: 1 })
+    .withMessage('Threshold must be a number between 0.3 and 1'),
+  query('limit')
+    .optional()
+    .isInt({ min: 1, max: 100 })
+    .withMessage('Limit must be an integer between 1 and 100'),
+];
+
+const mergeValidators = [
+  body('source_ids')
+    .isArray({ min: 1, max: 50 })
+    .withMessage('source_ids must be a list of 1 to 50 store IDs')
+    .bail()
+    .custom((ids) => new Set(ids.map(Number)).size === ids.length)
+    .withMessage('source_ids must not repeat an ID')
+    .custom((ids, { req }) => !ids.map(Number).includes(Number(req.params.id)))
+    .withMessage('A store cannot be merged into itself'),
+  body('source_ids.*')
+    .isInt({ min: 1 })
+    .withMessage('source_ids must be positive integers')
+    .toInt(),
+];
+
 /**
  * @swagger
  * /api/store/{id}/download-report:
  *   get:
  *     summary: Download PDF report for a specific store
  *     description: |
- *       Generate and download a PDF report for the specified store.
- *       The report includes:
- *       - Store logo and name
- *       - Top 5 Priciest Books (highest prices)
- *       - Top 5 Prolific Authors (greatest number of available books)
+ *       Generate and download a PDF report for the specified store, headed by the
+ *       store logo and name. Its sections come from, in order of precedence:
+ *       - `template`: a saved report template (see `/api/reports/templates`), whose
+ *         sections can each have their own row count and filters
+ *       - `sections`: a comma-separated list of section types, each optionally
+ *         followed by its number of rows (default 5, at most 100), e.g.
+ *         `priciest:10,low-stock,value-by-author:20`
+ *       - by default, the Inventory Valuation (see `/api/store/{id}/stats`), the
+ *         Top 5 Priciest Books (highest prices, in stock) and the Top 5 Prolific
+ *         Authors (greatest number of available books)
  *
- *       File is named: [Store-Name]-Report-YYYY-MM-DD.pdf
+ *       Section types: `valuation` (summary figures, a chart of titles by price
+ *       and the authors with the most value, as many as the row count),
+ *       `priciest`, `cheapest`, `most-copies`, `sold-out`,
+ *       `low-stock` (1 to 5 copies left unless the template sets `threshold`),
+ *       `newest` (latest added to the store), `prolific-authors` and
+ *       `value-by-author` (price × copies, counted for each book's first author).
+ *
+ *       The filter parameters apply to every section, over any filters the template sets.
+ *
+ *       `format=csv` or `format=xlsx` exports the same sections as a spreadsheet
+ *       instead: one table per section (the valuation section gives three: its
+ *       figures, titles by price and value by author), each headed by the section
+ *       title and filters. CSV tables follow each other with a blank line between
+ *       them; an XLSX workbook has a worksheet per table.
+ *
+ *       File is named: [Store-Name]-Report-YYYY-MM-DD.pdf (or .csv, .xlsx)
  *     tags: [Store]
  *     parameters:
  *       - in: path
@@ -27,16 +95,69 @@ const router = express.Router();
  *           type: integer
  *           minimum: 1
  *         description: Store ID
+ *       - in: query
+ *         name: template
+ *         schema:
+ *           type: string
+ *         description: Report template ID or name
+ *       - in: query
+ *         name: sections
+ *         schema:
+ *           type: string
+ *           example: priciest:10,sold-out,value-by-author
+ *         description: Sections to include, when no template is given
+ *       - in: query
+ *         name: format
+ *         schema:
+ *           type: string
+ *           enum: [pdf, csv, xlsx]
+ *           default: pdf
+ *         description: File format
+ *       - in: query
+ *         name: genre
+ *         schema:
+ *           type: string
+ *         description: Only books of this genre (case-insensitive)
+ *       - in: query
+ *         name: language
+ *         schema:
+ *           type: string
+ *         description: Only books in this language (BCP 47 tag)
+ *       - in: query
+ *         name: authorId
+ *         schema:
+ *           type: integer
+ *           minimum: 1
+ *         description: Only books crediting this author
+ *       - in: query
+ *         name: minPrice
+ *         schema:
+ *           type: number
+ *           minimum: 0
+ *         description: Only books priced at least this much in the store
+ *       - in: query
+ *         name: maxPrice
+ *         schema:
+ *           type: number
+ *           minimum: 0
+ *         description: Only books priced at most this much in the store
  *     responses:
  *       200:
- *         description: PDF report file
+ *         description: Report file
  *         content:
  *           application/pdf:
  *             schema:
  *               type: string
  *               format: binary
+ *           text/csv:
+ *             schema:
+ *               type: string
+ *           application/vnd.openxmlformats-officedocument.spreadsheetml.sheet:
+ *             schema:
+ *               type: string
+ *               format: binary
  *       400:
- *         description: Invalid store ID
+ *         description: Invalid store ID, sections, filters or format, or unknown template
  *         content:
  *           application/json:
  *             schema:
@@ -54,6 +175,23 @@ router.get(
     param('id')
       .isInt({ min: 1 })
       .withMessage('Store ID must be a positive integer'),
+    query('template')
+      .optional()
+      .isString()
+      .trim()
+      .notEmpty()
+      .withMessage('template must be a report template ID or name'),
+    query('sections')
+      .optional()
+      .isString()
+      .withMessage('sections must be a comma-separated list of section types')
+      .bail()
+      .custom((value, { req }) => !req.query.template)
+      .withMessage('Pass either template or sections, not both'),
+    query('format')
+      .optional()
+      .isIn(['pdf', 'csv', 'xlsx'])
+      .withMessage('Format must be one of: pdf, csv, xlsx'),
   ],
   async (req, res, next) => {
     try {
@@ -77,9 +215,64 @@ router.get(
         });
       }
 
+      let definition = DEFAULT_REPORT_DEFINITION;
+      if (req.query.template) {
+        const template = await reportTemplateService.resolveTemplate(
+          req.query.template
+        );
+        if (!template) {
+          return res.status(400).json({
+            success: false,
+            error: `Report template "${req.query.template}" not found.`,
+          });
+        }
+        definition = template.definition;
+      } else if (req.query.sections) {
+        definition = { sections: parseSectionList(req.query.sections) };
+      }
+
+      // Filters in the query apply to every section, over the template's
+      const filters = {};
+      for (const field of REPORT_FILTERS) {
+        if (req.query[field] !== undefined) filters[field] = req.query[field];
+      }
+      if (Object.keys(filters).length > 0) {
+        definition = {
+          filters: { ...definition.filters, ...filters },
+          sections: definition.sections.map((section) => ({
+            ...section,
+            filters: { ...section.filters, ...filters },
+          })),
+        };
+      }
+
+      const format = req.query.format || 'pdf';
+      if (format !== 'pdf') {
+        const { content } = await reportService.getStoreReportContent(
+          storeId,
+          definition
+        );
+        const tables = exportService.reportTables(content);
+
+        res.setHeader('Content-Type', EXPORT_CONTENT_TYPES[format]);
+        res.setHeader(
+          'Content-Disposition',
+          `attachment; filename="${reportService.reportFilename(
+            store,
+            format
+          )}"`
+        );
+        if (format === 'csv') {
+          return res.send(exportService.reportCsv(tables));
+        }
+        await exportService.writeReportXlsx(tables, res);
+        return res.end();
+      }
+
       // Generate PDF report
       const { buffer, filename } = await reportService.generateStoreReport(
-        storeId
+        storeId,
+        definition
       );
 
       // Set response headers for PDF download
@@ -98,6 +291,230 @@ router.get(
   }
 );
 
+/**
+ * @swagger
+ * /api/store/{id}/stats:
+ *   get:
+ *     summary: Get inventory valuation statistics for a store
+ *     description: |
+ *       Figures behind the Inventory Valuation report section: copies in stock,
+ *       titles in stock and sold out, retail value (price × copies), average and
+ *       median price of the titles in stock, how those titles spread over price
+ *       buckets (under $10, $10 to $20, $20 to $30, $30 to $50, $50 to $100 and
+ *       $100 and over) and the authors whose books in stock are worth the most,
+ *       counted for each book's first author.
+ *     tags: [Store]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *           minimum: 1
+ *         description: Store ID
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           minimum: 1
+ *           maximum: 100
+ *           default: 10
+ *         description: Number of authors in valueByAuthor
+ *       - in: query
+ *         name: genre
+ *         schema:
+ *           type: string
+ *         description: Only books of this genre (case-insensitive)
+ *       - in: query
+ *         name: language
+ *         schema:
+ *           type: string
+ *         description: Only books in this language (BCP 47 tag)
+ *       - in: query
+ *         name: authorId
+ *         schema:
+ *           type: integer
+ *           minimum: 1
+ *         description: Only books crediting this author
+ *       - in: query
+ *         name: minPrice
+ *         schema:
+ *           type: number
+ *           minimum: 0
+ *         description: Only books priced at least this much in the store
+ *       - in: query
+ *         name: maxPrice
+ *         schema:
+ *           type: number
+ *           minimum: 0
+ *         description: Only books priced at most this much in the store
+ *     responses:
+ *       200:
+ *         description: Valuation statistics
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 data:
+ *                   $ref: '#/components/schemas/InventoryStats'
+ *       400:
+ *         description: Invalid store ID, limit or filters
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       404:
+ *         description: Store not found
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ */
+router.get(
+  '/:id/stats',
+  [
+    storeIdValidator,
+    query('limit')
+      .optional()
+      .isInt({ min: 1, max: 100 })
+      .withMessage('Limit must be an integer between 1 and 100'),
+  ],
+  async (req, res, next) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          errors: errors.array(),
+        });
+      }
+
+      const storeId = parseInt(req.params.id, 10);
+      const store = await Store.findByPk(storeId);
+      if (!store) {
+        return res.status(404).json({
+          success: false,
+          error: `Store with ID ${storeId} not found.`,
+        });
+      }
+
+      const filters = {};
+      for (const field of REPORT_FILTERS) {
+        if (req.query[field] !== undefined) filters[field] = req.query[field];
+      }
+
+      const stats = await reportService.getValuationStats(storeId, {
+        limit: req.query.limit ? parseInt(req.query.limit, 10) : 10,
+        filters: normalizeReportFilters(filters, 'the query'),
+      });
+
+      res.json({
+        success: true,
+        data: stats,
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
+/**
+ * @swagger
+ * /api/store/duplicates:
+ *   get:
+ *     summary: Suggest duplicate stores
+ *     description: |
+ *       Pairs of stores whose names are likely written differently for the same
+ *       shop. Names that only differ in case, accents, spacing or punctuation
+ *       (such as "BookWorld" and "Book World") score 1; other pairs score the
+ *       trigram similarity of their names. Deleted stores are left out.
+ *     tags: [Store]
+ *     parameters:
+ *       - in: query
+ *         name: threshold
+ *         schema:
+ *           type: number
+ *           minimum: 0.3
+ *           maximum: 1
+ *           default: 0.6
+ *         description: Lowest score to suggest
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           minimum: 1
+ *           maximum: 100
+ *           default: 50
+ *     responses:
+ *       200:
+ *         description: Likely duplicates, most similar first
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: true
+ *                 data:
+ *                   type: array
+ *                   items:
+ *                     type: object
+ *                     properties:
+ *                       score:
+ *                         type: number
+ *                         example: 1
+ *                       stores:
+ *                         type: array
+ *                       items:
+ *                         type: object
+ *                         properties:
+ *                           id:
+ *                             type: integer
+ *                           name:
+ *                             type: string
+ *                           address:
+ *                             type: string
+ *                             nullable: true
+ *                           inventory:
+ *                             type: integer
+ *                             description: Books in the store's inventory
+ *       400:
+ *         description: Invalid query parameters
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ */
+router.get('/duplicates', duplicateValidators, async (req, res, next) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        errors: errors.array(),
+      });
+    }
+
+    const duplicates = await storeService.findDuplicates({
+      threshold: req.query.threshold
+        ? parseFloat(req.query.threshold)
+        : undefined,
+      limit: req.query.limit ? parseInt(req.query.limit, 10) : undefined,
+    });
+
+    return res.json({
+      success: true,
+      data: duplicates,
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
 /**
  * @swagger
  * /api/store/{id}:
@@ -176,13 +593,43 @@ router.get(
   }
 );
 
+const paginationValidators = [
+  query('limit')
+    .optional()
+    .isInt({ min: 1, max: 100 })
+    .withMessage('Limit must be an integer between 1 and 100'),
+  query('offset')
+    .optional()
+    .isInt({ min: 0 })
+    .withMessage('Offset must be a non-negative integer'),
+];
+
 /**
  * @swagger
  * /api/store:
  *   get:
  *     summary: Get all stores
- *     description: Retrieve a list of all stores
+ *     description: Retrieve stores sorted by name, a page at a time
  *     tags: [Store]
+ *     parameters:
+ *       - in: query
+ *         name: q
+ *         schema:
+ *           type: string
+ *         description: Only return stores whose name or address contains this text (case-insensitive)
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           minimum: 1
+ *           maximum: 100
+ *           default: 50
+ *       - in: query
+ *         name: offset
+ *         schema:
+ *           type: integer
+ *           minimum: 0
+ *           default: 0
  *     responses:
  *       200:
  *         description: List of stores
@@ -200,22 +647,1302 @@ router.get(
  *                     $ref: '#/components/schemas/Store'
  *                 count:
  *                   type: integer
+ *                   description: Total number of matching stores
  *                   example: 3
+ *       400:
+ *         description: Invalid query parameters
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
  */
-router.get('/', async (req, res, next) => {
-  try {
-    const stores = await Store.findAll({
-      order: [['name', 'ASC']],
-    });
+router.get(
+  '/',
+  [
+    query('q')
+      .optional()
+      .isString()
+      .trim()
+      .isLength({ max: 255 })
+      .withMessage('Search text must be at most 255 characters'),
+    ...paginationValidators,
+  ],
+  async (req, res, next) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          errors: errors.array(),
+        });
+      }
 
-    return res.json({
-      success: true,
-      data: stores,
-      count: stores.length,
-    });
-  } catch (error) {
-    next(error);
+      const { rows, count } = await storeService.listStores({
+        search: req.query.q,
+        limit: req.query.limit ? parseInt(req.query.limit, 10) : undefined,
+        offset: req.query.offset ? parseInt(req.query.offset, 10) : undefined,
+      });
+
+      return res.json({
+        success: true,
+        data: rows,
+        count,
+      });
+    } catch (error) {
+      next(error);
+    }
   }
-});
+);
+
+/**
+ * @swagger
+ * /api/store/{id}/inventory:
+ *   get:
+ *     summary: List a store's inventory
+ *     description: |
+ *       The books a store stocks with their author, price and copies, a page at a time.
+ *       Filters combine; text filters match anywhere in the name, ignoring case.
+ *     tags: [Store]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *           minimum: 1
+ *         description: Store ID
+ *       - in: query
+ *         name: title
+ *         schema:
+ *           type: string
+ *         description: Book title contains this text
+ *       - in: query
+ *         name: author
+ *         schema:
+ *           type: string
+ *         description: A credited author's name contains this text
+ *       - in: query
+ *         name: author_id
+ *         schema:
+ *           type: integer
+ *           minimum: 1
+ *         description: Only books crediting this author
+ *       - in: query
+ *         name: min_price
+ *         schema:
+ *           type: number
+ *           minimum: 0
+ *       - in: query
+ *         name: max_price
+ *         schema:
+ *           type: number
+ *           minimum: 0
+ *       - in: query
+ *         name: sold_out
+ *         schema:
+ *           type: boolean
+ *         description: Only sold out (true) or available (false) books
+ *       - in: query
+ *         name: min_copies
+ *         schema:
+ *           type: integer
+ *           minimum: 0
+ *       - in: query
+ *         name: sort
+ *         schema:
+ *           type: string
+ *           enum: [title, author, pages, price, copies, sold_out, updated_at]
+ *           default: title
+ *       - in: query
+ *         name: order
+ *         schema:
+ *           type: string
+ *           enum: [asc, desc]
+ *           default: asc
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           minimum: 1
+ *           maximum: 100
+ *           default: 50
+ *       - in: query
+ *         name: offset
+ *         schema:
+ *           type: integer
+ *           minimum: 0
+ *           default: 0
+ *     responses:
+ *       200:
+ *         description: Page of the store's inventory
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: true
+ *                 data:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/InventoryItem'
+ *                 count:
+ *                   type: integer
+ *                   description: Total number of matching rows
+ *                   example: 120
+ *       400:
+ *         description: Invalid store ID or query parameters
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       404:
+ *         description: Store not found
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ */
+router.get(
+  '/:id/inventory',
+  [
+    storeIdValidator,
+    query('title')
+      .optional()
+      .isString()
+      .trim()
+      .isLength({ max: 255 })
+      .withMessage('Title must be at most 255 characters'),
+    query('author')
+      .optional()
+      .isString()
+      .trim()
+      .isLength({ max: 255 })
+      .withMessage('Author must be at most 255 characters'),
+    query('author_id')
+      .optional()
+      .isInt({ min: 1 })
+      .withMessage('author_id must be a positive integer')
+      .toInt(),
+    query('min_price')
+      .optional()
+      .isFloat({ min: 0 })
+      .withMessage('min_price must be a non-negative number')
+      .toFloat(),
+    query('max_price')
+      .optional()
+      .isFloat({ min: 0 })
+      .withMessage('max_price must be a non-negative number')
+      .toFloat(),
+    query('sold_out')
+      .optional()
+      .isBoolean()
+      .withMessage('sold_out must be true or false')
+      .toBoolean(),
+    query('min_copies')
+      .optional()
+      .isInt({ min: 0 })
+      .withMessage('min_copies must be a non-negative integer')
+      .toInt(),
+    query('sort')
+      .optional()
+      .isIn(storeService.inventorySortFields)
+      .withMessage(
+        `Sort must be one of: ${storeService.inventorySortFields.join(', ')}`
+      ),
+    query('order')
+      .optional()
+      .isIn(['asc', 'desc'])
+      .withMessage('Order must be asc or desc'),
+    ...paginationValidators,
+  ],
+  async (req, res, next) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          errors: errors.array(),
+        });
+      }
+
+      const storeId = parseInt(req.params.id, 10);
+      const store = await storeService.getStore(storeId);
+
+      if (!store) {
+        return res.status(404).json({
+          success: false,
+          error: `Store with ID ${storeId} not found.`,
+        });
+      }
+
+      const { rows, count } = await storeService.listInventory(storeId, {
+        title: req.query.title,
+        author: req.query.author,
+        authorId: req.query.author_id,
+        minPrice: req.query.min_price,
+        maxPrice: req.query.max_price,
+        soldOut: req.query.sold_out,
+        minCopies: req.query.min_copies,
+        sort: req.query.sort,
+        order: req.query.order,
+        limit: req.query.limit ? parseInt(req.query.limit, 10) : undefined,
+        offset: req.query.offset ? parseInt(req.query.offset, 10) : undefined,
+      });
+
+      return res.json({
+        success: true,
+        data: rows,
+        count,
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
+const bookIdValidator = param('bookId')
+  .isInt({ min: 1 })
+  .withMessage('Book ID must be a positive integer');
+
+const noteValidator = body('note')
+  .optional({ nullable: true })
+  .isString()
+  .withMessage('Note must be a string')
+  .bail()
+  .isLength({ max: 500 })
+  .withMessage('Note must be at most 500 characters');
+
+/**
+ * @swagger
+ * /api/store/{id}/inventory/export:
+ *   get:
+ *     summary: Export a store's inventory as CSV or XLSX
+ *     description: |
+ *       Download every inventory row of the store joined with its book and
+ *       authors, by book name. The file is streamed, so stores of any size can be
+ *       exported.
+ *
+ *       **Columns:** store_name, store_address, book_name, author_name, price,
+ *       copies, pages, isbn, publisher, publication_year, language, genre, then
+ *       book_id, value (price × copies), sold_out, added_at and updated_at.
+ *
+ *       The first columns are the import columns, with all authors in
+ *       `author_name` as an import writes them ("Ann Lee (editor); Bo Chen"), so
+ *       the file can be uploaded to `/api/inventory/upload` again; the importer
+ *       ignores the other columns. Upload it with `mergeStrategy=set` to restore
+ *       the exported copies rather than add to them.
+ *
+ *       File is named: [Store-Name]-Inventory-YYYY-MM-DD.csv (or .xlsx)
+ *     tags: [Store]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *           minimum: 1
+ *         description: Store ID
+ *       - in: query
+ *         name: format
+ *         schema:
+ *           type: string
+ *           enum: [csv, xlsx]
+ *           default: csv
+ *         description: File format
+ *     responses:
+ *       200:
+ *         description: Inventory file
+ *         content:
+ *           text/csv:
+ *             schema:
+ *               type: string
+ *           application/vnd.openxmlformats-officedocument.spreadsheetml.sheet:
+ *             schema:
+ *               type: string
+ *               format: binary
+ *       400:
+ *         description: Invalid store ID or format
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       404:
+ *         description: Store not found
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ */
+router.get(
+  '/:id/inventory/export',
+  [
+    storeIdValidator,
+    query('format')
+      .optional()
+      .isIn(['csv', 'xlsx'])
+      .withMessage('Format must be csv or xlsx'),
+  ],
+  async (req, res, next) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          errors: errors.array(),
+        });
+      }
+
+      const storeId = parseInt(req.params.id, 10);
+      const store = await Store.findByPk(storeId);
+      if (!store) {
+        return res.status(404).json({
+          success: false,
+          error: `Store with ID ${storeId} not found.`,
+        });
+      }
+
+      const format = req.query.format || 'csv';
+      const today = new Date().toISOString().split('T')[0];
+      res.setHeader('Content-Type', EXPORT_CONTENT_TYPES[format]);
+      res.setHeader(
+        'Content-Disposition',
+        `attachment; filename="${store.name.replace(
+          /[^a-zA-Z0-9]/g,
+          '-'
+        )}-Inventory-${today}.${format}"`
+      );
+
+      if (format === 'xlsx') {
+        await exportService.writeInventoryXlsx(storeId, res);
+        return res.end();
+      }
+
+      // Stream the rows so large inventories are never buffered
+      for await (const lines of exportService.inventoryCsvLines(storeId)) {
+        if (!res.write(lines)) {
+          await Promise.race([once(res, 'drain'), once(res, 'close')]);
+          // The client went away; stop reading the inventory
+          if (res.destroyed) return;
+        }
+      }
+      return res.end();
+    } catch (error) {
+      if (res.headersSent) return res.destroy(error);
+      next(error);
+    }
+  }
+);
+
+/**
+ * Handler shared by the sell and adjust endpoints
+ * @param {Function} apply - (storeId, bookId, body) => Promise<{inventory, movement}>
+ */
+const stockMovementHandler = (apply) => async (req, res, next) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        errors: errors.array(),
+      });
+    }
+
+    const storeId = parseInt(req.params.id, 10);
+    const bookId = parseInt(req.params.bookId, 10);
+    const store = await storeService.getStore(storeId);
+
+    if (!store) {
+      return res.status(404).json({
+        success: false,
+        error: `Store with ID ${storeId} not found.`,
+      });
+    }
+
+    const data = await apply(storeId, bookId, req.body);
+
+    return res.json({
+      success: true,
+      data,
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @swagger
+ * /api/store/{id}/inventory/{bookId}/sell:
+ *   post:
+ *     summary: Sell copies of a book
+ *     description: |
+ *       Take copies out of the store's stock and record the sale in the stock movement
+ *       ledger. The book is marked sold out when its last copy is sold. Selling more
+ *       copies than are in stock is refused; concurrent sales of the same book are
+ *       applied one after the other.
+ *     tags: [Store]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *           minimum: 1
+ *         description: Store ID
+ *       - in: path
+ *         name: bookId
+ *         required: true
+ *         schema:
+ *           type: integer
+ *           minimum: 1
+ *         description: Book ID
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               quantity:
+ *                 type: integer
+ *                 minimum: 1
+ *                 default: 1
+ *               price:
+ *                 type: number
+ *                 minimum: 0
+ *                 description: Price per copy sold; defaults to the store's price
+ *               note:
+ *                 type: string
+ *                 maxLength: 500
+ *     responses:
+ *       200:
+ *         description: Sale recorded
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/StockMovementResult'
+ *       400:
+ *         description: Invalid IDs or sale details
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       404:
+ *         description: Store not found, or the store does not stock the book
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       409:
+ *         description: Not enough copies in stock
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ */
+router.post(
+  '/:id/inventory/:bookId/sell',
+  [
+    storeIdValidator,
+    bookIdValidator,
+    body('quantity')
+      .optional()
+      .isInt({ min: 1 })
+      .withMessage('Quantity must be a positive integer')
+      .toInt(),
+    body('price')
+      .optional()
+      .isFloat({ min: 0 })
+      .withMessage('Price must be a non-negative number')
+      .toFloat(),
+    noteValidator,
+  ],
+  stockMovementHandler((storeId, bookId, data) =>
+    stockService.sell(storeId, bookId, data)
+  )
+);
+
+/**
+ * @swagger
+ * /api/store/{id}/inventory/{bookId}/adjust:
+ *   post:
+ *     summary: Adjust a book's stock
+ *     description: |
+ *       Record stock coming back or leaving the store for a reason other than a sale:
+ *       - `return` - a customer returned copies (adds to stock)
+ *       - `damage` - copies were damaged or lost (removes from stock)
+ *       - `transfer-out` - copies were sent elsewhere (removes from stock)
+ *
+ *       Stock cannot go below zero. `sold_out` follows the remaining copies.
+ *     tags: [Store]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *           minimum: 1
+ *         description: Store ID
+ *       - in: path
+ *         name: bookId
+ *         required: true
+ *         schema:
+ *           type: integer
+ *           minimum: 1
+ *         description: Book ID
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [type, quantity]
+ *             properties:
+ *               type:
+ *                 type: string
+ *                 enum: [return, damage, transfer-out]
+ *               quantity:
+ *                 type: integer
+ *                 minimum: 1
+ *                 description: Number of copies
+ *               note:
+ *                 type: string
+ *                 maxLength: 500
+ *     responses:
+ *       200:
+ *         description: Adjustment recorded
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/StockMovementResult'
+ *       400:
+ *         description: Invalid IDs or adjustment details
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       404:
+ *         description: Store not found, or the store does not stock the book
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       409:
+ *         description: Not enough copies in stock
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ */
+router.post(
+  '/:id/inventory/:bookId/adjust',
+  [
+    storeIdValidator,
+    bookIdValidator,
+    body('type')
+      .isIn(StockMovement.ADJUSTMENT_TYPES)
+      .withMessage(
+        `Type must be one of: ${StockMovement.ADJUSTMENT_TYPES.join(', ')}`
+      ),
+    body('quantity')
+      .isInt({ min: 1 })
+      .withMessage('Quantity must be a positive integer')
+      .toInt(),
+    noteValidator,
+  ],
+  stockMovementHandler((storeId, bookId, data) =>
+    stockService.adjust(storeId, bookId, data)
+  )
+);
+
+/**
+ * @swagger
+ * /api/store/{id}/movements:
+ *   get:
+ *     summary: List a store's stock movements
+ *     description: Sales and stock adjustments recorded for the store, newest first
+ *     tags: [Store]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *           minimum: 1
+ *         description: Store ID
+ *       - in: query
+ *         name: book_id
+ *         schema:
+ *           type: integer
+ *           minimum: 1
+ *         description: Only movements of this book
+ *       - in: query
+ *         name: type
+ *         schema:
+ *           type: string
+ *           enum: [sale, return, damage, transfer-out, transfer-in]
+ *       - in: query
+ *         name: since
+ *         schema:
+ *           type: string
+ *           format: date-time
+ *         description: Only movements at or after this time
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           minimum: 1
+ *           maximum: 100
+ *           default: 50
+ *       - in: query
+ *         name: offset
+ *         schema:
+ *           type: integer
+ *           minimum: 0
+ *           default: 0
+ *     responses:
+ *       200:
+ *         description: Page of stock movements
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: true
+ *                 data:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/StockMovement'
+ *                 count:
+ *                   type: integer
+ *                   description: Total number of matching movements
+ *                   example: 12
+ *       400:
+ *         description: Invalid store ID or query parameters
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       404:
+ *         description: Store not found
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ */
+router.get(
+  '/:id/movements',
+  [
+    storeIdValidator,
+    query('book_id')
+      .optional()
+      .isInt({ min: 1 })
+      .withMessage('book_id must be a positive integer')
+      .toInt(),
+    query('type')
+      .optional()
+      .isIn(StockMovement.TYPES)
+      .withMessage(`Type must be one of: ${StockMovement.TYPES.join(', ')}`),
+    query('since')
+      .optional()
+      .isISO8601()
+      .withMessage('since must be an ISO 8601 date')
+      .toDate(),
+    ...paginationValidators,
+  ],
+  async (req, res, next) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          errors: errors.array(),
+        });
+      }
+
+      const storeId = parseInt(req.params.id, 10);
+      const store = await storeService.getStore(storeId);
+
+      if (!store) {
+        return res.status(404).json({
+          success: false,
+          error: `Store with ID ${storeId} not found.`,
+        });
+      }
+
+      const { rows, count } = await stockService.listMovements(storeId, {
+        bookId: req.query.book_id,
+        type: req.query.type,
+        since: req.query.since,
+        limit: req.query.limit ? parseInt(req.query.limit, 10) : undefined,
+        offset: req.query.offset ? parseInt(req.query.offset, 10) : undefined,
+      });
+
+      return res.json({
+        success: true,
+        data: rows,
+        count,
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
+/**
+ * Validation for store details. Name is required unless the update is partial.
+ * @param {boolean} partial - Whether fields may be left out (PATCH)
+ * @returns {Array} - express-validator chains
+ */
+const storeValidators = (partial) => [
+  (partial ? body('name').optional() : body('name'))
+    .isString()
+    .withMessage('Name must be a string')
+    .bail()
+    .trim()
+    .isLength({ min: 1, max: 255 })
+    .withMessage('Name must be between 1 and 255 characters'),
+  body('address')
+    .optional({ nullable: true })
+    .isString()
+    .withMessage('Address must be a string')
+    .bail()
+    .trim()
+    .isLength({ max: 500 })
+    .withMessage('Address must be at most 500 characters'),
+  body('logo')
+    .optional({ nullable: true })
+    .isString()
+    .withMessage('Logo must be a URL or base64 encoded image'),
+];
+
+/**
+ * Answer 409 if another store (deleted ones included) already uses the name
+ * @param {Object} res - Express response
+ * @param {string} name - Requested store name
+ * @param {number} [storeId] - Store being renamed, allowed to keep its name
+ * @returns {Promise<boolean>} - Whether a response was sent
+ */
+const rejectTakenName = async (res, name, storeId) => {
+  const existing = await storeService.findByName(name);
+  if (!existing || existing.id === storeId) return false;
+
+  res.status(409).json({
+    success: false,
+    error: existing.deleted_at
+      ? `A deleted store (ID ${existing.id}) is named "${name}". Restore it with POST /api/store/${existing.id}/restore or choose another name.`
+      : `Store "${name}" already exists (ID ${existing.id}).`,
+  });
+  return true;
+};
+
+/**
+ * @swagger
+ * /api/store:
+ *   post:
+ *     summary: Create a store
+ *     tags: [Store]
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/StoreInput'
+ *     responses:
+ *       201:
+ *         description: Store created
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: true
+ *                 data:
+ *                   $ref: '#/components/schemas/Store'
+ *       400:
+ *         description: Invalid store details
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       409:
+ *         description: A store with this name already exists (possibly deleted)
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ */
+router.post('/', storeValidators(false), async (req, res, next) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        errors: errors.array(),
+      });
+    }
+
+    if (await rejectTakenName(res, req.body.name)) return;
+
+    const store = await storeService.createStore(req.body);
+
+    res.setHeader('Location', `/api/store/${store.id}`);
+    return res.status(201).json({
+      success: true,
+      data: store,
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * Handler shared by PUT (replace) and PATCH (partial update)
+ * @param {boolean} partial - Whether fields left out keep their values
+ */
+const updateStoreHandler = (partial) => async (req, res, next) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        errors: errors.array(),
+      });
+    }
+
+    const storeId = parseInt(req.params.id, 10);
+    const store = await storeService.getStore(storeId);
+
+    if (!store) {
+      return res.status(404).json({
+        success: false,
+        error: `Store with ID ${storeId} not found.`,
+      });
+    }
+
+    if (req.body.name !== undefined && req.body.name !== store.name) {
+      if (await rejectTakenName(res, req.body.name, store.id)) return;
+    }
+
+    await storeService.updateStore(store, req.body, { replace: !partial });
+
+    return res.json({
+      success: true,
+      data: store,
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @swagger
+ * /api/store/{id}:
+ *   put:
+ *     summary: Replace a store's details
+ *     description: Sets name, address and logo. Address and logo left out are cleared.
+ *     tags: [Store]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *           minimum: 1
+ *         description: Store ID
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/StoreInput'
+ *     responses:
+ *       200:
+ *         description: Store updated
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: true
+ *                 data:
+ *                   $ref: '#/components/schemas/Store'
+ *       400:
+ *         description: Invalid store ID or details
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       404:
+ *         description: Store not found
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       409:
+ *         description: Another store already has this name
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *   patch:
+ *     summary: Update some of a store's details
+ *     description: Only the fields given are changed. Send null to clear the address or logo.
+ *     tags: [Store]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *           minimum: 1
+ *         description: Store ID
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/StoreInput'
+ *     responses:
+ *       200:
+ *         description: Store updated
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: true
+ *                 data:
+ *                   $ref: '#/components/schemas/Store'
+ *       400:
+ *         description: Invalid store ID or details
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       404:
+ *         description: Store not found
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       409:
+ *         description: Another store already has this name
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ */
+router.put(
+  '/:id',
+  [storeIdValidator, ...storeValidators(false)],
+  updateStoreHandler(false)
+);
+router.patch(
+  '/:id',
+  [storeIdValidator, ...storeValidators(true)],
+  updateStoreHandler(true)
+);
+
+/**
+ * @swagger
+ * /api/store/{id}:
+ *   delete:
+ *     summary: Delete a store
+ *     description: |
+ *       Soft deletes the store. It disappears from store listings, lookups and reports,
+ *       but its row, inventory and import history are kept intact, so past imports can
+ *       still be listed and reverted. Uploading a file that names the store, or
+ *       `POST /api/store/{id}/restore`, brings it back with its inventory.
+ *     tags: [Store]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *           minimum: 1
+ *         description: Store ID
+ *     responses:
+ *       200:
+ *         description: Store deleted
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: true
+ *                 message:
+ *                   type: string
+ *                   example: Store 3 deleted.
+ *       400:
+ *         description: Invalid store ID
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       404:
+ *         description: Store not found
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ */
+router.delete('/:id', [storeIdValidator], async (req, res, next) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        errors: errors.array(),
+      });
+    }
+
+    const storeId = parseInt(req.params.id, 10);
+    const store = await storeService.getStore(storeId);
+
+    if (!store) {
+      return res.status(404).json({
+        success: false,
+        error: `Store with ID ${storeId} not found.`,
+      });
+    }
+
+    await storeService.deleteStore(store);
+
+    return res.json({
+      success: true,
+      message: `Store ${storeId} deleted.`,
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * @swagger
+ * /api/store/{id}/restore:
+ *   post:
+ *     summary: Restore a deleted store
+ *     tags: [Store]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *           minimum: 1
+ *         description: Store ID
+ *     responses:
+ *       200:
+ *         description: Store restored
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: true
+ *                 data:
+ *                   $ref: '#/components/schemas/Store'
+ *       400:
+ *         description: Invalid store ID
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       404:
+ *         description: Store not found
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       409:
+ *         description: Store is not deleted
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ */
+router.post('/:id/restore', [storeIdValidator], async (req, res, next) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        errors: errors.array(),
+      });
+    }
+
+    const storeId = parseInt(req.params.id, 10);
+    const store = await storeService.getStore(storeId, { paranoid: false });
+
+    if (!store) {
+      return res.status(404).json({
+        success: false,
+        error: `Store with ID ${storeId} not found.`,
+      });
+    }
+
+    if (!store.deleted_at) {
+      return res.status(409).json({
+        success: false,
+        error: `Store ${storeId} is not deleted.`,
+      });
+    }
+
+    await storeService.restoreStore(store);
+
+    return res.json({
+      success: true,
+      data: store,
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * @swagger
+ * /api/store/{id}/merge:
+ *   post:
+ *     summary: Merge duplicate stores
+ *     description: |
+ *       Merge duplicate stores (deleted ones included) into this one, in one
+ *       transaction. Copies of books both stock are added to this store's
+ *       inventory row, which keeps its price; their other inventory rows, import
+ *       history, stock movements and transfers move to this store. A blank address
+ *       or logo is filled from the duplicates, which are then removed for good.
+ *       Stores with a transfer between them, whatever its status, cannot be merged.
+ *     tags: [Store]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *           minimum: 1
+ *         description: Store ID to keep
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [source_ids]
+ *             properties:
+ *               source_ids:
+ *                 type: array
+ *                 minItems: 1
+ *                 maxItems: 50
+ *                 items:
+ *                   type: integer
+ *                 description: IDs of the duplicates to merge
+ *                 example: [12, 15]
+ *     responses:
+ *       200:
+ *         description: Stores merged
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: true
+ *                 message:
+ *                   type: string
+ *                   example: Merged 2 store(s) into store 4.
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     store:
+ *                       $ref: '#/components/schemas/Store'
+ *                     merged:
+ *                       type: integer
+ *                       description: Stores merged and removed
+ *                     combined:
+ *                       type: integer
+ *                       description: Inventory rows whose copies were added to this store's
+ *                     moved:
+ *                       type: integer
+ *                       description: Inventory rows moved to this store
+ *       400:
+ *         description: Invalid store ID, or a duplicate does not exist
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       404:
+ *         description: Store not found
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       409:
+ *         description: A transfer, whatever its status, ran between the stores
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ */
+router.post(
+  '/:id/merge',
+  [storeIdValidator, ...mergeValidators],
+  async (req, res, next) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          errors: errors.array(),
+        });
+      }
+
+      const storeId = parseInt(req.params.id, 10);
+      const store = await storeService.getStore(storeId);
+
+      if (!store) {
+        return res.status(404).json({
+          success: false,
+          error: `Store with ID ${storeId} not found.`,
+        });
+      }
+
+      const sourceIds = req.body.source_ids;
+      const sources = await storeService.getStores(sourceIds);
+      const missing = sourceIds.find(
+        (id) => !sources.some((source) => source.id === id)
+      );
+      if (missing) {
+        return res.status(400).json({
+          success: false,
+          error: `Store with ID ${missing} not found.`,
+        });
+      }
+
+      const merged = await storeService.mergeStores(store, sources);
+
+      return res.json({
+        success: true,
+        message: `Merged ${merged.merged} store(s) into store ${storeId}.`,
+        data: { store, ...merged },
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+);
 
 module.exports = router;
@@ -0,0 +1,526 @@
+const express = require('express');
+const { body, param, query, validationResult } = require('express-validator');
+const bookService = require('../services/bookService');
+const storeService = require('../services/storeService');
+const transferService = require('../services/transferService');
+const { Transfer } = require('../models');
+
+const router = express.Router();
+
+const transferIdValidator = param('id')
+  .isInt({ min: 1 })
+  .withMessage('Transfer ID must be a positive integer');
+
+// Statuses a transfer can be created in
+const CREATE_STATUSES = ['pending', 'in-transit', 'received'];
+
+/**
+ * @swagger
+ * /api/transfers:
+ *   get:
+ *     summary: List transfers
+ *     description: Retrieve transfers between stores, newest first
+ *     tags: [Transfers]
+ *     parameters:
+ *       - in: query
+ *         name: store_id
+ *         schema:
+ *           type: integer
+ *           minimum: 1
+ *         description: Only transfers from or to this store
+ *       - in: query
+ *         name: status
+ *         schema:
+ *           type: string
+ *           enum: [pending, in-transit, received, cancelled]
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           minimum: 1
+ *           maximum: 100
+ *           default: 50
+ *       - in: query
+ *         name: offset
+ *         schema:
+ *           type: integer
+ *           minimum: 0
+ *           default: 0
+ *     responses:
+ *       200:
+ *         description: List of transfers (without items)
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: true
+ *                 data:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/Transfer'
+ *                 count:
+ *                   type: integer
+ *                   description: Total number of matching transfers
+ *                   example: 4
+ *       400:
+ *         description: Invalid query parameters
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ */
+router.get(
+  '/',
+  [
+    query('store_id')
+      .optional()
+      .isInt({ min: 1 })
+      .withMessage('store_id must be a positive integer')
+      .toInt(),
+    query('status')
+      .optional()
+      .isIn(Transfer.STATUSES)
+      .withMessage(`Status must be one of: ${Transfer.STATUSES.join(', ')}`),
+    query('limit')
+      .optional()
+      .isInt({ min: 1, max: 100 })
+      .withMessage('Limit must be an integer between 1 and 100'),
+    query('offset')
+      .optional()
+      .isInt({ min: 0 })
+      .withMessage('Offset must be a non-negative integer'),
+  ],
+  async (req, res, next) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          errors: errors.array(),
+        });
+      }
+
+      const { rows, count } = await transferService.listTransfers({
+        storeId: req.query.store_id,
+        status: req.query.status,
+        limit: req.query.limit ? parseInt(req.query.limit, 10) : undefined,
+        offset: req.query.offset ? parseInt(req.query.offset, 10) : undefined,
+      });
+
+      return res.json({
+        success: true,
+        data: rows,
+        count,
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
+/**
+ * @swagger
+ * /api/transfers:
+ *   post:
+ *     summary: Transfer copies between stores
+ *     description: |
+ *       Record copies moving from one store to another. A transfer goes through:
+ *       - `pending` - planned; no stock has moved
+ *       - `in-transit` - the copies have left the source store
+ *       - `received` - the copies have been added to the destination store
+ *
+ *       New transfers are `in-transit` unless `status` says otherwise; `received`
+ *       takes the copies out of the source and adds them to the destination in one
+ *       transaction. The source must have enough copies of every book, or nothing moves.
+ *
+ *       At the destination, a book it does not stock yet gets the item's `price`, or
+ *       the source store's price if none is given. A book it already stocks keeps its
+ *       price unless the item gives one.
+ *     tags: [Transfers]
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/TransferInput'
+ *     responses:
+ *       201:
+ *         description: Transfer created
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: true
+ *                 data:
+ *                   $ref: '#/components/schemas/Transfer'
+ *       400:
+ *         description: Invalid transfer details, unknown store or book
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       404:
+ *         description: The source store does not stock one of the books
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       409:
+ *         description: The source store has too few copies of one of the books
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ */
+router.post(
+  '/',
+  [
+    body('from_store_id')
+      .isInt({ min: 1 })
+      .withMessage('from_store_id must be a positive integer')
+      .toInt(),
+    body('to_store_id')
+      .isInt({ min: 1 })
+      .withMessage('to_store_id must be a positive integer')
+      .toInt()
+      .custom((value, { req }) => value !== req.body.from_store_id)
+      .withMessage('Source and destination stores must be different'),
+    body('items')
+      .isArray({ min: 1, max: 500 })
+      .withMessage('items must be a list of 1 to 500 books')
+      .bail()
+      .custom((items) => {
+        const bookIds = items.map((item) => String(item && item.book_id));
+        return new Set(bookIds).size === bookIds.length;
+      })
+      .withMessage('Each book can only be listed once'),
+    body('items.*.book_id')
+      .isInt({ min: 1 })
+      .withMessage('book_id must be a positive integer')
+      .toInt(),
+    body('items.*.quantity')
+      .isInt({ min: 1 })
+      .withMessage('quantity must be a positive integer')
+      .toInt(),
+    body('items.*.price')
+      .optional({ nullable: true })
+      .isFloat({ min: 0 })
+      .withMessage('price must be a non-negative number')
+      .toFloat(),
+    body('status')
+      .optional()
+      .isIn(CREATE_STATUSES)
+      .withMessage(`Status must be one of: ${CREATE_STATUSES.join(', ')}`),
+    body('note')
+      .optional({ nullable: true })
+      .isString()
+      .withMessage('Note must be a string')
+      .bail()
+      .isLength({ max: 500 })
+      .withMessage('Note must be at most 500 characters'),
+  ],
+  async (req, res, next) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          errors: errors.array(),
+        });
+      }
+
+      for (const storeId of [req.body.from_store_id, req.body.to_store_id]) {
+        if (!(await storeService.getStore(storeId))) {
+          return res.status(400).json({
+            success: false,
+            error: `Store with ID ${storeId} not found.`,
+          });
+        }
+      }
+
+      for (const item of req.body.items) {
+        if (!(await bookService.getBook(item.book_id))) {
+          return res.status(400).json({
+            success: false,
+            error: `Book with ID ${item.book_id} not found.`,
+          });
+        }
+      }
+
+      const transfer = await transferService.createTransfer({
+        fromStoreId: req.body.from_store_id,
+        toStoreId: req.body.to_store_id,
+        items: req.body.items.map((item) => ({
+          bookId: item.book_id,
+          quantity: item.quantity,
+          price: item.price === null ? undefined : item.price,
+        })),
+        note: req.body.note,
+        status: req.body.status,
+      });
+
+      res.setHeader('Location', `/api/transfers/${transfer.id}`);
+      return res.status(201).json({
+        success: true,
+        data: transfer,
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
+/**
+ * @swagger
+ * /api/transfers/{id}:
+ *   get:
+ *     summary: Get a transfer
+ *     tags: [Transfers]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *           minimum: 1
+ *         description: Transfer ID
+ *     responses:
+ *       200:
+ *         description: Transfer with its items
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: true
+ *                 data:
+ *                   $ref: '#/components/schemas/Transfer'
+ *       400:
+ *         description: Invalid transfer ID
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       404:
+ *         description: Transfer not found
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ */
+router.get('/:id', [transferIdValidator], async (req, res, next) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        errors: errors.array(),
+      });
+    }
+
+    const transferId = parseInt(req.params.id, 10);
+    const transfer = await transferService.getTransfer(transferId);
+
+    if (!transfer) {
+      return res.status(404).json({
+        success: false,
+        error: `Transfer with ID ${transferId} not found.`,
+      });
+    }
+
+    return res.json({
+      success: true,
+      data: transfer,
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * Handler shared by the ship, receive and cancel endpoints
+ * @param {Function} apply - (transfer) => Promise<Transfer>
+ */
+const transferStepHandler = (apply) => async (req, res, next) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        errors: errors.array(),
+      });
+    }
+
+    const transferId = parseInt(req.params.id, 10);
+    const transfer = await transferService.getTransfer(transferId);
+
+    if (!transfer) {
+      return res.status(404).json({
+        success: false,
+        error: `Transfer with ID ${transferId} not found.`,
+      });
+    }
+
+    const updated = await apply(transfer);
+
+    return res.json({
+      success: true,
+      data: updated,
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @swagger
+ * /api/transfers/{id}/ship:
+ *   post:
+ *     summary: Ship a pending transfer
+ *     description: Take the copies out of the source store; the transfer becomes in-transit.
+ *     tags: [Transfers]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *           minimum: 1
+ *         description: Transfer ID
+ *     responses:
+ *       200:
+ *         description: Transfer shipped
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: true
+ *                 data:
+ *                   $ref: '#/components/schemas/Transfer'
+ *       404:
+ *         description: Transfer not found, or the source store does not stock one of the books
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       409:
+ *         description: The transfer is not pending, or the source has too few copies
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ */
+router.post(
+  '/:id/ship',
+  [transferIdValidator],
+  transferStepHandler((transfer) => transferService.shipTransfer(transfer))
+);
+
+/**
+ * @swagger
+ * /api/transfers/{id}/receive:
+ *   post:
+ *     summary: Receive a transfer
+ *     description: |
+ *       Add the copies to the destination store; the transfer becomes received.
+ *       A pending transfer is shipped and received in one transaction.
+ *     tags: [Transfers]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *           minimum: 1
+ *         description: Transfer ID
+ *     responses:
+ *       200:
+ *         description: Transfer received
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: true
+ *                 data:
+ *                   $ref: '#/components/schemas/Transfer'
+ *       404:
+ *         description: Transfer not found
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       409:
+ *         description: The transfer was already received or cancelled, or the destination store was deleted
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ */
+router.post(
+  '/:id/receive',
+  [transferIdValidator],
+  transferStepHandler((transfer) => transferService.receiveTransfer(transfer))
+);
+
+/**
+ * @swagger
+ * /api/transfers/{id}/cancel:
+ *   post:
+ *     summary: Cancel a transfer
+ *     description: Stop a pending or in-transit transfer. Copies already shipped go back to the source store.
+ *     tags: [Transfers]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *           minimum: 1
+ *         description: Transfer ID
+ *     responses:
+ *       200:
+ *         description: Transfer cancelled
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: true
+ *                 data:
+ *                   $ref: '#/components/schemas/Transfer'
+ *       404:
+ *         description: Transfer not found
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       409:
+ *         description: The transfer was already received or cancelled
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ */
+router.post(
+  '/:id/cancel',
+  [transferIdValidator],
+  transferStepHandler((transfer) => transferService.cancelTransfer(transfer))
+);
+
+module.exports = router;
@@ -1,10 +1,67 @@
 /**
  * Database sync script
  * Run with: npm run db:sync
+ *
+ * Run it before the first start and after upgrading: besides altering the
+ * tables, it enables pg_trgm and fills in data for columns added to existing
+ * tables, which the server does not do on startup.
  */
 require('dotenv').config();
 
 const { sequelize } = require('../models');
+const { nameKey } = require('../utils/names');
+
+// Rows updated per query when filling in name keys
+const BACKFILL_BATCH_SIZE = 1000;
+
+// Indexes replaced by others; sync does not drop indexes by itself
+const REPLACED_INDEXES = [
+  // Unique (name, author_id), now only unique for books without ISBN
+  'books_name_author_id',
+  // Unique Idempotency-Key, now only unique among imports that are not
+  // dry runs
+  'import_jobs_idempotency_key',
+];
+
+/**
+ * Credit the author of books created before book_authors existed, so every
+ * book has at least one entry
+ */
+const backfillBookAuthors = async () => {
+  const [, credited] = await sequelize.query(`
+    INSERT INTO book_authors (book_id, author_id, role, position, created_at)
+    SELECT b.id, b.author_id, 'author', 0, NOW()
+    FROM books b
+    WHERE NOT EXISTS (SELECT 1 FROM book_authors ba WHERE ba.book_id = b.id)
+  `);
+  return credited;
+};
+
+/**
+ * Key the names of authors and stores that have no name key yet. Keys are
+ * computed in JavaScript, so this cannot be done in SQL alone.
+ */
+const backfillNameKeys = async () => {
+  let keyedCount = 0;
+  for (const table of ['authors', 'stores']) {
+    const rows = await sequelize.query(
+      `SELECT id, name FROM ${table} WHERE name_key IS NULL`,
+      { type: sequelize.QueryTypes.SELECT }
+    );
+    const keyed = rows
+      .map((row) => [row.id, nameKey(row.name)])
+      .filter(([, key]) => key);
+    for (let i = 0; i < keyed.length; i += BACKFILL_BATCH_SIZE) {
+      await sequelize.query(
+        `UPDATE ${table} t SET name_key = v.key
+         FROM (VALUES :values) AS v(id, key) WHERE t.id = v.id`,
+        { replacements: { values: keyed.slice(i, i + BACKFILL_BATCH_SIZE) } }
+      );
+    }
+    keyedCount += keyed.length;
+  }
+  return keyedCount;
+};
 
 const syncDatabase = async () => {
   try {
@@ -12,10 +69,25 @@ const syncDatabase = async () => {
     await sequelize.authenticate();
     console.log('✓ Database connection established.');
 
+    // Trigram indexes and fuzzy search need pg_trgm, which must exist
+    // before sync creates them
+    console.log('Enabling pg_trgm...');
+    await sequelize.query('CREATE EXTENSION IF NOT EXISTS pg_trgm');
+    console.log('✓ pg_trgm enabled.');
+
+    for (const index of REPLACED_INDEXES) {
+      await sequelize.query(`DROP INDEX IF EXISTS ${index}`);
+    }
+
     console.log('Syncing database tables...');
     await sequelize.sync({ force: false, alter: true });
     console.log('✓ Database synchronized successfully.');
 
+    console.log('Filling in data for new columns...');
+    const credited = await backfillBookAuthors();
+    const keyed = await backfillNameKeys();
+    console.log(`✓ Credited ${credited} book(s) and keyed ${keyed} name(s).`);
+
     process.exit(0);
   } catch (error) {
     console.error('✗ Error syncing database:', error.message);
@@ -0,0 +1,251 @@
+const { Author, Book, BookAuthor, sequelize } = require('../models');
+const bookService = require('./bookService');
+
+// Pairs suggested by findDuplicates when no threshold is given
+const DEFAULT_DUPLICATE_THRESHOLD = 0.6;
+
+class AuthorService {
+  /**
+   * List authors by name
+   * @param {Object} pagination - { limit, offset }
+   * @returns {Promise<{rows: Array, count: number}>} - Authors and total count
+   */
+  async listAuthors({ limit = 50, offset = 0 } = {}) {
+    return Author.findAndCountAll({
+      order: [
+        ['name', 'ASC'],
+        ['id', 'ASC'],
+      ],
+      limit,
+      offset,
+    });
+  }
+
+  /**
+   * Get a single author
+   * @param {number} authorId - Author ID
+   * @returns {Promise<Object|null>} - Author or null if not found
+   */
+  async getAuthor(authorId) {
+    return Author.findByPk(authorId);
+  }
+
+  /**
+   * Find an author by exact name
+   * @param {string} name - Author name
+   * @returns {Promise<Object|null>} - Author or null if the name is free
+   */
+  async findByName(name) {
+    return Author.findOne({ where: { name } });
+  }
+
+  /**
+   * Create an author
+   * @param {Object} data - { name }
+   * @returns {Promise<Object>} - Created Author
+   */
+  async createAuthor(data) {
+    return Author.create({ name: data.name });
+  }
+
+  /**
+   * Rename an author
+   * @param {Object} author - Author instance
+   * @param {Object} data - { name }
+   * @returns {Promise<Object>} - Updated Author
+   */
+  async updateAuthor(author, data) {
+    return author.update({ name: data.name });
+  }
+
+  /**
+   * Number of books crediting an author in any role
+   * @param {number} authorId - Author ID
+   * @returns {Promise<number>} - Book count
+   */
+  async countBooks(authorId) {
+    return BookAuthor.count({ where: { author_id: authorId } });
+  }
+
+  /**
+   * Delete an author together with the books they are credited first on,
+   * and those books' inventory rows and ledger history. Their credits on
+   * other books are removed.
+   * @param {Object} author - Author instance
+   * @returns {Promise<Object>} - Summary { books, credits, inventory }
+   */
+  async deleteAuthor(author) {
+    return sequelize.transaction(async (transaction) => {
+      const books = await Book.findAll({
+        where: { author_id: author.id },
+        attributes: ['id'],
+        transaction,
+      });
+      const bookIds = books.map((book) => book.id);
+
+      let inventory = 0;
+      if (bookIds.length > 0) {
+        ({ inventory } = await bookService.removeInventory(
+          bookIds,
+          transaction
+        ));
+        await Book.destroy({ where: { id: bookIds }, transaction });
+      }
+
+      const credits = await BookAuthor.destroy({
+        where: { author_id: author.id },
+        transaction,
+      });
+
+      await author.destroy({ transaction });
+      return { books: bookIds.length, credits, inventory };
+    });
+  }
+
+  /**
+   * Suggest pairs of authors that are likely the same person: names sharing
+   * a name key (see utils/names) score 1, others their trigram similarity
+   * @param {Object} [options] - { threshold, limit }
+   * @returns {Promise<Array>} - [{ score, authors: [{ id, name, books }, ...] }], most similar first
+   */
+  async findDuplicates({
+    threshold = DEFAULT_DUPLICATE_THRESHOLD,
+    limit = 50,
+  } = {}) {
+    const rows = await sequelize.query(
+      `SELECT p.score,
+              a.id AS a_id, a.name AS a_name,
+              (SELECT CAST(count(*) AS integer) FROM book_authors ba
+               WHERE ba.author_id = a.id) AS a_books,
+              b.id AS b_id, b.name AS b_name,
+              (SELECT CAST(count(*) AS integer) FROM book_authors ba
+               WHERE ba.author_id = b.id) AS b_books
+       FROM (
+         SELECT a.id AS a_id, b.id AS b_id,
+                CASE WHEN a.name_key = b.name_key THEN 1
+                     ELSE similarity(a.name, b.name) END AS score
+         FROM authors a
+         JOIN authors b ON b.id > a.id
+          AND (b.name_key = a.name_key OR b.name % a.name)
+       ) p
+       JOIN authors a ON a.id = p.a_id
+       JOIN authors b ON b.id = p.b_id
+       WHERE p.score >= :threshold
+       ORDER BY p.score DESC, a.id ASC, b.id ASC
+       LIMIT :limit`,
+      {
+        replacements: { threshold, limit },
+        type: sequelize.QueryTypes.SELECT,
+      }
+    );
+
+    return rows.map((row) => ({
+      score: Math.round(row.score * 1000) / 1000,
+      authors: [
+        { id: row.a_id, name: row.a_name, books: row.a_books },
+        { id: row.b_id, name: row.b_name, books: row.b_books },
+      ],
+    }));
+  }
+
+  /**
+   * Get the authors with the given IDs
+   * @param {Array<number>} authorIds - Author IDs
+   * @returns {Promise<Array>} - Authors found
+   */
+  async getAuthors(authorIds) {
+    return Author.findAll({ where: { id: authorIds } });
+  }
+
+  /**
+   * Merge duplicate authors into one. Books without ISBN that several of
+   * them have under one title are merged into one book first. Their books
+   * and credits then move to the target; a book crediting several of them
+   * keeps the earliest credit. The duplicates are then deleted.
+   * @param {Object} target - Author instance kept
+   * @param {Array<Object>} sources - Author instances merged into it
+   * @returns {Promise<Object>} - Summary { merged, books, credits, combined }
+   *   - combined: duplicate books merged into another
+   */
+  async mergeAuthors(target, sources) {
+    return sequelize.transaction(async (transaction) => {
+      const authorIds = [target.id, ...sources.map((source) => source.id)];
+
+      // Books without ISBN are unique per (title, author), so such books
+      // sharing a title are combined first, into the kept author's book if
+      // there is one; editions with an ISBN may share a title
+      const clashes = await sequelize.query(
+        `SELECT name FROM books
+         WHERE author_id IN (:authorIds) AND isbn IS NULL
+         GROUP BY name HAVING count(*) > 1 ORDER BY name`,
+        {
+          replacements: { authorIds },
+          type: sequelize.QueryTypes.SELECT,
+          transaction,
+        }
+      );
+      const clashing = await Book.findAll({
+        where: {
+          author_id: authorIds,
+          isbn: null,
+          name: clashes.map(({ name }) => name),
+        },
+        order: [['id', 'ASC']],
+        transaction,
+      });
+
+      const summary = {
+        merged: sources.length,
+        books: 0,
+        credits: 0,
+        combined: 0,
+      };
+      for (const { name } of clashes) {
+        const books = clashing.filter((book) => book.name === name);
+        const kept =
+          books.find((book) => book.author_id === target.id) || books[0];
+        await bookService.mergeBooks(
+          kept,
+          books.filter((book) => book !== kept),
+          transaction
+        );
+        summary.combined += books.length - 1;
+      }
+
+      for (const source of sources) {
+        const replacements = { target: target.id, source: source.id };
+
+        // Of two credits on one book, drop the later one
+        await sequelize.query(
+          `DELETE FROM book_authors t USING book_authors s
+           WHERE t.book_id = s.book_id AND t.author_id = :target
+             AND s.author_id = :source AND s.position < t.position`,
+          { replacements, transaction }
+        );
+        await sequelize.query(
+          `DELETE FROM book_authors s USING book_authors t
+           WHERE s.book_id = t.book_id AND s.author_id = :source
+             AND t.author_id = :target`,
+          { replacements, transaction }
+        );
+
+        const [credits] = await BookAuthor.update(
+          { author_id: target.id },
+          { where: { author_id: source.id }, transaction }
+        );
+        const [books] = await Book.update(
+          { author_id: target.id },
+          { where: { author_id: source.id }, transaction }
+        );
+        summary.credits += credits;
+        summary.books += books;
+
+        await source.destroy({ transaction });
+      }
+
+      return summary;
+    });
+  }
+}
+
+module.exports = new AuthorService();
@@ -0,0 +1,425 @@
+const {
+  Author,
+  Book,
+  BookAuthor,
+  InventoryChange,
+  StockMovement,
+  StoreBook,
+  Transfer,
+  TransferItem,
+  sequelize,
+} = require('../models');
+const { Op } = require('sequelize');
+
+// Transfers that still move stock; their books cannot be deleted
+const OPEN_TRANSFER_STATUSES = ['pending', 'in-transit'];
+
+// Book details a client can set
+const BOOK_ATTRIBUTES = [
+  'name',
+  'pages',
+  'author_id',
+  'isbn',
+  'publisher',
+  'publication_year',
+  'language',
+  'genre',
+];
+
+// The first credited author, and every credit in order with its role
+const AUTHOR_INCLUDES = [
+  { model: Author, as: 'author', attributes: ['id', 'name'] },
+  {
+    model: Author,
+    as: 'authors',
+    attributes: ['id', 'name'],
+    through: { attributes: ['role', 'position'] },
+  },
+];
+const AUTHOR_ORDER = [
+  { model: Author, as: 'authors' },
+  BookAuthor,
+  'position',
+  'ASC',
+];
+
+// Details that are cleared when a replacing update leaves them out
+const OPTIONAL_ATTRIBUTES = BOOK_ATTRIBUTES.filter(
+  (field) => !['name', 'author_id'].includes(field)
+);
+
+class BookService {
+  /**
+   * List books by name, with their authors
+   * @param {Object} filters - { authorId (any credit), isbn, genre, language, limit, offset }
+   * @returns {Promise<{rows: Array, count: number}>} - Books and total count
+   */
+  async listBooks({
+    authorId,
+    isbn,
+    genre,
+    language,
+    limit = 50,
+    offset = 0,
+  } = {}) {
+    const where = {};
+    if (authorId) {
+      where.id = {
+        [Op.in]: sequelize.literal(
+          `(SELECT book_id FROM book_authors WHERE author_id = ${sequelize.escape(
+            authorId
+          )})`
+        ),
+      };
+    }
+    if (isbn) where.isbn = isbn;
+    if (language) where.language = language;
+    // Genres are free text, so match them regardless of case
+    if (genre) {
+      where[Op.and] = sequelize.where(
+        sequelize.fn('lower', sequelize.col('Book.genre')),
+        genre.toLowerCase()
+      );
+    }
+
+    return Book.findAndCountAll({
+      where,
+      include: AUTHOR_INCLUDES,
+      order: [['name', 'ASC'], ['id', 'ASC'], AUTHOR_ORDER],
+      distinct: true,
+      limit,
+      offset,
+    });
+  }
+
+  /**
+   * Get a single book with its authors
+   * @param {number} bookId - Book ID
+   * @returns {Promise<Object|null>} - Book or null if not found
+   */
+  async getBook(bookId) {
+    return Book.findByPk(bookId, {
+      include: AUTHOR_INCLUDES,
+      order: [AUTHOR_ORDER],
+    });
+  }
+
+  /**
+   * Find the book without ISBN with a title and author; only books without
+   * ISBN are unique by title and author, editions have their own ISBN
+   * @param {string} name - Book title
+   * @param {number} authorId - Author ID
+   * @returns {Promise<Object|null>} - Book or null if not found
+   */
+  async findByNameAndAuthor(name, authorId) {
+    return Book.findOne({ where: { name, author_id: authorId, isbn: null } });
+  }
+
+  /**
+   * Find a book by ISBN
+   * @param {string} isbn - Normalized 13-digit ISBN
+   * @returns {Promise<Object|null>} - Book or null if not found
+   */
+  async findByIsbn(isbn) {
+    return Book.findOne({ where: { isbn } });
+  }
+
+  /**
+   * Create a book
+   * @param {Object} data - { name, author_id, authors, pages, isbn, publisher, publication_year, language, genre }
+   *   - authors: [{ author_id, role }] in credit order, author_id first; just author_id if left out
+   * @returns {Promise<Object>} - Created Book with its authors
+   */
+  async createBook(data) {
+    const book = await sequelize.transaction(async (transaction) => {
+      const created = await Book.create(
+        this.toAttributes(data, { replace: true }),
+        { transaction }
+      );
+      await this.setAuthors(
+        created.id,
+        data.authors || [{ author_id: created.author_id }],
+        transaction
+      );
+      return created;
+    });
+    return this.getBook(book.id);
+  }
+
+  /**
+   * Update a book
+   * @param {Object} book - Book instance
+   * @param {Object} data - { name, author_id, authors, pages, isbn, publisher, publication_year, language, genre }
+   * @param {Object} [options] - { replace } - clear details left out (PUT)
+   * @returns {Promise<Object>} - Updated Book with its authors
+   */
+  async updateBook(book, data, { replace = false } = {}) {
+    await sequelize.transaction(async (transaction) => {
+      const previousAuthorId = book.author_id;
+      await book.update(this.toAttributes(data, { replace }), { transaction });
+
+      if (data.authors) {
+        await this.setAuthors(book.id, data.authors, transaction);
+      } else if (replace) {
+        // Replacing without a credit list leaves author_id as the only author
+        await this.setAuthors(
+          book.id,
+          [{ author_id: book.author_id }],
+          transaction
+        );
+      } else if (book.author_id !== previousAuthorId) {
+        await this.replaceFirstAuthor(book, transaction);
+      }
+    });
+    return this.getBook(book.id);
+  }
+
+  /**
+   * Replace the authors credited on a book
+   * @param {number} bookId - Book ID
+   * @param {Array} authors - [{ author_id, role }] in credit order; role defaults to author
+   * @param {Object} transaction - Sequelize transaction
+   */
+  async setAuthors(bookId, authors, transaction) {
+    await BookAuthor.destroy({ where: { book_id: bookId }, transaction });
+    await BookAuthor.bulkCreate(
+      authors.map(({ author_id, role }, position) => ({
+        book_id: bookId,
+        author_id,
+        role: role || 'author',
+        position,
+      })),
+      { transaction }
+    );
+  }
+
+  /**
+   * Credit a book's new author_id first in place of the previous first
+   * author, keeping the other credits
+   * @param {Object} book - Book instance, already updated
+   * @param {Object} transaction - Sequelize transaction
+   */
+  async replaceFirstAuthor(book, transaction) {
+    const credits = await BookAuthor.findAll({
+      where: { book_id: book.id },
+      order: [['position', 'ASC']],
+      transaction,
+    });
+    const [first, ...others] = credits;
+
+    await this.setAuthors(
+      book.id,
+      [
+        { author_id: book.author_id, role: first ? first.role : 'author' },
+        ...others.filter((credit) => credit.author_id !== book.author_id),
+      ],
+      transaction
+    );
+  }
+
+  /**
+   * Number of stores whose inventory lists a book
+   * @param {number} bookId - Book ID
+   * @returns {Promise<number>} - Store count
+   */
+  async countStores(bookId) {
+    return StoreBook.count({ where: { book_id: bookId } });
+  }
+
+  /**
+   * Delete a book along with its inventory rows. Import ledger entries,
+   * stock movements and transfer items stay, without the book reference.
+   * Routes only call this for a stocked book when asked to cascade.
+   * @param {Object} book - Book instance
+   * @returns {Promise<Object>} - Summary { inventory } - store rows removed
+   * @throws {Error} 409 if the book is on a pending or in-transit transfer
+   */
+  async deleteBook(book) {
+    return sequelize.transaction(async (transaction) => {
+      const removed = await this.removeInventory([book.id], transaction);
+      await book.destroy({ transaction });
+      return removed;
+    });
+  }
+
+  /**
+   * Remove the inventory rows of books so they can be deleted. Their import
+   * ledger entries, stock movements and transfer items are kept as history,
+   * with the book reference cleared.
+   * @param {Array<number>} bookIds - Book IDs
+   * @param {Object} transaction - Sequelize transaction
+   * @returns {Promise<Object>} - Summary { inventory } - store rows removed
+   * @throws {Error} 409 if one of the books is on a pending or in-transit
+   *   transfer
+   */
+  async removeInventory(bookIds, transaction) {
+    const open = await TransferItem.findOne({
+      where: { book_id: bookIds },
+      include: [
+        {
+          model: Transfer,
+          as: 'transfer',
+          where: { status: OPEN_TRANSFER_STATUSES },
+          attributes: ['id', 'status'],
+        },
+      ],
+      transaction,
+    });
+    if (open) {
+      const error = new Error(
+        `Book ${open.book_id} is on transfer ${open.transfer.id}, which is ${open.transfer.status}. Receive or cancel it first.`
+      );
+      error.statusCode = 409;
+      throw error;
+    }
+
+    for (const Ledger of [InventoryChange, StockMovement, TransferItem]) {
+      await Ledger.update(
+        { book_id: null },
+        { where: { book_id: bookIds }, transaction }
+      );
+    }
+    const inventory = await StoreBook.destroy({
+      where: { book_id: bookIds },
+      transaction,
+    });
+    return { inventory };
+  }
+
+  /**
+   * Fold duplicate books into one. Copies a store holds of several of them
+   * are added to the kept book's row, which keeps its price; a transfer
+   * carrying several carries their sum. Import ledger entries, stock
+   * movements and the other inventory rows move over, credits the kept
+   * book lacks are appended and blank details are filled in.
+   * @param {Object} target - Book instance kept
+   * @param {Array<Object>} sources - Book instances merged into it
+   * @param {Object} transaction - Sequelize transaction
+   * @returns {Promise<Object>} - Summary { combined, moved } - inventory rows
+   */
+  async mergeBooks(target, sources, transaction) {
+    // Keep sales and adjustments out until the inventory has moved
+    await StoreBook.findAll({
+      where: { book_id: [target.id, ...sources.map((source) => source.id)] },
+      lock: transaction.LOCK.UPDATE,
+      transaction,
+    });
+
+    const summary = { combined: 0, moved: 0 };
+    for (const source of sources) {
+      const replacements = { target: target.id, source: source.id };
+
+      const [, combined] = await sequelize.query(
+        `UPDATE store_books t
+         SET copies = t.copies + s.copies,
+             sold_out = t.copies + s.copies = 0,
+             updated_at = NOW()
+         FROM store_books s
+         WHERE t.store_id = s.store_id AND t.book_id = :target
+           AND s.book_id = :source`,
+        { replacements, transaction }
+      );
+      await sequelize.query(
+        `DELETE FROM store_books s USING store_books t
+         WHERE s.store_id = t.store_id AND s.book_id = :source
+           AND t.book_id = :target`,
+        { replacements, transaction }
+      );
+      const [moved] = await StoreBook.update(
+        { book_id: target.id },
+        { where: { book_id: source.id }, transaction }
+      );
+      summary.combined += combined.rowCount;
+      summary.moved += moved;
+
+      await sequelize.query(
+        `UPDATE transfer_items t
+         SET quantity = t.quantity + s.quantity
+         FROM transfer_items s
+         WHERE t.transfer_id = s.transfer_id AND t.book_id = :target
+           AND s.book_id = :source`,
+        { replacements, transaction }
+      );
+      await sequelize.query(
+        `DELETE FROM transfer_items s USING transfer_items t
+         WHERE s.transfer_id = t.transfer_id AND s.book_id = :source
+           AND t.book_id = :target`,
+        { replacements, transaction }
+      );
+      for (const Ledger of [InventoryChange, StockMovement, TransferItem]) {
+        await Ledger.update(
+          { book_id: target.id },
+          { where: { book_id: source.id }, transaction }
+        );
+      }
+
+      const credits = await BookAuthor.findAll({
+        where: { book_id: [target.id, source.id] },
+        order: [['position', 'ASC']],
+        transaction,
+      });
+      const kept = credits.filter((credit) => credit.book_id === target.id);
+      for (const credit of credits) {
+        if (!kept.some((other) => other.author_id === credit.author_id)) {
+          kept.push(credit);
+        }
+      }
+      await this.setAuthors(target.id, kept, transaction);
+
+      const details = {};
+      for (const field of OPTIONAL_ATTRIBUTES) {
+        if (target[field] == null && source[field] != null) {
+          details[field] = source[field];
+        }
+      }
+      // Free the ISBN before the kept book takes it over
+      await source.destroy({ transaction });
+      if (Object.keys(details).length > 0) {
+        await target.update(details, { transaction });
+      }
+    }
+
+    return summary;
+  }
+
+  /**
+   * Stores carrying a book, with their price and stock
+   * @param {Object} book - Book instance
+   * @returns {Promise<Array>} - [{ id, name, address, price, copies, sold_out }]
+   */
+  async listStores(book) {
+    const stores = await book.getStores({
+      joinTableAttributes: ['price', 'copies', 'sold_out'],
+      order: [['name', 'ASC']],
+    });
+
+    return stores.map((store) => ({
+      id: store.id,
+      name: store.name,
+      address: store.address,
+      price: store.StoreBook.price,
+      copies: store.StoreBook.copies,
+      sold_out: store.StoreBook.sold_out,
+    }));
+  }
+
+  /**
+   * Pick book attributes from a request body
+   * @param {Object} data - Request body
+   * @param {Object} options - { replace } - set details left out to null
+   * @returns {Object} - Model attributes
+   */
+  toAttributes(data, { replace }) {
+    const attributes = {};
+    for (const field of BOOK_ATTRIBUTES) {
+      if (data[field] !== undefined) {
+        attributes[field] = data[field];
+      } else if (replace && OPTIONAL_ATTRIBUTES.includes(field)) {
+        attributes[field] = null;
+      }
+    }
+    return attributes;
+  }
+}
+
+module.exports = new BookService();
@@ -0,0 +1,395 @@
+const ExcelJS = require('exceljs');
+const { sequelize } = require('../models');
+const { csvLine } = require('../utils/csv');
+
+// Inventory rows read per query while exporting
+const EXPORT_BATCH_SIZE = 1000;
+
+// Columns of an inventory export. The import columns come first, so a CSV
+// export can be uploaded again; the rest are ignored by the importer.
+const INVENTORY_COLUMNS = [
+  { key: 'store_name', width: 25 },
+  { key: 'store_address', width: 30 },
+  { key: 'book_name', width: 40 },
+  { key: 'author_name', width: 30 },
+  { key: 'price', width: 10 },
+  { key: 'copies', width: 10 },
+  { key: 'pages', width: 10 },
+  { key: 'isbn', width: 16 },
+  { key: 'publisher', width: 25 },
+  { key: 'publication_year', width: 16 },
+  { key: 'language', width: 10 },
+  { key: 'genre', width: 16 },
+  { key: 'book_id', width: 10 },
+  { key: 'value', width: 12 },
+  { key: 'sold_out', width: 10 },
+  { key: 'added_at', width: 24 },
+  { key: 'updated_at', width: 24 },
+];
+
+// Columns of the report sections listing books or authors
+const BOOK_COLUMNS = [
+  { key: 'rank', header: '#', width: 6 },
+  { key: 'name', header: 'Book Name', width: 40 },
+  { key: 'author', header: 'Author', width: 25 },
+  { key: 'isbn', header: 'ISBN', width: 16 },
+  { key: 'pages', header: 'Pages', width: 8 },
+  { key: 'publisher', header: 'Publisher', width: 25 },
+  { key: 'publicationYear', header: 'Year', width: 8 },
+  { key: 'language', header: 'Language', width: 10 },
+  { key: 'genre', header: 'Genre', width: 16 },
+  { key: 'price', header: 'Price', width: 10 },
+  { key: 'copies', header: 'Copies', width: 8 },
+  { key: 'addedAt', header: 'Added', width: 24 },
+];
+const AUTHOR_COLUMNS = [
+  { key: 'rank', header: '#', width: 6 },
+  { key: 'name', header: 'Author Name', width: 30 },
+  { key: 'bookCount', header: 'Books', width: 8 },
+  { key: 'totalCopies', header: 'Total Copies', width: 12 },
+];
+const AUTHOR_VALUE_COLUMNS = [
+  ...AUTHOR_COLUMNS,
+  { key: 'totalValue', header: 'Value', width: 12 },
+];
+
+// Longest worksheet name Excel accepts
+const MAX_SHEET_NAME_LENGTH = 31;
+
+/**
+ * Value of an XLSX cell: numbers, dates and booleans as they are and
+ * anything else as text, so no value is ever written as a formula
+ * @param {*} value - Cell value
+ * @returns {*}
+ */
+function xlsxCell(value) {
+  if (value === null || value === undefined) return null;
+  if (
+    typeof value === 'number' ||
+    typeof value === 'boolean' ||
+    value instanceof Date
+  ) {
+    return value;
+  }
+  return typeof value === 'object' ? JSON.stringify(value) : String(value);
+}
+
+/**
+ * Cells of an XLSX row in column order
+ * @param {Object} row - Row keyed by column
+ * @param {Array<Object>} columns - Columns with their key
+ * @returns {Array}
+ */
+function xlsxRow(row, columns) {
+  return columns.map((column) => xlsxCell(row[column.key]));
+}
+
+/**
+ * Give rows their position in a section, starting at 1
+ * @param {Array<Object>} rows - Section rows
+ * @returns {Array<Object>}
+ */
+function ranked(rows) {
+  return rows.map((row, index) => ({ rank: index + 1, ...row }));
+}
+
+class ExportService {
+  /**
+   * Columns of an inventory export, in order
+   * @returns {Array<string>}
+   */
+  get inventoryColumns() {
+    return INVENTORY_COLUMNS.map((column) => column.key);
+  }
+
+  /**
+   * Read a store's inventory joined with its books and their authors, by
+   * book name. Authors are written as an import expects them: all credits in
+   * order, separated by "; ", with the role of editors and translators in
+   * parentheses.
+   * @param {number} storeId - Store ID
+   * @returns {AsyncGenerator<Array<Object>>} - Batches of rows keyed by column
+   */
+  async *inventoryRows(storeId) {
+    // Page by (book name, book id), continuing after the last row seen
+    let last = null;
+    while (true) {
+      const rows = await sequelize.query(
+        `
+        SELECT
+          s.name AS store_name,
+          s.address AS store_address,
+          b.name AS book_name,
+          COALESCE(credits.author_name, a.name) AS author_name,
+          sb.price,
+          sb.copies,
+          b.pages,
+          b.isbn,
+          b.publisher,
+          b.publication_year,
+          b.language,
+          b.genre,
+          b.id AS book_id,
+          sb.price * sb.copies AS value,
+          sb.sold_out,
+          sb.created_at AS added_at,
+          sb.updated_at
+        FROM store_books sb
+        INNER JOIN stores s ON s.id = sb.store_id
+        INNER JOIN books b ON b.id = sb.book_id
+        INNER JOIN authors a ON a.id = b.author_id
+        LEFT JOIN LATERAL (
+          SELECT string_agg(
+            CASE WHEN ba.role = 'author' THEN ca.name
+              ELSE ca.name || ' (' || ba.role || ')' END,
+            '; ' ORDER BY ba.position ASC, ba.author_id ASC
+          ) AS author_name
+          FROM book_authors ba
+          INNER JOIN authors ca ON ca.id = ba.author_id
+          WHERE ba.book_id = b.id
+        ) credits ON TRUE
+        WHERE sb.store_id = :storeId
+          ${last ? 'AND (b.name, b.id) > (:lastName, :lastId)' : ''}
+        ORDER BY b.name ASC, b.id ASC
+        LIMIT :limit
+      `,
+        {
+          replacements: {
+            storeId,
+            limit: EXPORT_BATCH_SIZE,
+            ...(last && { lastName: last.book_name, lastId: last.book_id }),
+          },
+          type: sequelize.QueryTypes.SELECT,
+        }
+      );
+      if (rows.length === 0) break;
+
+      yield rows;
+
+      if (rows.length < EXPORT_BATCH_SIZE) break;
+      last = rows[rows.length - 1];
+    }
+  }
+
+  /**
+   * Build a store's inventory export as CSV lines
+   * @param {number} storeId - Store ID
+   * @returns {AsyncGenerator<string>} - CSV lines, header first
+   */
+  async *inventoryCsvLines(storeId) {
+    const columns = this.inventoryColumns;
+    yield csvLine(columns);
+
+    for await (const rows of this.inventoryRows(storeId)) {
+      let lines = '';
+      for (const row of rows) {
+        lines += csvLine(
+          columns.map((column) =>
+            row[column] instanceof Date
+              ? row[column].toISOString()
+              : row[column]
+          )
+        );
+      }
+      yield lines;
+    }
+  }
+
+  /**
+   * Write a store's inventory export as an XLSX workbook with one
+   * worksheet, committing rows as they are read. Text is written as
+   * string cells, never as formulas.
+   * @param {number} storeId - Store ID
+   * @param {Stream} stream - Where to write the workbook
+   * @returns {Promise<void>}
+   */
+  async writeInventoryXlsx(storeId, stream) {
+    const workbook = new ExcelJS.stream.xlsx.WorkbookWriter({
+      stream,
+      useStyles: true,
+    });
+    const sheet = workbook.addWorksheet('Inventory');
+    sheet.columns = INVENTORY_COLUMNS.map(({ key, width }) => ({
+      key,
+      width,
+      header: key,
+    }));
+    sheet.getRow(1).font = { bold: true };
+
+    for await (const rows of this.inventoryRows(storeId)) {
+      for (const row of rows) {
+        sheet
+          .addRow(
+            xlsxRow(
+              {
+                ...row,
+                price: parseFloat(row.price),
+                value: parseFloat(row.value),
+              },
+              INVENTORY_COLUMNS
+            )
+          )
+          .commit();
+      }
+    }
+
+    sheet.commit();
+    await workbook.commit();
+  }
+
+  /**
+   * Turn the content of a store report into tables, one per section; the
+   * valuation section gives a table of figures, one of price buckets and one
+   * of authors
+   * @param {Array<Object>} content - From reportService.getStoreReportContent
+   * @returns {Array<Object>} - [{ title, filters, columns, rows }]
+   */
+  reportTables(content) {
+    const tables = [];
+    for (const { section, title, filters, rows } of content) {
+      switch (section.type) {
+        case 'valuation':
+          tables.push(
+            {
+              title,
+              filters,
+              columns: [
+                { key: 'figure', header: 'Figure', width: 20 },
+                { key: 'value', header: 'Value', width: 12 },
+              ],
+              rows: [
+                { figure: 'Retail value', value: rows.totalValue },
+                { figure: 'Copies in stock', value: rows.totalCopies },
+                { figure: 'Titles in stock', value: rows.titles },
+                { figure: 'Sold out titles', value: rows.soldOutTitles },
+                { figure: 'Average price', value: rows.averagePrice },
+                { figure: 'Median price', value: rows.medianPrice },
+              ],
+            },
+            {
+              title: `${title} - Titles by Price`,
+              filters,
+              columns: [
+                { key: 'label', header: 'Price', width: 16 },
+                { key: 'min', header: 'From', width: 8 },
+                { key: 'max', header: 'Under', width: 8 },
+                { key: 'titles', header: 'Titles', width: 8 },
+                { key: 'copies', header: 'Copies', width: 8 },
+                { key: 'value', header: 'Value', width: 12 },
+              ],
+              rows: rows.priceDistribution,
+            },
+            {
+              title: `${title} - Value by Author`,
+              filters,
+              columns: AUTHOR_VALUE_COLUMNS,
+              rows: ranked(rows.valueByAuthor),
+            }
+          );
+          break;
+        case 'prolific-authors':
+          tables.push({
+            title,
+            filters,
+            columns: AUTHOR_COLUMNS,
+            rows: ranked(rows),
+          });
+          break;
+        case 'value-by-author':
+          tables.push({
+            title,
+            filters,
+            columns: AUTHOR_VALUE_COLUMNS,
+            rows: ranked(rows),
+          });
+          break;
+        default:
+          tables.push({
+            title,
+            filters,
+            columns: BOOK_COLUMNS,
+            rows: ranked(rows),
+          });
+      }
+    }
+    return tables;
+  }
+
+  /**
+   * Write report tables as CSV: each table headed by its title and filters,
+   * with a blank line between tables
+   * @param {Array<Object>} tables - From reportTables
+   * @returns {string} - CSV text
+   */
+  reportCsv(tables) {
+    return tables
+      .map(({ title, filters, columns, rows }) => {
+        let lines = csvLine([title]);
+        if (filters) lines += csvLine([filters]);
+        lines += csvLine(columns.map((column) => column.header));
+        for (const row of rows) {
+          lines += csvLine(
+            columns.map((column) =>
+              row[column.key] instanceof Date
+                ? row[column.key].toISOString()
+                : row[column.key]
+            )
+          );
+        }
+        return lines;
+      })
+      .join('\n');
+  }
+
+  /**
+   * Write report tables as an XLSX workbook, one worksheet per table headed
+   * by its title and filters, with text as string cells
+   * @param {Array<Object>} tables - From reportTables
+   * @param {Stream} stream - Where to write the workbook
+   * @returns {Promise<void>}
+   */
+  async writeReportXlsx(tables, stream) {
+    const workbook = new ExcelJS.stream.xlsx.WorkbookWriter({
+      stream,
+      useStyles: true,
+    });
+    const names = new Set();
+
+    for (const { title, filters, columns, rows } of tables) {
+      const sheet = workbook.addWorksheet(this.sheetName(title, names));
+      sheet.columns = columns.map(({ key, width }) => ({ key, width }));
+
+      sheet.addRow([xlsxCell(title)]).font = { bold: true, size: 14 };
+      if (filters) sheet.addRow([xlsxCell(filters)]).font = { italic: true };
+      sheet.addRow(columns.map((column) => column.header)).font = {
+        bold: true,
+      };
+      for (const row of rows) sheet.addRow(xlsxRow(row, columns));
+
+      sheet.commit();
+    }
+
+    await workbook.commit();
+  }
+
+  /**
+   * Worksheet name for a title: without the characters Excel rejects, at
+   * most 31 characters and not used yet in the workbook
+   * @param {string} title - Table title
+   * @param {Set<string>} names - Names already used; the result is added
+   * @returns {string}
+   */
+  sheetName(title, names) {
+    const base =
+      title.replace(/[[\]:*?/\\]/g, ' ').trim() || `Sheet ${names.size + 1}`;
+    let name = base.slice(0, MAX_SHEET_NAME_LENGTH);
+    for (let i = 2; names.has(name.toLowerCase()); i++) {
+      const suffix = ` (${i})`;
+      name = base.slice(0, MAX_SHEET_NAME_LENGTH - suffix.length) + suffix;
+    }
+    names.add(name.toLowerCase());
+    return name;
+  }
+}
+
+module.exports = new ExportService();
@@ -0,0 +1,796 @@
+const crypto = require('crypto');
+const fs = require('fs');
+const os = require('os');
+const { Op } = require('sequelize');
+const {
+  ImportJob,
+  ImportRowError,
+  ImportPreviewRow,
+  InventoryChange,
+  StoreBook,
+  Store,
+  Book,
+  sequelize,
+} = require('../models');
+const inventoryService = require('./inventoryService');
+const importProfileService = require('./importProfileService');
+const uploadConfig = require('../config/upload');
+const { csvLine } = require('../utils/csv');
+const { IMPORT_ERROR_CODES } = require('../utils/importErrors');
+
+// How often the server checks the queue for jobs, in milliseconds
+const QUEUE_POLL_INTERVAL = 2000;
+
+// A running job whose server has not sent a heartbeat for this long, in
+// milliseconds, is taken as abandoned
+const HEARTBEAT_TIMEOUT = 60000;
+
+// Persist progress at most once per this many rows to keep DB writes cheap
+const PROGRESS_UPDATE_INTERVAL = 100;
+
+// Row errors kept in job results; each chunk's errors are saved for the
+// error report as the import goes
+const ERROR_PREVIEW_LIMIT = 100;
+
+// Rows written or read per query when saving or exporting row errors
+const ERROR_BATCH_SIZE = 1000;
+
+// Dry-run preview rows kept in job results; every row is paged from
+// import_preview_rows
+const PREVIEW_LIMIT = 100;
+
+class ImportJobService {
+  constructor() {
+    // Queue worker state; see startWorker
+    this.workerId = `${os.hostname()}:${process.pid}:${crypto.randomUUID()}`;
+    this.poller = null;
+    this.claiming = false;
+    this.activeJobs = 0;
+  }
+
+  /**
+   * Create a queued import job. A server running the queue worker picks it
+   * up; nothing runs as part of the request.
+   * @param {Object} file - Uploaded file stored on disk ({ path, originalname, size })
+   * @param {Object} [options] - Import options
+   * @param {boolean} [options.dryRun] - Preview the import without committing it
+   * @param {boolean} [options.atomic] - Roll back the whole file if any row fails
+   * @param {boolean} [options.bulk] - Use batched set-based ingestion
+   * @param {string} [options.mergeStrategy] - 'add', 'set' or 'replace-store'
+   * @param {string} [options.pricePolicy] - 'latest', 'keep', 'max' or 'min'
+   * @param {string} [options.format] - 'csv' (default), 'xlsx', 'json' or 'ndjson'
+   * @param {string} [options.sheet] - XLSX worksheet to import
+   * @param {Object} [options.profile] - ImportProfile to parse the file with
+   * @param {string} [options.checksum] - File checksum, computed if not given
+   * @param {string} [options.idempotencyKey] - Client-supplied Idempotency-Key
+   * @returns {Promise<Object>} - Newly created ImportJob
+   */
+  async enqueue(
+    file,
+    {
+      dryRun = false,
+      atomic = false,
+      bulk = false,
+      mergeStrategy = 'add',
+      pricePolicy = 'latest',
+      format = 'csv',
+      sheet,
+      profile,
+      checksum,
+      idempotencyKey,
+    } = {}
+  ) {
+    const job = await ImportJob.create({
+      filename: file.originalname,
+      file_size: file.size,
+      file_path: file.path,
+      checksum: checksum || (await this.computeChecksum(file.path)),
+      idempotency_key: idempotencyKey || null,
+      dry_run: dryRun,
+      atomic,
+      bulk,
+      merge_strategy: mergeStrategy,
+      price_policy: pricePolicy,
+      format,
+      sheet: sheet || null,
+      // Copy the settings so later profile edits do not affect this job
+      profile_id: profile ? profile.id : null,
+      parse_options: profile
+        ? importProfileService.toParseOptions(profile)
+        : null,
+      status: 'queued',
+    });
+
+    // Start it now rather than at the next poll if this process runs jobs
+    if (this.poller) this.processQueue();
+
+    return job;
+  }
+
+  /**
+   * Run queued import jobs in this process, checking the queue every few
+   * seconds. Only a long-running server calls this; jobs queued where no
+   * worker runs wait until one does.
+   */
+  startWorker() {
+    if (this.poller) return;
+    this.poller = setInterval(() => this.pollQueue(), QUEUE_POLL_INTERVAL);
+    this.processQueue();
+  }
+
+  /**
+   * One round of the queue worker: keep this server's jobs alive, fail the
+   * jobs of servers that stopped, then claim queued jobs
+   */
+  async pollQueue() {
+    try {
+      await this.sendHeartbeat();
+      const interrupted = await this.failInterruptedJobs();
+      if (interrupted > 0) {
+        console.log(
+          `Marked ${interrupted} interrupted import job(s) as failed.`
+        );
+      }
+    } catch (error) {
+      console.error('Could not check running import jobs:', error);
+    }
+    await this.processQueue();
+  }
+
+  /**
+   * Record that the jobs this server runs are still running
+   */
+  async sendHeartbeat() {
+    if (this.activeJobs === 0) return;
+    await ImportJob.update(
+      { heartbeat_at: new Date() },
+      {
+        where: {
+          worker_id: this.workerId,
+          status: ['parsing', 'importing'],
+        },
+      }
+    );
+  }
+
+  /**
+   * Claim queued jobs, oldest first, while fewer than the configured number
+   * run in this process, and run them. Errors are logged, never thrown.
+   */
+  async processQueue() {
+    if (this.claiming) return;
+    this.claiming = true;
+
+    try {
+      while (this.activeJobs < uploadConfig.concurrentJobs) {
+        const job = await this.claimNextJob();
+        if (!job) break;
+
+        this.activeJobs++;
+        this.run(job)
+          .catch((error) => {
+            console.error(`Import job ${job.id} crashed:`, error);
+          })
+          .finally(() => {
+            this.activeJobs--;
+            this.processQueue();
+          });
+      }
+    } catch (error) {
+      console.error('Could not read the import queue:', error);
+    } finally {
+      this.claiming = false;
+    }
+  }
+
+  /**
+   * Take the oldest queued job, moving it to 'parsing' so no other server
+   * runs it too
+   * @returns {Promise<Object|null>} - ImportJob claimed, or null if none is queued
+   */
+  async claimNextJob() {
+    return sequelize.transaction(async (transaction) => {
+      const job = await ImportJob.findOne({
+        where: { status: 'queued' },
+        order: [['id', 'ASC']],
+        lock: transaction.LOCK.UPDATE,
+        skipLocked: true,
+        transaction,
+      });
+      if (!job) return null;
+
+      await job.update(
+        {
+          status: 'parsing',
+          started_at: new Date(),
+          worker_id: this.workerId,
+          heartbeat_at: new Date(),
+        },
+        { transaction }
+      );
+      return job;
+    });
+  }
+
+  /**
+   * Run an import job to completion, recording each stage on the job row.
+   * The uploaded file is removed once the job finishes.
+   * @param {Object} job - ImportJob instance
+   */
+  async run(job) {
+    let lastReported = 0;
+
+    try {
+      const results = await inventoryService.processCSV(job.file_path, {
+        dryRun: job.dry_run,
+        atomic: job.atomic,
+        bulk: job.bulk,
+        mergeStrategy: job.merge_strategy,
+        pricePolicy: job.price_policy,
+        format: job.format,
+        sheet: job.sheet || undefined,
+        parseOptions: job.parse_options || undefined,
+        importJobId: job.id,
+        previewLimit: PREVIEW_LIMIT,
+        onPreview: async (preview) => {
+          await this.savePreviewRows(job, preview);
+        },
+        errorLimit: ERROR_PREVIEW_LIMIT,
+        onErrors: async (errors) => {
+          await this.saveRowErrors(job, errors);
+        },
+        onStage: async (stage) => {
+          await job.update({ status: stage });
+        },
+        onProgress: async (progress, { parsedRows }) => {
+          const handled = progress.processed + progress.failed;
+          if (handled - lastReported < PROGRESS_UPDATE_INTERVAL) return;
+          lastReported = handled;
+          await job.update({
+            total_rows: parsedRows,
+            processed_rows: progress.processed,
+            failed_rows: progress.failed,
+          });
+        },
+      });
+
+      const failure = this.describeFailure(results);
+
+      await job.update({
+        status: failure ? 'failed' : 'done',
+        total_rows: results.processed + results.failed,
+        processed_rows: results.processed,
+        failed_rows: results.failed,
+        results,
+        error: failure,
+        finished_at: new Date(),
+      });
+    } catch (error) {
+      await job.update({
+        status: 'failed',
+        error: error.message,
+        finished_at: new Date(),
+      });
+    } finally {
+      await this.removeUpload(job);
+    }
+
+    return job;
+  }
+
+  /**
+   * Compute the SHA-256 checksum of a file without loading it into memory
+   * @param {string} filePath - Path to the file
+   * @returns {Promise<string>} - Hex digest
+   */
+  computeChecksum(filePath) {
+    return new Promise((resolve, reject) => {
+      const hash = crypto.createHash('sha256');
+      fs.createReadStream(filePath)
+        .on('data', (data) => hash.update(data))
+        .on('end', () => resolve(hash.digest('hex')))
+        .on('error', reject);
+    });
+  }
+
+  /**
+   * Find an earlier upload that this one repeats.
+   * An Idempotency-Key matches the upload submitted with it whatever its
+   * outcome. Dry runs and imports are matched separately, so a dry run does
+   * not stand in for the import it previews; keys are unique among imports.
+   * Without a key, a file matches the latest import of identical content
+   * that applied (or is applying) changes: dry runs, failed and reverted
+   * imports are ignored.
+   * @param {Object} criteria - { checksum, idempotencyKey, dryRun }
+   * @returns {Promise<Object|null>} - Original ImportJob, or null
+   */
+  async findDuplicate({ checksum, idempotencyKey, dryRun = false }) {
+    if (idempotencyKey) {
+      return ImportJob.findOne({
+        where: { idempotency_key: idempotencyKey, dry_run: dryRun },
+        order: [['id', 'ASC']],
+      });
+    }
+
+    return ImportJob.findOne({
+      where: {
+        checksum,
+        dry_run: false,
+        reverted_at: null,
+        status: ['queued', 'parsing', 'importing', 'done'],
+      },
+      order: [['id', 'DESC']],
+    });
+  }
+
+  /**
+   * Work out whether finished results mean the job failed
+   * @param {Object} results - Processing results
+   * @returns {string|null} - Failure reason, or null if the job succeeded
+   */
+  describeFailure(results) {
+    if (results.rolledBack) {
+      return `Atomic import rolled back: ${results.failed} row(s) failed.`;
+    }
+    if (results.processed === 0 && results.failed > 0) {
+      return 'Failed to process any rows from the uploaded file.';
+    }
+    return null;
+  }
+
+  /**
+   * Store rejected rows so they can be downloaded as an error report
+   * @param {Object} job - ImportJob instance
+   * @param {Array} errors - Row errors of one chunk of the file
+   */
+  async saveRowErrors(job, errors) {
+    for (let i = 0; i < errors.length; i += ERROR_BATCH_SIZE) {
+      await ImportRowError.bulkCreate(
+        errors.slice(i, i + ERROR_BATCH_SIZE).map((error) => ({
+          import_job_id: job.id,
+          row_number: error.row,
+          code: error.code || IMPORT_ERROR_CODES.PROCESSING_FAILED,
+          // The row has its own column in the report
+          message: error.error.replace(/^Row \d+: /, ''),
+          // As read from the file, so the report can be fixed and re-uploaded
+          data: error.record || null,
+        }))
+      );
+    }
+  }
+
+  /**
+   * Store the changes a dry run found, so every row can be paged through
+   * @param {Object} job - ImportJob instance
+   * @param {Array} preview - Preview rows of one chunk, { row, ...changes }
+   */
+  async savePreviewRows(job, preview) {
+    await ImportPreviewRow.bulkCreate(
+      preview.map(({ row, ...changes }) => ({
+        import_job_id: job.id,
+        row_number: row,
+        changes,
+      }))
+    );
+  }
+
+  /**
+   * List the changes a dry run found, in file order
+   * @param {number} jobId - ImportJob ID
+   * @param {Object} pagination - { limit, offset }
+   * @returns {Promise<{rows: Array, count: number}>} - Preview rows, shaped
+   *   like results.preview, and total count
+   */
+  async listPreview(jobId, { limit = 100, offset = 0 } = {}) {
+    const { rows, count } = await ImportPreviewRow.findAndCountAll({
+      where: { import_job_id: jobId },
+      order: [
+        ['row_number', 'ASC'],
+        ['id', 'ASC'],
+      ],
+      limit,
+      offset,
+    });
+
+    return {
+      rows: rows.map((preview) => ({
+        row: preview.row_number,
+        ...preview.changes,
+      })),
+      count,
+    };
+  }
+
+  /**
+   * Columns of the rows an import rejected, in the order the file had them
+   * @param {number} jobId - ImportJob ID
+   * @returns {Promise<Array<string>>} - Column names
+   */
+  async findErrorColumns(jobId) {
+    const rows = await sequelize.query(
+      `
+      SELECT k.key
+      FROM import_row_errors e
+      CROSS JOIN LATERAL json_object_keys(
+        CASE WHEN json_typeof(e.data) = 'object' THEN e.data ELSE '{}'::json END
+      ) WITH ORDINALITY AS k(key, position)
+      WHERE e.import_job_id = :jobId
+      GROUP BY k.key
+      ORDER BY MIN(e.id), MIN(k.position)
+    `,
+      {
+        replacements: { jobId },
+        type: sequelize.QueryTypes.SELECT,
+      }
+    );
+
+    return rows.map((r) => r.key);
+  }
+
+  /**
+   * Build the error report of an import as CSV lines: the original columns
+   * of each rejected row plus row_number, error_code and error_message.
+   * Rows are read in batches, so large reports are never held in memory.
+   * @param {Object} job - ImportJob instance
+   * @returns {AsyncGenerator<string>} - CSV lines, header first
+   */
+  async *errorReportLines(job) {
+    const columns = await this.findErrorColumns(job.id);
+    const header = [...columns, 'row_number', 'error_code', 'error_message'];
+    yield csvLine(header);
+
+    // Page in file order, continuing after the last (row_number, id) seen
+    let last = null;
+    while (true) {
+      const errors = await ImportRowError.findAll({
+        where: {
+          import_job_id: job.id,
+          ...(last && {
+            [Op.or]: [
+              { row_number: { [Op.gt]: last.row_number } },
+              { row_number: last.row_number, id: { [Op.gt]: last.id } },
+            ],
+          }),
+        },
+        order: [
+          ['row_number', 'ASC'],
+          ['id', 'ASC'],
+        ],
+        limit: ERROR_BATCH_SIZE,
+      });
+      if (errors.length === 0) break;
+
+      let lines = '';
+      for (const error of errors) {
+        const data = error.data || {};
+        const cells = [
+          ...columns.map((column) => data[column]),
+          error.row_number,
+          error.code,
+          error.message,
+        ];
+        lines += csvLine(cells);
+      }
+      yield lines;
+
+      last = errors[errors.length - 1];
+    }
+  }
+
+  /**
+   * Get a single import job
+   * @param {number} jobId - ImportJob ID
+   * @returns {Promise<Object|null>} - ImportJob or null if not found
+   */
+  async getJob(jobId) {
+    return ImportJob.findByPk(jobId);
+  }
+
+  /**
+   * List import jobs, newest first
+   * @param {Object} filters - { status, limit, offset }
+   * @returns {Promise<{rows: Array, count: number}>} - Jobs and total count
+   */
+  async listJobs({ status, limit = 20, offset = 0 } = {}) {
+    return ImportJob.findAndCountAll({
+      where: status ? { status } : {},
+      attributes: { exclude: ['results'] },
+      order: [['created_at', 'DESC']],
+      limit,
+      offset,
+    });
+  }
+
+  /**
+   * List the inventory changes an import made
+   * @param {number} jobId - ImportJob ID
+   * @param {Object} pagination - { limit, offset }
+   * @returns {Promise<{rows: Array, count: number}>} - Ledger entries and total count
+   */
+  async listChanges(jobId, { limit = 100, offset = 0 } = {}) {
+    return InventoryChange.findAndCountAll({
+      where: { import_job_id: jobId },
+      include: [
+        // History keeps showing stores deleted since the import
+        {
+          model: Store,
+          as: 'store',
+          attributes: ['id', 'name'],
+          paranoid: false,
+        },
+        { model: Book, as: 'book', attributes: ['id', 'name'] },
+      ],
+      order: [['id', 'ASC']],
+      limit,
+      offset,
+    });
+  }
+
+  /**
+   * Find later, unreverted imports that changed the same inventory rows
+   * @param {Object} job - ImportJob instance
+   * @param {Object} [transaction] - Sequelize transaction
+   * @returns {Promise<Array<number>>} - IDs of the conflicting imports
+   */
+  async findLaterImports(job, transaction) {
+    const rows = await sequelize.query(
+      `
+      SELECT DISTINCT later.import_job_id
+      FROM inventory_changes own
+      INNER JOIN inventory_changes later
+        ON later.store_id = own.store_id
+        AND later.book_id = own.book_id
+        AND later.import_job_id > own.import_job_id
+      INNER JOIN import_jobs j
+        ON j.id = later.import_job_id AND j.reverted_at IS NULL
+      WHERE own.import_job_id = :jobId
+      ORDER BY later.import_job_id
+    `,
+      {
+        replacements: { jobId: job.id },
+        type: sequelize.QueryTypes.SELECT,
+        transaction,
+      }
+    );
+
+    return rows.map((r) => r.import_job_id);
+  }
+
+  /**
+   * Reverse the inventory changes made by an import.
+   * Copies added by the import are removed, prices and sold_out flags are
+   * restored to their values before the import, and inventory rows the
+   * import created are deleted once no copies remain. Stores, authors and
+   * books created by the import are kept. A failed import is reverted as
+   * far as it got.
+   * @param {Object} job - ImportJob instance, not a dry run
+   * @param {Object} [options] - { force } - revert even if later imports
+   *   changed the same inventory rows
+   * @returns {Promise<Object>} - Summary { restored, removed, missing }
+   * @throws {Error} 409 if the import is still running, already reverted,
+   *   failed before changing anything, or later imports changed the same
+   *   rows (error.conflicts lists them) and force is not set
+   */
+  async revert(job, { force = false } = {}) {
+    const summary = { restored: 0, removed: 0, missing: 0 };
+
+    await sequelize.transaction(async (transaction) => {
+      // Lock the job so concurrent reverts cannot both apply
+      const locked = await ImportJob.findByPk(job.id, {
+        lock: transaction.LOCK.UPDATE,
+        transaction,
+      });
+      if (locked.reverted_at) {
+        const error = new Error(`Import ${job.id} has already been reverted.`);
+        error.statusCode = 409;
+        throw error;
+      }
+      if (!locked.finished_at) {
+        const error = new Error(
+          `Import ${job.id} is still ${locked.status}. Try again once it has finished.`
+        );
+        error.statusCode = 409;
+        throw error;
+      }
+
+      // Checked under the lock so two reverts cannot both pass it
+      const laterImports = await this.findLaterImports(job, transaction);
+      if (laterImports.length > 0 && !force) {
+        const error = new Error(
+          'Later imports changed the same inventory rows. Revert them first or pass force=true.'
+        );
+        error.statusCode = 409;
+        error.conflicts = laterImports;
+        throw error;
+      }
+
+      // Net effect per inventory row; the earliest entry holds the
+      // values from before the import
+      const entries = await sequelize.query(
+        `
+        SELECT
+          store_id,
+          book_id,
+          SUM(copies_delta) AS copies_delta,
+          BOOL_OR(created) AS created,
+          (ARRAY_AGG(previous_price ORDER BY id))[1] AS previous_price,
+          (ARRAY_AGG(previous_sold_out ORDER BY id))[1] AS previous_sold_out
+        FROM inventory_changes
+        WHERE import_job_id = :jobId
+        GROUP BY store_id, book_id
+      `,
+        {
+          replacements: { jobId: job.id },
+          type: sequelize.QueryTypes.SELECT,
+          transaction,
+        }
+      );
+      if (entries.length === 0 && locked.status === 'failed') {
+        const error = new Error(
+          `Import ${job.id} failed without changing any inventory, so there is nothing to revert.`
+        );
+        error.statusCode = 409;
+        throw error;
+      }
+
+      for (const entry of entries) {
+        // Entries of books deleted since have nothing left to revert
+        if (entry.book_id === null) {
+          summary.missing++;
+          continue;
+        }
+
+        const storeBook = await StoreBook.findOne({
+          where: { store_id: entry.store_id, book_id: entry.book_id },
+          lock: transaction.LOCK.UPDATE,
+          transaction,
+        });
+
+        if (!storeBook) {
+          summary.missing++;
+          continue;
+        }
+
+        const copies = storeBook.copies - parseInt(entry.copies_delta, 10);
+
+        if (entry.created && copies <= 0) {
+          await storeBook.destroy({ transaction });
+          summary.removed++;
+          continue;
+        }
+
+        const remaining = Math.max(0, copies);
+        await storeBook.update(
+          {
+            copies: remaining,
+            price:
+              entry.previous_price !== null
+                ? entry.previous_price
+                : storeBook.price,
+            sold_out:
+              remaining === 0 ||
+              (entry.previous_sold_out !== null
+                ? entry.previous_sold_out
+                : storeBook.sold_out),
+          },
+          { transaction }
+        );
+        summary.restored++;
+      }
+
+      await locked.update(
+        {
+          reverted_at: new Date(),
+          results: { ...locked.results, reverted: summary },
+        },
+        { transaction }
+      );
+      await job.reload({ transaction });
+    });
+
+    return summary;
+  }
+
+  /**
+   * Mark running jobs whose server stopped, going by their heartbeat, as
+   * failed and remove their uploaded files. Partially imported files cannot
+   * be resumed safely. Jobs other live servers run are left alone, and jobs
+   * still queued are left for the worker.
+   * @returns {Promise<number>} - Number of jobs marked as failed
+   */
+  async failInterruptedJobs() {
+    const jobs = await ImportJob.findAll({
+      where: {
+        status: ['parsing', 'importing'],
+        worker_id: { [Op.or]: [null, { [Op.ne]: this.workerId }] },
+        heartbeat_at: {
+          [Op.or]: [
+            null,
+            { [Op.lt]: new Date(Date.now() - HEARTBEAT_TIMEOUT) },
+          ],
+        },
+      },
+    });
+
+    for (const job of jobs) {
+      await job.update({
+        status: 'failed',
+        error: 'Import was interrupted: the server running it stopped.',
+        finished_at: new Date(),
+      });
+      await this.removeUpload(job);
+    }
+
+    return jobs.length;
+  }
+
+  /**
+   * Delete a job's uploaded file from disk
+   * @param {Object} job - ImportJob instance
+   */
+  async removeUpload(job) {
+    if (!job.file_path) return;
+
+    try {
+      await fs.promises.unlink(job.file_path);
+    } catch (error) {
+      if (error.code !== 'ENOENT') {
+        console.error(
+          `Could not remove upload for import job ${job.id}:`,
+          error
+        );
+      }
+    }
+    await job.update({ file_path: null });
+  }
+
+  /**
+   * Shape an ImportJob for API responses
+   * @param {Object} job - ImportJob instance
+   * @returns {Object} - Serialized job
+   */
+  serialize(job) {
+    const handled = job.processed_rows + job.failed_rows;
+    return {
+      id: job.id,
+      filename: job.filename,
+      fileSize: job.file_size,
+      checksum: job.checksum,
+      idempotencyKey: job.idempotency_key,
+      dryRun: job.dry_run,
+      atomic: job.atomic,
+      bulk: job.bulk,
+      mergeStrategy: job.merge_strategy,
+      pricePolicy: job.price_policy,
+      format: job.format,
+      sheet: job.sheet,
+      profileId: job.profile_id,
+      errorReport:
+        job.finished_at && job.failed_rows > 0
+          ? `/api/inventory/imports/${job.id}/errors.csv`
+          : null,
+      preview: job.dry_run ? `/api/inventory/imports/${job.id}/preview` : null,
+      parseOptions: job.parse_options,
+      status: job.status,
+      progress: {
+        totalRows: job.total_rows,
+        processedRows: job.processed_rows,
+        failedRows: job.failed_rows,
+        percent:
+          job.total_rows > 0
+            ? Math.min(100, Math.round((handled / job.total_rows) * 100))
+            : job.status === 'done'
+            ? 100
+            : 0,
+      },
+      results: job.results,
+      error: job.error,
+      createdAt: job.created_at,
+      startedAt: job.started_at,
+      finishedAt: job.finished_at,
+      revertedAt: job.reverted_at,
+    };
+  }
+}
+
+module.exports = new ImportJobService();
@@ -0,0 +1,126 @@
+const { ImportProfile } = require('../models');
+
+// API field -> model attribute for the settings a client can change
+const PROFILE_ATTRIBUTES = {
+  name: 'name',
+  description: 'description',
+  headerAliases: 'header_aliases',
+  delimiter: 'delimiter',
+  quote: 'quote',
+  encoding: 'encoding',
+  numberLocale: 'number_locale',
+};
+
+class ImportProfileService {
+  /**
+   * List import profiles by name
+   * @returns {Promise<Array>} - ImportProfile instances
+   */
+  async listProfiles() {
+    return ImportProfile.findAll({ order: [['name', 'ASC']] });
+  }
+
+  /**
+   * Get a single import profile
+   * @param {number} profileId - ImportProfile ID
+   * @returns {Promise<Object|null>} - ImportProfile or null if not found
+   */
+  async getProfile(profileId) {
+    return ImportProfile.findByPk(profileId);
+  }
+
+  /**
+   * Find the profile an upload asked for, by ID or by name
+   * @param {string} ref - Profile ID or name
+   * @returns {Promise<Object|null>} - ImportProfile or null if not found
+   */
+  async resolveProfile(ref) {
+    if (/^\d+$/.test(ref)) {
+      const profile = await ImportProfile.findByPk(parseInt(ref, 10));
+      if (profile) return profile;
+    }
+    return this.findByName(ref);
+  }
+
+  /**
+   * Find a profile by its exact name
+   * @param {string} name - Profile name
+   * @returns {Promise<Object|null>} - ImportProfile or null if not found
+   */
+  async findByName(name) {
+    return ImportProfile.findOne({ where: { name } });
+  }
+
+  /**
+   * Create an import profile
+   * @param {Object} data - Profile settings in API field names
+   * @returns {Promise<Object>} - Created ImportProfile
+   */
+  async createProfile(data) {
+    return ImportProfile.create(this.toAttributes(data));
+  }
+
+  /**
+   * Update the given settings of an import profile
+   * @param {Object} profile - ImportProfile instance
+   * @param {Object} data - Settings to change, in API field names
+   * @returns {Promise<Object>} - Updated ImportProfile
+   */
+  async updateProfile(profile, data) {
+    return profile.update(this.toAttributes(data));
+  }
+
+  /**
+   * Delete an import profile. Jobs that used it keep a copy of its settings.
+   * @param {Object} profile - ImportProfile instance
+   */
+  async deleteProfile(profile) {
+    await profile.destroy();
+  }
+
+  /**
+   * Map API field names to model attributes, skipping fields not given
+   * @param {Object} data - Request body
+   * @returns {Object} - Model attributes
+   */
+  toAttributes(data) {
+    const attributes = {};
+    for (const [field, attribute] of Object.entries(PROFILE_ATTRIBUTES)) {
+      if (data[field] !== undefined) attributes[attribute] = data[field];
+    }
+    return attributes;
+  }
+
+  /**
+   * Settings the CSV parser worker needs from a profile
+   * @param {Object} profile - ImportProfile instance
+   * @returns {Object} - { headerAliases, delimiter, quote, encoding, numberLocale }
+   */
+  toParseOptions(profile) {
+    return {
+      headerAliases: profile.header_aliases,
+      delimiter: profile.delimiter,
+      quote: profile.quote,
+      encoding: profile.encoding,
+      numberLocale: profile.number_locale,
+    };
+  }
+
+  /**
+   * Shape an ImportProfile for API responses
+   * @param {Object} profile - ImportProfile instance
+   * @returns {Object} - Serialized profile
+   */
+  serialize(profile) {
+    return {
+      id: profile.id,
+      name: profile.name,
+      description: profile.description,
+      ...this.toParseOptions(profile),
+      createdAt: profile.created_at,
+      updatedAt: profile.updated_at,
+    };
+  }
+}
+
+module.exports = new ImportProfileService();
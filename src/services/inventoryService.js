@@ -1,6 +1,29 @@
-const { Store, Author, Book, StoreBook, sequelize } = require('../models');
+const {
+  Store,
+  Author,
+  Book,
+  BookAuthor,
+  StoreBook,
+  InventoryChange,
+  sequelize,
+} = require('../models');
 const Piscina = require('piscina');
 const path = require('path');
+const { once } = require('events');
+const { Op } = require('sequelize');
+const { MessageChannel } = require('worker_threads');
+const uploadConfig = require('../config/upload');
+const {
+  IMPORT_ERROR_CODES,
+  createImportError,
+  classifyImportError,
+} = require('../utils/importErrors');
+const {
+  normalizeIsbn,
+  normalizeLanguage,
+  parseAuthorCredits,
+} = require('../utils/bibliographic');
+const { nameKey } = require('../utils/names');
 
 // Create thread pool for CSV parsing
 const csvParserPool = new Piscina({
@@ -10,43 +33,933 @@ const csvParserPool = new Piscina({
   idleTimeout: 30000, // 30 seconds
 });
 
+// Rows per statement for bulk ingestion
+const BULK_BATCH_SIZE = 1000;
+
+/**
+ * Split an array into batches
+ * @param {Array} items - Items to split
+ * @param {number} size - Batch size
+ * @returns {Array<Array>} - Batches
+ */
+function chunk(items, size = BULK_BATCH_SIZE) {
+  const batches = [];
+  for (let i = 0; i < items.length; i += size) {
+    batches.push(items.slice(i, i + size));
+  }
+  return batches;
+}
+
+/**
+ * Build a lookup key for a title by an author; editions with different
+ * ISBNs share it
+ */
+function bookKey(authorId, name) {
+  return `${authorId}:${name}`;
+}
+
+// Book details a row may carry besides its title and author
+const BOOK_DETAIL_FIELDS = [
+  'pages',
+  'isbn',
+  'publisher',
+  'publication_year',
+  'language',
+  'genre',
+];
+
+/**
+ * Read the book details a row provides, normalized as the Book model stores them
+ * @param {Object} row - Parsed CSV row
+ * @returns {Object} - Only the details present in the row
+ */
+function parseBookDetails(row) {
+  const details = {};
+  if (row.pages) details.pages = parseInt(row.pages, 10);
+  if (row.isbn) details.isbn = normalizeIsbn(row.isbn);
+  if (row.publisher) details.publisher = row.publisher;
+  if (row.publication_year) {
+    details.publication_year = parseInt(row.publication_year, 10);
+  }
+  if (row.language) details.language = normalizeLanguage(row.language);
+  if (row.genre) details.genre = row.genre;
+  return details;
+}
+
+/**
+ * Read the number of copies a row brings in (copies or quantity column)
+ * @param {Object} row - Parsed CSV row
+ * @returns {number} - Copies, 1 if the file has no quantity column
+ */
+function parseQuantity(row) {
+  const value = row.copies || row.quantity;
+  return value ? parseInt(value, 10) : 1;
+}
+
 class InventoryService {
   /**
-   * Process CSV buffer using Piscina Thread Pool for parsing
-   * @param {Buffer} fileBuffer - CSV file buffer
+   * Process an inventory file using Piscina Thread Pool for parsing.
+   * The file is streamed by the worker and rows are processed chunk by
+   * chunk, so memory use does not grow with the file size.
+   * @param {string} filePath - Path to the uploaded file
+   * @param {Object} [options] - Processing options
+   * @param {string} [options.format] - 'csv' (default), 'xlsx', 'json' or 'ndjson'
+   * @param {string} [options.sheet] - XLSX worksheet to read, the first one if not given
+   * @param {boolean} [options.dryRun] - Run the full pipeline inside a transaction that is always rolled back, returning a per-row preview
+   * @param {boolean} [options.atomic] - Apply the whole file in one transaction, rolling everything back if any row fails
+   * @param {boolean} [options.bulk] - Use set-based batched upserts instead of per-row processing (no per-row preview)
+   * @param {number} [options.importJobId] - Import job to record inventory changes against in the ledger
+   * @param {string} [options.mergeStrategy] - How row quantities combine with stock: 'add', 'set' or 'replace-store'
+   * @param {string} [options.pricePolicy] - Which price to keep for stocked books: 'latest', 'keep', 'max' or 'min'
+   * @param {Object} [options.parseOptions] - Import profile settings applied by the parser worker
+   * @param {Function} [options.onStage] - Called with (stage) when processing enters 'parsing' or 'importing'
+   * @param {Function} [options.onProgress] - Called with (results, { parsedRows }) as rows are processed
+   * @param {Function} [options.onPreview] - Called with each chunk's dry-run preview rows, e.g. to store them
+   * @param {number} [options.previewLimit] - Preview rows kept in results; previewTruncated is set when more were left out
+   * @param {Function} [options.onErrors] - Called with each chunk's row errors, e.g. to store them
+   * @param {number} [options.errorLimit] - Row errors kept in results; errorsTruncated is set when more were left out (failed counts them all)
    * @returns {Object} - Processing results with success/error counts
    */
-  async processCSV(fileBuffer) {
+  async processCSV(
+    filePath,
+    {
+      format = 'csv',
+      sheet,
+      dryRun = false,
+      atomic = false,
+      bulk = false,
+      importJobId,
+      mergeStrategy = 'add',
+      pricePolicy = 'latest',
+      parseOptions,
+      onStage,
+      onProgress,
+      onPreview,
+      previewLimit = Infinity,
+      onErrors,
+      errorLimit = Infinity,
+    } = {}
+  ) {
     const results = {
       processed: 0,
+      failed: 0,
       created: { stores: 0, authors: 0, books: 0, inventory: 0 },
       updated: { inventory: 0 },
+      restored: { stores: 0 },
       errors: [],
     };
 
-    // Parse CSV in thread pool
-    const { validatedRows, validationErrors } = await csvParserPool.run({
-      csvString: fileBuffer.toString(),
-    });
+    if (dryRun) {
+      results.dryRun = true;
+      results.preview = [];
+    }
+    if (atomic) results.atomic = true;
+    if (bulk) results.bulk = true;
+    results.mergeStrategy = mergeStrategy;
+    results.pricePolicy = pricePolicy;
+    if (mergeStrategy === 'replace-store') {
+      results.reset = { stores: 0, inventory: 0 };
+    }
+
+    // Shared by every row of the import; replace-store empties each store
+    // the first time the file mentions it
+    const inventoryOptions = {
+      importJobId,
+      mergeStrategy,
+      pricePolicy,
+      resetStores: new Set(),
+    };
+
+    if (onStage) await onStage('parsing');
+
+    // Dry runs and atomic imports share one transaction so later rows see
+    // the effects of earlier ones; each row runs in its own savepoint so a
+    // failing row doesn't stop the rest from being checked. Bulk imports
+    // always run in one transaction as their batches cannot be split per row
+    const transaction =
+      dryRun || atomic || bulk ? await sequelize.transaction() : null;
+
+    try {
+      let importing = false;
+
+      // Parse the file in thread pool, one chunk of rows at a time
+      const chunks = this.parseInChunks(filePath, {
+        ...parseOptions,
+        format,
+        sheet,
+      });
+      for await (const parsed of chunks) {
+        const { validatedRows, validationErrors, totalParsed } = parsed;
+        const progress = { parsedRows: totalParsed };
+
+        if (!importing) {
+          importing = true;
+          if (onStage) await onStage('importing');
+        }
+
+        // Errors of earlier chunks are already handed over; only a sample
+        // of them stays in results
+        const sampled = results.errors.length;
+
+        // Add validation errors from worker
+        results.errors.push(...validationErrors);
+        results.failed += validationErrors.length;
+
+        const preview = [];
+        if (bulk) {
+          await this.processBulk(validatedRows, results, {
+            ...inventoryOptions,
+            transaction,
+          });
+          if (onProgress) await onProgress(results, progress);
+        } else {
+          // Process valid rows in main thread (database operations)
+          for (const { rowNumber, data, record } of validatedRows) {
+            try {
+              const changes = await this.processRow(data, results, rowNumber, {
+                ...inventoryOptions,
+                transaction,
+              });
+              results.processed++;
+              if (dryRun) preview.push({ row: rowNumber, ...changes });
+            } catch (error) {
+              results.errors.push({
+                row: rowNumber,
+                data: data,
+                record,
+                code: classifyImportError(error),
+                error: error.message,
+              });
+              results.failed++;
+            }
+
+            if (onProgress) await onProgress(results, progress);
+          }
+        }
 
-    // Add validation errors from worker
-    results.errors.push(...validationErrors);
+        const rejected = results.errors.splice(sampled);
+        if (rejected.length > 0) {
+          if (onErrors) await onErrors(rejected);
+          results.errors.push(...rejected.slice(0, errorLimit - sampled));
+          if (results.failed > results.errors.length) {
+            results.errorsTruncated = true;
+          }
+        }
+
+        if (preview.length > 0) {
+          if (onPreview) await onPreview(preview);
+          const room = previewLimit - results.preview.length;
+          results.preview.push(...preview.slice(0, room));
+          if (preview.length > room) results.previewTruncated = true;
+        }
+      }
+    } catch (error) {
+      if (transaction) await transaction.rollback();
+      throw error;
+    }
+
+    if (atomic) results.rolledBack = results.failed > 0;
 
-    // Process valid rows in main thread (database operations)
-    for (const { rowNumber, data } of validatedRows) {
-      try {
-        await this.processRow(data, results, rowNumber);
-        results.processed++;
-      } catch (error) {
+    if (transaction) {
+      if (dryRun || results.rolledBack) {
+        await transaction.rollback();
+      } else {
+        await transaction.commit();
+      }
+    }
+
+    return results;
+  }
+
+  /**
+   * Stream a file through the parser worker.
+   * The worker waits for an acknowledgement after each chunk, so at most
+   * one chunk is in flight while the previous one is being imported.
+   * @param {string} filePath - Path to the file
+   * @param {Object} [parseOptions] - { format, sheet, headerAliases, delimiter, quote, encoding, numberLocale }
+   * @returns {AsyncGenerator<Object>} - Chunks of { validatedRows, validationErrors, totalParsed }
+   */
+  async *parseInChunks(filePath, parseOptions) {
+    const { port1, port2 } = new MessageChannel();
+    const finished = csvParserPool
+      .run(
+        {
+          filePath,
+          port: port2,
+          chunkSize: uploadConfig.chunkSize,
+          parseOptions,
+        },
+        { transferList: [port2] }
+      )
+      .then(() => null);
+    // Errors after we stop reading are already reported by the consumer
+    finished.catch(() => {});
+
+    try {
+      while (true) {
+        const chunk = await Promise.race([
+          once(port1, 'message').then(([message]) => message),
+          finished,
+        ]);
+        if (!chunk) break;
+
+        yield chunk;
+        port1.postMessage('ack');
+      }
+    } finally {
+      port1.close();
+    }
+  }
+
+  /**
+   * Ingest validated rows with set-based batched upserts.
+   * Stores, authors and books are deduplicated in memory and inventory
+   * copies are aggregated per (store, book), so the result is the same as
+   * running processRow on every row in order, in a handful of queries.
+   * @param {Array} validatedRows - Rows from the CSV worker ({ rowNumber, data, record })
+   * @param {Object} results - Results object to track counts
+   * @param {Object} options - { transaction, importJobId, mergeStrategy, pricePolicy, resetStores }
+   */
+  async processBulk(validatedRows, results, options) {
+    const { transaction } = options;
+    const rows = [];
+    for (const { rowNumber, data, record } of validatedRows) {
+      const price = parseFloat(data.price);
+      if (isNaN(price) || price < 0) {
         results.errors.push({
           row: rowNumber,
           data: data,
-          error: error.message,
+          record,
+          code: IMPORT_ERROR_CODES.INVALID_PRICE,
+          error: `Invalid price value: ${data.price}`,
         });
+        results.failed++;
+        continue;
       }
+      rows.push({
+        rowNumber,
+        data,
+        record,
+        price,
+        credits: parseAuthorCredits(data.author_name),
+      });
     }
 
-    return results;
+    if (rows.length === 0) return;
+
+    const storesByName = await this.bulkUpsertStores(
+      rows,
+      results,
+      transaction
+    );
+    const authorsByName = await this.bulkUpsertAuthors(
+      rows,
+      results,
+      transaction
+    );
+    const bookIds = await this.bulkUpsertBooks(
+      rows,
+      authorsByName,
+      results,
+      transaction
+    );
+    await this.bulkCreditAuthors(rows, bookIds, authorsByName, transaction);
+
+    // Group incoming stock per (store, book), keeping row order
+    const inventory = new Map();
+    for (const row of rows) {
+      const { data, price } = row;
+      const bookId = bookIds.get(row);
+      if (!bookId) continue;
+
+      const storeId = storesByName.get(data.store_name).id;
+      const key = `${storeId}:${bookId}`;
+
+      const entry = inventory.get(key) || { storeId, bookId, incoming: [] };
+      entry.incoming.push({ copies: parseQuantity(data), price });
+      inventory.set(key, entry);
+    }
+
+    if (options.mergeStrategy === 'replace-store') {
+      const storeIds = new Set([...inventory.values()].map((e) => e.storeId));
+      for (const storeId of storeIds) {
+        if (await this.resetStoreInventory(storeId, results, options)) {
+          options.resetStores.add(storeId);
+        }
+      }
+    }
+
+    await this.bulkUpsertInventory([...inventory.values()], results, options);
+
+    results.processed += bookIds.size;
+  }
+
+  /**
+   * Create missing stores and apply the latest address/logo to existing ones.
+   * Names are matched as processRow matches them (see resolveNames).
+   * @returns {Promise<Map>} - Store instances by the names written in the rows
+   */
+  async bulkUpsertStores(rows, results, transaction) {
+    const names = [...new Set(rows.map(({ data }) => data.store_name))];
+    const { found, aliases } = await this.resolveNames(
+      Store,
+      names,
+      transaction,
+      { paranoid: false }
+    );
+
+    // Later rows override address/logo, matching per-row processing
+    const incoming = new Map();
+    for (const { data } of rows) {
+      const current = found.get(data.store_name);
+      const name = current ? current.name : aliases.get(data.store_name);
+      const store = incoming.get(name) || { name, address: null, logo: null };
+      if (data.store_address) store.address = data.store_address;
+      if (data.logo) store.logo = data.logo;
+      incoming.set(name, store);
+    }
+
+    const existing = new Map(
+      [...found.values()].map((store) => [store.name, store])
+    );
+
+    // Deleted stores named in the file are brought back, as in processRow
+    const deleted = [...existing.values()].filter((s) => s.deleted_at);
+    if (deleted.length > 0) {
+      await Store.restore({
+        where: { id: deleted.map((s) => s.id) },
+        transaction,
+      });
+      results.restored.stores += deleted.length;
+    }
+
+    const upserts = [];
+    for (const store of incoming.values()) {
+      const current = existing.get(store.name);
+      if (!current) {
+        upserts.push(store);
+        results.created.stores++;
+      } else if (
+        (store.address && store.address !== current.address) ||
+        (store.logo && store.logo !== current.logo)
+      ) {
+        upserts.push({
+          name: store.name,
+          address: store.address || current.address,
+          logo: store.logo || current.logo,
+        });
+      }
+    }
+
+    for (const batch of chunk(upserts)) {
+      await Store.bulkCreate(batch, {
+        updateOnDuplicate: ['address', 'logo', 'updated_at'],
+        transaction,
+      });
+    }
+
+    const stores = await this.findAllByField(
+      Store,
+      'name',
+      [...incoming.keys()],
+      transaction
+    );
+    return new Map(
+      names.map((name) => [
+        name,
+        stores.get(found.has(name) ? found.get(name).name : aliases.get(name)),
+      ])
+    );
+  }
+
+  /**
+   * Create missing authors. Names are matched as processRow matches them
+   * (see resolveNames).
+   * @returns {Promise<Map>} - Author instances by the names written in the rows
+   */
+  async bulkUpsertAuthors(rows, results, transaction) {
+    const names = [
+      ...new Set(
+        rows.flatMap(({ credits }) => credits.map((credit) => credit.name))
+      ),
+    ];
+    const { found, aliases } = await this.resolveNames(
+      Author,
+      names,
+      transaction
+    );
+
+    const missing = [...new Set(aliases.values())];
+    results.created.authors += missing.length;
+
+    for (const batch of chunk(missing)) {
+      await Author.bulkCreate(
+        batch.map((name) => ({ name })),
+        { ignoreDuplicates: true, transaction }
+      );
+    }
+
+    const created = await this.findAllByField(
+      Author,
+      'name',
+      missing,
+      transaction
+    );
+    return new Map(
+      names.map((name) => [
+        name,
+        found.get(name) || created.get(aliases.get(name)),
+      ])
+    );
+  }
+
+  /**
+   * Resolve the book of every row as processRow would: by ISBN first, then
+   * the book of its title and author without ISBN, then, for rows without
+   * ISBN, the oldest edition. Missing books, including new editions, are
+   * created and the latest details are applied to existing ones.
+   * @returns {Promise<Map>} - Book ID by row
+   */
+  async bulkUpsertBooks(rows, authorsByName, results, transaction) {
+    // Books are identified by their first credited author
+    const wanted = rows.map(({ data, credits }) => ({
+      name: data.book_name,
+      author_id: authorsByName.get(credits[0].name).id,
+    }));
+    const isbns = rows
+      .filter(({ data }) => data.isbn)
+      .map(({ data }) => normalizeIsbn(data.isbn));
+
+    // Books as they will be once the file is applied, so that later rows
+    // see the books and ISBNs earlier rows brought in: the oldest edition
+    // and the book without ISBN of each title, and books by ISBN
+    const byKey = new Map();
+    const withoutIsbn = new Map();
+    const byIsbn = new Map();
+    const track = (entry) => {
+      const key = bookKey(entry.values.author_id, entry.values.name);
+      if (!byKey.has(key)) byKey.set(key, entry);
+      if (entry.values.isbn) {
+        byIsbn.set(entry.values.isbn, entry);
+        if (withoutIsbn.get(key) === entry) withoutIsbn.delete(key);
+      } else {
+        withoutIsbn.set(key, entry);
+      }
+      return entry;
+    };
+
+    const existing = [
+      ...(await this.findBooks(wanted, transaction)),
+      ...(
+        await this.findAllByField(
+          Book,
+          'isbn',
+          [...new Set(isbns)],
+          transaction
+        )
+      ).values(),
+    ];
+    existing.sort((a, b) => a.id - b.id);
+    const entries = new Map();
+    for (const record of existing) {
+      if (entries.has(record.id)) continue;
+      const values = { name: record.name, author_id: record.author_id };
+      BOOK_DETAIL_FIELDS.forEach((field) => (values[field] = record[field]));
+      entries.set(record.id, track({ id: record.id, values }));
+    }
+
+    const bookOfRow = new Map();
+    rows.forEach((row, i) => {
+      const details = parseBookDetails(row.data);
+      const key = bookKey(wanted[i].author_id, wanted[i].name);
+
+      let entry =
+        (details.isbn && byIsbn.get(details.isbn)) || withoutIsbn.get(key);
+      if (!entry && !details.isbn) entry = byKey.get(key);
+      if (!entry) {
+        const values = { ...wanted[i] };
+        BOOK_DETAIL_FIELDS.forEach((field) => (values[field] = null));
+        entry = { id: null, values, created: true };
+        results.created.books++;
+      }
+
+      for (const [field, value] of Object.entries(details)) {
+        if (entry.values[field] !== value) {
+          entry.values[field] = value;
+          entry.changed = true;
+        }
+      }
+      bookOfRow.set(row, track(entry));
+    });
+
+    const resolved = new Set(bookOfRow.values());
+    const created = [...resolved].filter((entry) => entry.created);
+    const changed = [...resolved].filter(
+      (entry) => !entry.created && entry.changed
+    );
+
+    for (const batch of chunk(created)) {
+      const records = await Book.bulkCreate(
+        batch.map((entry) => entry.values),
+        { returning: ['id'], transaction }
+      );
+      batch.forEach((entry, i) => (entry.id = records[i].id));
+    }
+    for (const batch of chunk(changed)) {
+      await Book.bulkCreate(
+        batch.map((entry) => ({ id: entry.id, ...entry.values })),
+        {
+          conflictAttributes: ['id'],
+          updateOnDuplicate: [...BOOK_DETAIL_FIELDS, 'updated_at'],
+          transaction,
+        }
+      );
+    }
+
+    const bookIds = new Map();
+    bookOfRow.forEach((entry, row) => bookIds.set(row, entry.id));
+    return bookIds;
+  }
+
+  /**
+   * Credit the authors each row names on its book, after the authors the
+   * book already has, as processRow does. Existing credits are kept as they are.
+   * @param {Array} rows - Rows with their parsed credits
+   * @param {Map} bookIds - Book ID by row, from bulkUpsertBooks
+   * @param {Map} authorsByName - Author instances by name
+   * @param {Object} transaction - Sequelize transaction
+   */
+  async bulkCreditAuthors(rows, bookIds, authorsByName, transaction) {
+    // Authors each book should list, in the order the rows name them
+    const wanted = new Map();
+    for (const row of rows) {
+      const bookId = bookIds.get(row);
+      if (!bookId) continue;
+
+      const credits = wanted.get(bookId) || [];
+      for (const { name, role } of row.credits) {
+        const authorId = authorsByName.get(name).id;
+        if (!credits.some((credit) => credit.author_id === authorId)) {
+          credits.push({ book_id: bookId, author_id: authorId, role });
+        }
+      }
+      wanted.set(bookId, credits);
+    }
+
+    const current = new Map();
+    for (const batch of chunk([...wanted.keys()])) {
+      const records = await BookAuthor.findAll({
+        where: { book_id: batch },
+        transaction,
+      });
+      for (const record of records) {
+        const book = current.get(record.book_id) || {
+          authorIds: new Set(),
+          nextPosition: 0,
+        };
+        book.authorIds.add(record.author_id);
+        book.nextPosition = Math.max(book.nextPosition, record.position + 1);
+        current.set(record.book_id, book);
+      }
+    }
+
+    const additions = [];
+    for (const [bookId, credits] of wanted) {
+      const book = current.get(bookId) || {
+        authorIds: new Set(),
+        nextPosition: 0,
+      };
+      for (const credit of credits) {
+        if (!book.authorIds.has(credit.author_id)) {
+          additions.push({ ...credit, position: book.nextPosition++ });
+        }
+      }
+    }
+
+    for (const batch of chunk(additions)) {
+      await BookAuthor.bulkCreate(batch, { transaction });
+    }
+  }
+
+  /**
+   * Apply grouped incoming stock to inventory in batched upserts
+   * @param {Array} entries - [{ storeId, bookId, incoming: [{ copies, price }] }]
+   * @param {Object} results - Results object to track counts
+   * @param {Object} options - { transaction, importJobId, mergeStrategy, pricePolicy }
+   */
+  async bulkUpsertInventory(entries, results, options) {
+    const { transaction, importJobId } = options;
+
+    for (const batch of chunk(entries)) {
+      const existing = await StoreBook.findAll({
+        attributes: ['store_id', 'book_id', 'price', 'copies', 'sold_out'],
+        where: {
+          store_id: [...new Set(batch.map((e) => e.storeId))],
+          book_id: [...new Set(batch.map((e) => e.bookId))],
+        },
+        lock: transaction.LOCK.UPDATE,
+        transaction,
+      });
+      const existingByKey = new Map(
+        existing.map((sb) => [`${sb.store_id}:${sb.book_id}`, sb])
+      );
+
+      const now = new Date();
+      const values = [];
+      const changes = [];
+
+      for (const { storeId, bookId, incoming } of batch) {
+        const current = existingByKey.get(`${storeId}:${bookId}`);
+
+        // Fold the rows in order exactly as processRow would apply them
+        const merged = incoming.reduce(
+          (state, stock) => this.mergeInventory(state, stock, options),
+          current
+            ? { copies: current.copies, price: parseFloat(current.price) }
+            : null
+        );
+
+        // A row that finds its (store, book) already stocked counts as an
+        // update, including repeats of a pair first created by this file
+        if (current) {
+          results.updated.inventory += incoming.length;
+        } else {
+          results.created.inventory++;
+          results.updated.inventory += incoming.length - 1;
+        }
+
+        values.push([
+          storeId,
+          bookId,
+          merged.price,
+          merged.copies,
+          merged.sold_out,
+          now,
+          now,
+        ]);
+        changes.push({
+          import_job_id: importJobId,
+          store_id: storeId,
+          book_id: bookId,
+          copies_delta: merged.copies - (current ? current.copies : 0),
+          previous_price: current ? current.price : null,
+          new_price: merged.price,
+          previous_sold_out: current ? current.sold_out : null,
+          created: !current,
+        });
+      }
+
+      await sequelize.query(
+        `
+        INSERT INTO store_books
+          (store_id, book_id, price, copies, sold_out, created_at, updated_at)
+        VALUES :values
+        ON CONFLICT (store_id, book_id) DO UPDATE SET
+          copies = EXCLUDED.copies,
+          price = EXCLUDED.price,
+          sold_out = EXCLUDED.sold_out,
+          updated_at = EXCLUDED.updated_at
+      `,
+        {
+          replacements: { values },
+          transaction,
+        }
+      );
+
+      if (importJobId) {
+        await InventoryChange.bulkCreate(changes, { transaction });
+      }
+    }
+  }
+
+  /**
+   * Empty a store's inventory once per import (replace-store strategy).
+   * Rows are kept with zero copies and marked sold out so prices and
+   * history survive, and every change is recorded in the ledger.
+   * @param {number} storeId - Store ID
+   * @param {Object} results - Results object to track counts
+   * @param {Object} options - { transaction, importJobId, resetStores }
+   * @returns {Promise<boolean>} - Whether the store was reset by this call
+   */
+  async resetStoreInventory(storeId, results, options) {
+    const { transaction, importJobId, resetStores } = options;
+    if (resetStores.has(storeId)) return false;
+
+    const stocked = await StoreBook.findAll({
+      where: {
+        store_id: storeId,
+        [Op.or]: [{ copies: { [Op.gt]: 0 } }, { sold_out: false }],
+      },
+      lock: transaction.LOCK.UPDATE,
+      transaction,
+    });
+
+    if (stocked.length > 0) {
+      await StoreBook.update(
+        { copies: 0, sold_out: true },
+        {
+          where: {
+            store_id: storeId,
+            book_id: stocked.map((sb) => sb.book_id),
+          },
+          transaction,
+        }
+      );
+
+      if (importJobId) {
+        await InventoryChange.bulkCreate(
+          stocked.map((sb) => ({
+            import_job_id: importJobId,
+            store_id: storeId,
+            book_id: sb.book_id,
+            copies_delta: -sb.copies,
+            previous_price: sb.price,
+            new_price: sb.price,
+            previous_sold_out: sb.sold_out,
+            created: false,
+          })),
+          { transaction }
+        );
+      }
+    }
+
+    results.reset.stores++;
+    results.reset.inventory += stocked.length;
+    return true;
+  }
+
+  /**
+   * Work out a store's stock of a book after applying incoming copies
+   * @param {Object|null} current - Existing { copies, price }, null if not stocked
+   * @param {Object} incoming - { copies, price } from a CSV row
+   * @param {Object} options - { mergeStrategy, pricePolicy }
+   * @returns {Object} - { copies, price, sold_out }
+   */
+  mergeInventory(current, incoming, { mergeStrategy, pricePolicy }) {
+    if (!current) {
+      return {
+        copies: incoming.copies,
+        price: incoming.price,
+        sold_out: incoming.copies === 0,
+      };
+    }
+
+    const copies =
+      mergeStrategy === 'set'
+        ? incoming.copies
+        : current.copies + incoming.copies;
+
+    let price;
+    switch (pricePolicy) {
+      case 'keep':
+        price = current.price;
+        break;
+      case 'max':
+        price = Math.max(current.price, incoming.price);
+        break;
+      case 'min':
+        price = Math.min(current.price, incoming.price);
+        break;
+      default:
+        price = incoming.price;
+    }
+
+    return { copies, price, sold_out: copies === 0 };
+  }
+
+  /**
+   * Fetch records whose field matches any of the values, in batches
+   * @param {Object} [options] - { paranoid } - pass false to include soft-deleted records
+   * @returns {Promise<Map>} - Records keyed by the field value
+   */
+  async findAllByField(
+    Model,
+    field,
+    values,
+    transaction,
+    { paranoid = true } = {}
+  ) {
+    const found = new Map();
+    for (const batch of chunk(values)) {
+      const records = await Model.findAll({
+        where: { [field]: batch },
+        paranoid,
+        transaction,
+      });
+      records.forEach((record) => found.set(record[field], record));
+    }
+    return found;
+  }
+
+  /**
+   * Match names to records as processRow does, in batches: the record with
+   * the exact name, otherwise the oldest one sharing its name key. Names
+   * left unmatched are new; of those sharing a key, the first one named is
+   * created and stands for the others.
+   * @param {Array<string>} names - Names in the order the file gives them
+   * @param {Object} [options] - { paranoid } - pass false to include soft-deleted records
+   * @returns {Promise<Object>} - { found: records by name, aliases: name to create by name }
+   */
+  async resolveNames(Model, names, transaction, { paranoid = true } = {}) {
+    const exact = await this.findAllByField(Model, 'name', names, transaction, {
+      paranoid,
+    });
+
+    const keys = new Set(names.filter((name) => !exact.has(name)).map(nameKey));
+    keys.delete(null);
+    const byKey = new Map();
+    for (const batch of chunk([...keys])) {
+      const records = await Model.findAll({
+        where: { name_key: batch },
+        order: [['id', 'ASC']],
+        paranoid,
+        transaction,
+      });
+      records.forEach((record) => {
+        if (!byKey.has(record.name_key)) byKey.set(record.name_key, record);
+      });
+    }
+
+    const found = new Map();
+    const aliases = new Map();
+    const newByKey = new Map();
+    for (const name of names) {
+      const key = nameKey(name);
+      const record = exact.get(name) || (key && byKey.get(key));
+      if (record) {
+        found.set(name, record);
+      } else if (key && newByKey.has(key)) {
+        aliases.set(name, newByKey.get(key));
+      } else {
+        if (key) newByKey.set(key, name);
+        aliases.set(name, name);
+      }
+    }
+    return { found, aliases };
+  }
+
+  /**
+   * Fetch books matching (name, author_id) pairs, every edition, in batches
+   * @returns {Promise<Array>} - Book instances
+   */
+  async findBooks(books, transaction) {
+    const found = [];
+    for (const batch of chunk(books)) {
+      const wanted = new Set(batch.map((b) => bookKey(b.author_id, b.name)));
+      const records = await Book.findAll({
+        where: {
+          name: [...new Set(batch.map((b) => b.name))],
+          author_id: [...new Set(batch.map((b) => b.author_id))],
+        },
+        transaction,
+      });
+      found.push(
+        ...records.filter((record) =>
+          wanted.has(bookKey(record.author_id, record.name))
+        )
+      );
+    }
+    return found;
   }
 
   /**
@@ -68,76 +981,132 @@ class InventoryService {
    * @param {Object} row - Parsed CSV row
    * @param {Object} results - Results object to track counts
    * @param {number} rowNumber - Row number for error reporting
+   * @param {Object} [options] - Row options
+   * @param {Object} [options.transaction] - Outer transaction; the row runs in a savepoint inside it
+   * @param {number} [options.importJobId] - Import job to record the inventory change against
+   * @param {string} [options.mergeStrategy] - 'add' (default), 'set' or 'replace-store'
+   * @param {string} [options.pricePolicy] - 'latest' (default), 'keep', 'max' or 'min'
+   * @param {Set} [options.resetStores] - Stores already emptied by this import (replace-store)
+   * @returns {Promise<Object>} - Changes applied to store, author, book and inventory
    */
-  async processRow(row, results, rowNumber) {
+  async processRow(
+    row,
+    results,
+    rowNumber,
+    {
+      transaction: outer,
+      importJobId,
+      mergeStrategy = 'add',
+      pricePolicy = 'latest',
+      resetStores = new Set(),
+    } = {}
+  ) {
+    // Check price before touching the database so a bad row counts nothing
+    const price = parseFloat(row.price);
+    if (isNaN(price) || price < 0) {
+      throw createImportError(
+        IMPORT_ERROR_CODES.INVALID_PRICE,
+        `Invalid price value: ${row.price}`
+      );
+    }
+
     // Use transaction for data integrity
-    const transaction = await sequelize.transaction();
+    const transaction = await sequelize.transaction(
+      outer ? { transaction: outer } : {}
+    );
 
     try {
-      // 1. Find or create Store
-      const [store, storeCreated] = await Store.findOrCreate({
-        where: { name: row.store_name },
-        defaults: {
-          name: row.store_name,
+      // 1. Find or create Store (a deleted store is restored)
+      const [store, storeCreated] = await this.findOrCreateByName(
+        Store,
+        row.store_name,
+        {
           address: row.store_address || null,
           logo: row.logo || null,
         },
-        transaction,
-      });
+        { paranoid: false, transaction }
+      );
 
-      // Update store logo if provided and store exists
-      if (!storeCreated && row.logo && row.logo !== store.logo) {
-        await store.update({ logo: row.logo }, { transaction });
+      const storeRestored = Boolean(store.deleted_at);
+      if (storeRestored) {
+        await store.restore({ transaction });
+        results.restored.stores++;
       }
 
-      // Update store address if provided and different
+      // Update store logo/address if provided and different
+      const storeChanges = {};
+      if (!storeCreated && row.logo && row.logo !== store.logo) {
+        storeChanges.logo = { from: store.logo, to: row.logo };
+      }
       if (
         !storeCreated &&
         row.store_address &&
         row.store_address !== store.address
       ) {
-        await store.update({ address: row.store_address }, { transaction });
+        storeChanges.address = { from: store.address, to: row.store_address };
+      }
+      if (Object.keys(storeChanges).length > 0) {
+        await store.update(this.pickTargets(storeChanges), { transaction });
       }
 
       if (storeCreated) results.created.stores++;
 
-      // 2. Find or create Author
-      const [author, authorCreated] = await Author.findOrCreate({
-        where: { name: row.author_name },
-        defaults: { name: row.author_name },
-        transaction,
-      });
-
-      if (authorCreated) results.created.authors++;
+      // 2. Find or create Authors; the first one credited is the book's author
+      const credits = [];
+      for (const { name, role } of parseAuthorCredits(row.author_name)) {
+        const [author, created] = await this.findOrCreateByName(
+          Author,
+          name,
+          {},
+          { transaction }
+        );
+        if (created) results.created.authors++;
+        // Two spellings of one author are credited once
+        if (!credits.some((credit) => credit.author.id === author.id)) {
+          credits.push({ author, role, created });
+        }
+      }
+      const { author, created: authorCreated } = credits[0];
 
-      // 3. Find or create Book
-      const [book, bookCreated] = await Book.findOrCreate({
-        where: {
-          name: row.book_name,
-          author_id: author.id,
-        },
-        defaults: {
-          name: row.book_name,
-          pages: row.pages ? parseInt(row.pages, 10) : null,
-          author_id: author.id,
-        },
-        transaction,
-      });
+      // 3. Find Book by ISBN, then by title and author, or create it
+      const bookDetails = parseBookDetails(row);
+      const [book, bookCreated] = await this.findOrCreateBook(
+        row,
+        author,
+        bookDetails,
+        transaction
+      );
 
-      // Update pages if provided and book exists
-      if (!bookCreated && row.pages) {
-        const pages = parseInt(row.pages, 10);
-        if (pages !== book.pages) {
-          await book.update({ pages }, { transaction });
+      // Update details provided for an existing book
+      const bookChanges = {};
+      if (!bookCreated) {
+        for (const [field, value] of Object.entries(bookDetails)) {
+          if (value !== book[field]) {
+            bookChanges[field] = { from: book[field], to: value };
+          }
         }
       }
+      if (Object.keys(bookChanges).length > 0) {
+        await book.update(this.pickTargets(bookChanges), { transaction });
+      }
+
+      const authorChanges = await this.creditAuthors(
+        book,
+        credits,
+        transaction
+      );
+      if (!bookCreated && authorChanges) bookChanges.authors = authorChanges;
 
       if (bookCreated) results.created.books++;
 
       // 4. Find or create/update StoreBook (inventory)
-      const price = parseFloat(row.price);
-      if (isNaN(price) || price < 0) {
-        throw new Error(`Invalid price value: ${row.price}`);
+      let storeReset = false;
+      if (mergeStrategy === 'replace-store') {
+        storeReset = await this.resetStoreInventory(store.id, results, {
+          transaction,
+          importJobId,
+          resetStores,
+        });
       }
 
       const existingInventory = await StoreBook.findOne({
@@ -145,19 +1114,37 @@ class InventoryService {
           store_id: store.id,
           book_id: book.id,
         },
+        lock: transaction.LOCK.UPDATE,
         transaction,
       });
 
+      // Keep the values being overwritten for the ledger
+      const previous = existingInventory && {
+        copies: existingInventory.copies,
+        price: existingInventory.price,
+        sold_out: existingInventory.sold_out,
+      };
+
+      const merged = this.mergeInventory(
+        previous && {
+          copies: previous.copies,
+          price: parseFloat(previous.price),
+        },
+        { copies: parseQuantity(row), price },
+        { mergeStrategy, pricePolicy }
+      );
+
+      const inventoryChange = {
+        action: existingInventory ? 'update' : 'create',
+        copies: { from: previous ? previous.copies : null, to: merged.copies },
+        price: {
+          from: previous ? parseFloat(previous.price) : null,
+          to: merged.price,
+        },
+      };
+
       if (existingInventory) {
-        // Increment copies if inventory already exists
-        await existingInventory.update(
-          {
-            copies: existingInventory.copies + 1,
-            price: price, // Update price to latest
-            sold_out: false, // Reset sold_out since we're adding copies
-          },
-          { transaction }
-        );
+        await existingInventory.update(merged, { transaction });
         results.updated.inventory++;
       } else {
         // Create new inventory entry
@@ -165,21 +1152,212 @@ class InventoryService {
           {
             store_id: store.id,
             book_id: book.id,
-            price: price,
-            copies: 1,
-            sold_out: false,
+            ...merged,
           },
           { transaction }
         );
         results.created.inventory++;
       }
 
+      // Record the change so the import can be reverted later
+      if (importJobId) {
+        await InventoryChange.create(
+          {
+            import_job_id: importJobId,
+            store_id: store.id,
+            book_id: book.id,
+            copies_delta: merged.copies - (previous ? previous.copies : 0),
+            previous_price: previous ? previous.price : null,
+            new_price: merged.price,
+            previous_sold_out: previous ? previous.sold_out : null,
+            created: !previous,
+          },
+          { transaction }
+        );
+      }
+
       await transaction.commit();
+
+      // Only remember the reset once it is committed with the row
+      if (storeReset) resetStores.add(store.id);
+
+      return {
+        store: {
+          name: store.name,
+          action: storeRestored
+            ? 'restore'
+            : this.describeAction(storeCreated, storeChanges),
+          changes: storeChanges,
+        },
+        author: {
+          name: author.name,
+          action: authorCreated ? 'create' : 'unchanged',
+        },
+        authors: credits.map(({ author, role, created }) => ({
+          name: author.name,
+          role,
+          action: created ? 'create' : 'unchanged',
+        })),
+        book: {
+          name: book.name,
+          action: this.describeAction(bookCreated, bookChanges),
+          changes: bookChanges,
+        },
+        inventory: inventoryChange,
+      };
     } catch (error) {
       await transaction.rollback();
       throw error;
     }
   }
+
+  /**
+   * Find the record with a name, otherwise the oldest one sharing its name
+   * key (see utils/names), or create it
+   * @param {Object} Model - Store or Author
+   * @param {string} name - Name as written in the row
+   * @param {Object} defaults - Values besides the name for a new record
+   * @param {Object} options - { transaction, paranoid }
+   * @returns {Promise<Array>} - [record, created]
+   */
+  async findOrCreateByName(
+    Model,
+    name,
+    defaults,
+    { transaction, paranoid = true }
+  ) {
+    const key = nameKey(name);
+    if (key) {
+      const record = await Model.findOne({
+        where: { [Op.or]: [{ name }, { name_key: key }] },
+        order: [
+          [sequelize.literal(`name = ${sequelize.escape(name)}`), 'DESC'],
+          ['id', 'ASC'],
+        ],
+        paranoid,
+        transaction,
+      });
+      if (record) return [record, false];
+    }
+
+    return Model.findOrCreate({
+      where: { name },
+      defaults: { name, ...defaults },
+      paranoid,
+      transaction,
+    });
+  }
+
+  /**
+   * Find the book a row refers to: the book with its ISBN if there is one,
+   * otherwise the author's book with its title and no ISBN, which takes the
+   * row's ISBN. A row with an ISBN no such book has is another edition and
+   * gets a new book; a row without ISBN falls back to the oldest edition.
+   * @param {Object} row - Parsed CSV row
+   * @param {Object} author - Author instance
+   * @param {Object} details - Book details from parseBookDetails
+   * @param {Object} transaction - Sequelize transaction
+   * @returns {Promise<Array>} - [book, created]
+   */
+  async findOrCreateBook(row, author, details, transaction) {
+    const title = { name: row.book_name, author_id: author.id };
+    const defaults = { ...title, ...details };
+
+    if (details.isbn) {
+      const book = await Book.findOne({
+        where: { isbn: details.isbn },
+        transaction,
+      });
+      if (book) return [book, false];
+    }
+
+    const withoutIsbn = await Book.findOne({
+      where: { ...title, isbn: null },
+      transaction,
+    });
+    if (withoutIsbn) return [withoutIsbn, false];
+
+    if (details.isbn) {
+      return Book.findOrCreate({
+        where: { isbn: details.isbn },
+        defaults,
+        transaction,
+      });
+    }
+
+    const edition = await Book.findOne({
+      where: title,
+      order: [['id', 'ASC']],
+      transaction,
+    });
+    if (edition) return [edition, false];
+
+    return Book.findOrCreate({
+      where: { ...title, isbn: null },
+      defaults,
+      transaction,
+    });
+  }
+
+  /**
+   * Credit authors a book does not list yet, after the ones it has
+   * @param {Object} book - Book instance
+   * @param {Array} credits - [{ author, role }] in the order the row names them
+   * @param {Object} transaction - Sequelize transaction
+   * @returns {Promise<Object|null>} - { from, to } author names, or null if none were added
+   */
+  async creditAuthors(book, credits, transaction) {
+    const current = await BookAuthor.findAll({
+      where: { book_id: book.id },
+      include: [{ model: Author, as: 'author', attributes: ['name'] }],
+      order: [['position', 'ASC']],
+      transaction,
+    });
+
+    const credited = new Set(current.map((credit) => credit.author_id));
+    const missing = credits.filter(({ author }) => !credited.has(author.id));
+    if (missing.length === 0) return null;
+
+    const nextPosition =
+      current.length > 0 ? current[current.length - 1].position + 1 : 0;
+    await BookAuthor.bulkCreate(
+      missing.map(({ author, role }, i) => ({
+        book_id: book.id,
+        author_id: author.id,
+        role,
+        position: nextPosition + i,
+      })),
+      { transaction }
+    );
+
+    const names = current.map((credit) => credit.author.name);
+    return {
+      from: names,
+      to: [...names, ...missing.map(({ author }) => author.name)],
+    };
+  }
+
+  /**
+   * Describe what happened to an entity for row change reporting
+   * @param {boolean} created - Whether the entity was created
+   * @param {Object} changes - Field changes ({ field: { from, to } })
+   * @returns {string} - 'create', 'update' or 'unchanged'
+   */
+  describeAction(created, changes) {
+    if (created) return 'create';
+    return Object.keys(changes).length > 0 ? 'update' : 'unchanged';
+  }
+
+  /**
+   * Turn { field: { from, to } } changes into an update payload
+   * @param {Object} changes - Field changes
+   * @returns {Object} - { field: to }
+   */
+  pickTargets(changes) {
+    return Object.fromEntries(
+      Object.entries(changes).map(([field, { to }]) => [field, to])
+    );
+  }
 }
 
 module.exports = new InventoryService();
@@ -1,84 +1,445 @@
 const PDFDocument = require('pdfkit');
-const { Store, Author, Book, StoreBook, sequelize } = require('../models');
+const { Store, Author, sequelize } = require('../models');
+const {
+  DEFAULT_REPORT_DEFINITION,
+  normalizeReportDefinition,
+} = require('../utils/reportDefinition');
+
+// Inventory rows each book section lists, and their order
+const BOOK_SECTIONS = {
+  priciest: { where: 'sb.sold_out = false', order: 'sb.price DESC' },
+  cheapest: { where: 'sb.sold_out = false', order: 'sb.price ASC' },
+  'most-copies': { where: 'sb.copies > 0', order: 'sb.copies DESC' },
+  'sold-out': { where: 'sb.sold_out = true', order: 'sb.updated_at DESC' },
+  'low-stock': {
+    where: 'sb.copies > 0 AND sb.copies <= :threshold',
+    order: 'sb.copies ASC, b.name ASC',
+  },
+  newest: { where: 'TRUE', order: 'sb.created_at DESC' },
+};
+
+// Upper bounds of the price distribution buckets; the last bucket is open
+const PRICE_BUCKET_BOUNDS = [10, 20, 30, 50, 100];
+
+// Titles the consolidated report's price comparison lists at most
+const MAX_PRICE_COMPARISONS = 100;
+
+// Space between a table cell's border and its text
+const CELL_PADDING = 4;
+
+// Background of every other table row
+const STRIPE_COLOR = '#f4f6f7';
+
+/**
+ * Round an amount of money to cents
+ * @param {number|string|null} value - Amount, as returned by the database
+ * @returns {number|null}
+ */
+function toMoney(value) {
+  if (value === null || value === undefined) return null;
+  return Math.round(parseFloat(value) * 100) / 100;
+}
+
+/**
+ * Write an amount of money for a PDF report
+ * @param {number|null} value - Amount
+ * @returns {string} - "$12.50", or N/A when there is no amount
+ */
+function formatMoney(value) {
+  return value === null || value === undefined ? 'N/A' : `$${value.toFixed(2)}`;
+}
 
 class ReportService {
   /**
    * Generate a PDF report for a specific store
    * @param {number} storeId - Store ID
+   * @param {Object} [definition] - Report sections and filters (see utils/reportDefinition);
+   *   defaults to the inventory valuation, top 5 priciest books and top 5 prolific authors
    * @returns {Promise<{buffer: Buffer, filename: string}>} - PDF buffer and filename
    */
-  async generateStoreReport(storeId) {
+  async generateStoreReport(storeId, definition = DEFAULT_REPORT_DEFINITION) {
+    const { store, content } = await this.getStoreReportContent(
+      storeId,
+      definition
+    );
+
+    // Generate PDF
+    const pdfBuffer = await this.createPDF(store, content);
+
+    return { buffer: pdfBuffer, filename: this.reportFilename(store, 'pdf') };
+  }
+
+  /**
+   * Fetch the store and the rows of every section of its report
+   * @param {number} storeId - Store ID
+   * @param {Object} [definition] - Report sections and filters
+   * @returns {Promise<Object>} - { store, content: [{ section, title, filters, rows }] }
+   */
+  async getStoreReportContent(storeId, definition = DEFAULT_REPORT_DEFINITION) {
+    const { sections } = normalizeReportDefinition(definition);
+
     // Fetch store data
     const store = await Store.findByPk(storeId);
     if (!store) {
       throw new Error('Store not found');
     }
 
-    // Get top 5 priciest books for this store
-    const topPriciestBooks = await this.getTopPriciestBooks(storeId);
-
-    // Get top 5 prolific authors for this store
-    const topProlificAuthors = await this.getTopProlificAuthors(storeId);
+    const authorNames = await this.getFilterAuthorNames(sections);
+    const content = [];
+    for (const section of sections) {
+      content.push({
+        section,
+        title: this.describeSection(section),
+        filters: this.describeFilters(section.filters, authorNames),
+        rows: await this.getSectionRows(storeId, section),
+      });
+    }
 
-    // Generate PDF
-    const pdfBuffer = await this.createPDF(
-      store,
-      topPriciestBooks,
-      topProlificAuthors
-    );
+    return { store, content };
+  }
 
-    // Generate filename
+  /**
+   * Name of a store report file: [Store-Name]-Report-YYYY-MM-DD.<extension>
+   * @param {Object} store - Store
+   * @param {string} extension - pdf, csv or xlsx
+   * @returns {string}
+   */
+  reportFilename(store, extension) {
     const today = new Date().toISOString().split('T')[0];
-    const filename = `${store.name.replace(
+    return `${store.name.replace(
       /[^a-zA-Z0-9]/g,
       '-'
-    )}-Report-${today}.pdf`;
+    )}-Report-${today}.${extension}`;
+  }
+
+  /**
+   * Generate a chain-wide PDF report over several stores: a summary of each
+   * store, the top books and authors across them and the titles they stock
+   * at different prices
+   * @param {Array<Object>} stores - Stores to cover
+   * @param {Object} [options] - { limit } - rows of the top books and authors
+   * @returns {Promise<{buffer: Buffer, filename: string}>} - PDF buffer and filename
+   */
+  async generateConsolidatedReport(stores, { limit = 10 } = {}) {
+    const storeIds = stores.map((store) => store.id);
+    const content = {
+      stores,
+      limit,
+      summary: await this.getStoreSummaries(storeIds),
+      topBooks: await this.getChainTopBooks(storeIds, limit),
+      topAuthors: await this.getChainTopAuthors(storeIds, limit),
+      priceComparison: await this.getPriceComparison(storeIds),
+    };
+
+    const pdfBuffer = await this.createConsolidatedPDF(content);
+
+    const today = new Date().toISOString().split('T')[0];
+    return { buffer: pdfBuffer, filename: `Consolidated-Report-${today}.pdf` };
+  }
+
+  /**
+   * Stock figures of each store, and of all of them together
+   * @param {Array<number>} storeIds - Store IDs
+   * @returns {Promise<Object>} - { stores: [...], totals } - stores by name
+   */
+  async getStoreSummaries(storeIds) {
+    const figures = `
+        COUNT(DISTINCT sb.book_id) FILTER (WHERE sb.copies > 0) AS titles,
+        COALESCE(SUM(sb.copies), 0) AS total_copies,
+        COALESCE(SUM(sb.price * sb.copies), 0) AS total_value,
+        AVG(sb.price) FILTER (WHERE sb.copies > 0) AS average_price`;
+    const toSummary = (r) => ({
+      titles: parseInt(r.titles, 10),
+      totalCopies: parseInt(r.total_copies, 10),
+      totalValue: toMoney(r.total_value),
+      averagePrice: toMoney(r.average_price),
+    });
+
+    const stores = await sequelize.query(
+      `
+      SELECT s.id, s.name,${figures}
+      FROM stores s
+      LEFT JOIN store_books sb ON sb.store_id = s.id
+      WHERE s.id IN (:storeIds)
+      GROUP BY s.id, s.name
+      ORDER BY s.name ASC, s.id ASC
+    `,
+      { replacements: { storeIds }, type: sequelize.QueryTypes.SELECT }
+    );
+    // Titles stocked by several stores count once in the totals
+    const [totals] = await sequelize.query(
+      `
+      SELECT${figures}
+      FROM store_books sb
+      WHERE sb.store_id IN (:storeIds)
+    `,
+      { replacements: { storeIds }, type: sequelize.QueryTypes.SELECT }
+    );
+
+    return {
+      stores: stores.map((r) => ({ id: r.id, name: r.name, ...toSummary(r) })),
+      totals: toSummary(totals),
+    };
+  }
+
+  /**
+   * Books with the most copies in stock across stores
+   * @param {Array<number>} storeIds - Store IDs
+   * @param {number} limit - Books to list
+   * @returns {Promise<Array>} - Books with their copies, stores and price range
+   */
+  async getChainTopBooks(storeIds, limit) {
+    const results = await sequelize.query(
+      `
+      SELECT
+        b.id,
+        b.name,
+        a.name AS author,
+        COUNT(*) AS store_count,
+        SUM(sb.copies) AS total_copies,
+        MIN(sb.price) AS min_price,
+        MAX(sb.price) AS max_price
+      FROM store_books sb
+      INNER JOIN books b ON b.id = sb.book_id
+      INNER JOIN authors a ON a.id = b.author_id
+      WHERE sb.store_id IN (:storeIds) AND sb.copies > 0
+      GROUP BY b.id, b.name, a.name
+      ORDER BY total_copies DESC, b.name ASC
+      LIMIT :limit
+    `,
+      {
+        replacements: { storeIds, limit },
+        type: sequelize.QueryTypes.SELECT,
+      }
+    );
 
-    return { buffer: pdfBuffer, filename };
+    return results.map((r) => ({
+      name: r.name,
+      author: r.author,
+      storeCount: parseInt(r.store_count, 10),
+      totalCopies: parseInt(r.total_copies, 10),
+      minPrice: toMoney(r.min_price),
+      maxPrice: toMoney(r.max_price),
+    }));
   }
 
   /**
-   * Get top 5 priciest books in store
+   * Authors with the most books available across stores, counted as for
+   * getTopProlificAuthors
+   * @param {Array<number>} storeIds - Store IDs
+   * @param {number} limit - Authors to list
+   * @returns {Promise<Array>} - Authors with their books, copies and stores
+   */
+  async getChainTopAuthors(storeIds, limit) {
+    const results = await sequelize.query(
+      `
+      SELECT
+        a.id,
+        a.name,
+        COUNT(DISTINCT sb.book_id) AS book_count,
+        SUM(sb.copies) AS total_copies,
+        COUNT(DISTINCT sb.store_id) AS store_count
+      FROM authors a
+      INNER JOIN book_authors ba ON ba.author_id = a.id AND ba.role = 'author'
+      INNER JOIN store_books sb ON sb.book_id = ba.book_id
+      WHERE sb.store_id IN (:storeIds) AND sb.sold_out = false
+      GROUP BY a.id, a.name
+      ORDER BY book_count DESC, total_copies DESC, a.name ASC
+      LIMIT :limit
+    `,
+      {
+        replacements: { storeIds, limit },
+        type: sequelize.QueryTypes.SELECT,
+      }
+    );
+
+    return results.map((r) => ({
+      name: r.name,
+      bookCount: parseInt(r.book_count, 10),
+      totalCopies: parseInt(r.total_copies, 10),
+      storeCount: parseInt(r.store_count, 10),
+    }));
+  }
+
+  /**
+   * Titles in stock at more than one store at different prices, widest
+   * price spread first
+   * @param {Array<number>} storeIds - Store IDs
+   * @returns {Promise<Object>} - { titles: [...], total } - total counts the
+   *   titles beyond MAX_PRICE_COMPARISONS too
+   */
+  async getPriceComparison(storeIds) {
+    const results = await sequelize.query(
+      `
+      SELECT
+        b.id,
+        b.name,
+        a.name AS author,
+        MIN(sb.price) AS min_price,
+        MAX(sb.price) AS max_price,
+        json_agg(
+          json_build_object('store', s.name, 'price', sb.price, 'copies', sb.copies)
+          ORDER BY sb.price ASC, s.name ASC
+        ) AS prices,
+        COUNT(*) OVER () AS total
+      FROM store_books sb
+      INNER JOIN books b ON b.id = sb.book_id
+      INNER JOIN authors a ON a.id = b.author_id
+      INNER JOIN stores s ON s.id = sb.store_id
+      WHERE sb.store_id IN (:storeIds) AND sb.copies > 0
+      GROUP BY b.id, b.name, a.name
+      HAVING MIN(sb.price) <> MAX(sb.price)
+      ORDER BY MAX(sb.price) - MIN(sb.price) DESC, b.name ASC
+      LIMIT :limit
+    `,
+      {
+        replacements: { storeIds, limit: MAX_PRICE_COMPARISONS },
+        type: sequelize.QueryTypes.SELECT,
+      }
+    );
+
+    return {
+      titles: results.map((r) => ({
+        name: r.name,
+        author: r.author,
+        minPrice: toMoney(r.min_price),
+        maxPrice: toMoney(r.max_price),
+        prices: r.prices.map((p) => ({
+          store: p.store,
+          price: toMoney(p.price),
+          copies: p.copies,
+        })),
+      })),
+      total: results.length > 0 ? parseInt(results[0].total, 10) : 0,
+    };
+  }
+
+  /**
+   * Fetch the rows a report section lists
    * @param {number} storeId - Store ID
-   * @returns {Promise<Array>} - Array of top priced books
-   */
-  async getTopPriciestBooks(storeId) {
-    const storeBooks = await StoreBook.findAll({
-      where: {
-        store_id: storeId,
-        sold_out: false,
-      },
-      include: [
-        {
-          model: Book,
-          as: 'book',
-          include: [
-            {
-              model: Author,
-              as: 'author',
-            },
-          ],
+   * @param {Object} section - Normalized section
+   * @returns {Promise<Array>} - Books or authors
+   */
+  async getSectionRows(storeId, section) {
+    switch (section.type) {
+      case 'valuation':
+        return this.getValuationStats(storeId, section);
+      case 'prolific-authors':
+        return this.getTopProlificAuthors(storeId, section);
+      case 'value-by-author':
+        return this.getAuthorValues(storeId, section);
+      default:
+        return this.getBookSection(storeId, section);
+    }
+  }
+
+  /**
+   * SQL conditions for report filters, over store_books (sb) and books (b)
+   * @param {Object} filters - Normalized filters
+   * @returns {Object} - { sql, replacements } - sql starts with AND when not empty
+   */
+  filterConditions(filters) {
+    const conditions = [];
+    const replacements = {};
+
+    if (filters.genre) {
+      conditions.push('lower(b.genre) = lower(:genre)');
+      replacements.genre = filters.genre;
+    }
+    if (filters.language) {
+      conditions.push('b.language = :language');
+      replacements.language = filters.language;
+    }
+    if (filters.authorId) {
+      // Any credit counts, as in the inventory author filter
+      conditions.push(
+        'EXISTS (SELECT 1 FROM book_authors fa WHERE fa.book_id = b.id AND fa.author_id = :authorId)'
+      );
+      replacements.authorId = filters.authorId;
+    }
+    if (filters.minPrice !== undefined) {
+      conditions.push('sb.price >= :minPrice');
+      replacements.minPrice = filters.minPrice;
+    }
+    if (filters.maxPrice !== undefined) {
+      conditions.push('sb.price <= :maxPrice');
+      replacements.maxPrice = filters.maxPrice;
+    }
+
+    return {
+      sql: conditions.map((condition) => ` AND ${condition}`).join(''),
+      replacements,
+    };
+  }
+
+  /**
+   * Get the books of a book section (priciest, cheapest, most copies,
+   * sold out, low stock or newest additions) in store
+   * @param {number} storeId - Store ID
+   * @param {Object} section - Normalized section { type, limit, threshold, filters }
+   * @returns {Promise<Array>} - Books with their price and copies
+   */
+  async getBookSection(storeId, section) {
+    const { where, order } = BOOK_SECTIONS[section.type];
+    const filters = this.filterConditions(section.filters);
+
+    const results = await sequelize.query(
+      `
+      SELECT
+        b.name,
+        a.name AS author,
+        b.pages,
+        b.isbn,
+        b.publisher,
+        b.publication_year,
+        b.language,
+        b.genre,
+        sb.price,
+        sb.copies,
+        sb.created_at AS added_at
+      FROM store_books sb
+      INNER JOIN books b ON b.id = sb.book_id
+      INNER JOIN authors a ON a.id = b.author_id
+      WHERE sb.store_id = :storeId AND ${where}${filters.sql}
+      ORDER BY ${order}, b.id ASC
+      LIMIT :limit
+    `,
+      {
+        replacements: {
+          storeId,
+          limit: section.limit,
+          threshold: section.threshold,
+          ...filters.replacements,
         },
-      ],
-      order: [['price', 'DESC']],
-      limit: 5,
-    });
+        type: sequelize.QueryTypes.SELECT,
+      }
+    );
 
-    return storeBooks.map((sb) => ({
-      name: sb.book.name,
-      author: sb.book.author.name,
-      pages: sb.book.pages,
-      price: parseFloat(sb.price),
-      copies: sb.copies,
+    return results.map((r) => ({
+      name: r.name,
+      author: r.author,
+      pages: r.pages,
+      isbn: r.isbn,
+      publisher: r.publisher,
+      publicationYear: r.publication_year,
+      language: r.language,
+      genre: r.genre,
+      price: parseFloat(r.price),
+      copies: r.copies,
+      addedAt: r.added_at,
     }));
   }
 
   /**
-   * Get top 5 prolific authors (by number of available books in inventory)
+   * Get top prolific authors (by number of available books in inventory).
+   * Every author credited as an author counts a co-written book; editors and
+   * translators do not.
    * @param {number} storeId - Store ID
+   * @param {Object} [section] - { limit, filters }
    * @returns {Promise<Array>} - Array of top authors with book counts
    */
-  async getTopProlificAuthors(storeId) {
+  async getTopProlificAuthors(storeId, { limit = 5, filters = {} } = {}) {
+    const conditions = this.filterConditions(filters);
     const results = await sequelize.query(
       `
       SELECT 
@@ -87,15 +448,16 @@ class ReportService {
         COUNT(DISTINCT sb.book_id) as book_count,
         SUM(sb.copies) as total_copies
       FROM authors a
-      INNER JOIN books b ON b.author_id = a.id
-      INNER JOIN store_books sb ON sb.book_id = b.id
-      WHERE sb.store_id = :storeId AND sb.sold_out = false
+      INNER JOIN book_authors ba ON ba.author_id = a.id AND ba.role = 'author'
+      INNER JOIN store_books sb ON sb.book_id = ba.book_id
+      INNER JOIN books b ON b.id = sb.book_id
+      WHERE sb.store_id = :storeId AND sb.sold_out = false${conditions.sql}
       GROUP BY a.id, a.name
       ORDER BY book_count DESC, total_copies DESC
-      LIMIT 5
+      LIMIT :limit
     `,
       {
-        replacements: { storeId },
+        replacements: { storeId, limit, ...conditions.replacements },
         type: sequelize.QueryTypes.SELECT,
       }
     );
@@ -107,16 +469,215 @@ class ReportService {
     }));
   }
 
+  /**
+   * Get the authors with the most money in stock (price × copies). A book's
+   * value counts for its first author only, so the values add up to the
+   * store's total.
+   * @param {number} storeId - Store ID
+   * @param {Object} section - { limit, filters }
+   * @returns {Promise<Array>} - Authors with their books, copies and value
+   */
+  async getAuthorValues(storeId, { limit, filters }) {
+    const conditions = this.filterConditions(filters);
+    const results = await sequelize.query(
+      `
+      SELECT
+        a.id,
+        a.name,
+        COUNT(sb.book_id) AS book_count,
+        SUM(sb.copies) AS total_copies,
+        SUM(sb.price * sb.copies) AS total_value
+      FROM store_books sb
+      INNER JOIN books b ON b.id = sb.book_id
+      INNER JOIN authors a ON a.id = b.author_id
+      WHERE sb.store_id = :storeId AND sb.copies > 0${conditions.sql}
+      GROUP BY a.id, a.name
+      ORDER BY total_value DESC, a.name ASC
+      LIMIT :limit
+    `,
+      {
+        replacements: { storeId, limit, ...conditions.replacements },
+        type: sequelize.QueryTypes.SELECT,
+      }
+    );
+
+    return results.map((r) => ({
+      name: r.name,
+      bookCount: parseInt(r.book_count, 10),
+      totalCopies: parseInt(r.total_copies, 10),
+      totalValue: parseFloat(r.total_value),
+    }));
+  }
+
+  /**
+   * Valuation of a store's inventory: copies, titles, retail value
+   * (price × copies), average and median price of the titles in stock, how
+   * titles spread over price buckets and the authors with the most value
+   * @param {number} storeId - Store ID
+   * @param {Object} [options] - { limit, filters } - limit caps valueByAuthor
+   * @returns {Promise<Object>} - Summary statistics
+   */
+  async getValuationStats(storeId, { limit = 10, filters = {} } = {}) {
+    const conditions = this.filterConditions(filters);
+    const replacements = { storeId, ...conditions.replacements };
+
+    const [summary] = await sequelize.query(
+      `
+      SELECT
+        COALESCE(SUM(sb.copies), 0) AS total_copies,
+        COUNT(*) FILTER (WHERE sb.copies > 0) AS titles,
+        COUNT(*) FILTER (WHERE sb.copies = 0) AS sold_out_titles,
+        COALESCE(SUM(sb.price * sb.copies), 0) AS total_value,
+        AVG(sb.price) FILTER (WHERE sb.copies > 0) AS average_price,
+        percentile_cont(0.5) WITHIN GROUP (ORDER BY sb.price)
+          FILTER (WHERE sb.copies > 0) AS median_price
+      FROM store_books sb
+      INNER JOIN books b ON b.id = sb.book_id
+      WHERE sb.store_id = :storeId${conditions.sql}
+    `,
+      { replacements, type: sequelize.QueryTypes.SELECT }
+    );
+
+    // width_bucket gives 0 below the first bound and i from the i-th bound up
+    const buckets = await sequelize.query(
+      `
+      SELECT
+        width_bucket(sb.price, ARRAY[:bounds]::numeric[]) AS bucket,
+        COUNT(*) AS titles,
+        SUM(sb.copies) AS copies,
+        SUM(sb.price * sb.copies) AS value
+      FROM store_books sb
+      INNER JOIN books b ON b.id = sb.book_id
+      WHERE sb.store_id = :storeId AND sb.copies > 0${conditions.sql}
+      GROUP BY bucket
+    `,
+      {
+        replacements: { ...replacements, bounds: PRICE_BUCKET_BOUNDS },
+        type: sequelize.QueryTypes.SELECT,
+      }
+    );
+    const byBucket = new Map(buckets.map((b) => [b.bucket, b]));
+
+    const bounds = [0, ...PRICE_BUCKET_BOUNDS];
+    const priceDistribution = bounds.map((min, i) => {
+      const max = i + 1 < bounds.length ? bounds[i + 1] : null;
+      const bucket = byBucket.get(i);
+      return {
+        min,
+        max,
+        label:
+          max === null
+            ? `$${min} and over`
+            : min === 0
+            ? `Under $${max}`
+            : `$${min} to $${max}`,
+        titles: bucket ? parseInt(bucket.titles, 10) : 0,
+        copies: bucket ? parseInt(bucket.copies, 10) : 0,
+        value: bucket ? toMoney(bucket.value) : 0,
+      };
+    });
+
+    return {
+      totalCopies: parseInt(summary.total_copies, 10),
+      titles: parseInt(summary.titles, 10),
+      soldOutTitles: parseInt(summary.sold_out_titles, 10),
+      totalValue: toMoney(summary.total_value),
+      averagePrice: toMoney(summary.average_price),
+      medianPrice: toMoney(summary.median_price),
+      priceDistribution,
+      valueByAuthor: await this.getAuthorValues(storeId, { limit, filters }),
+    };
+  }
+
+  /**
+   * Heading of a report section; a title given in the definition wins
+   * @param {Object} section - Normalized section
+   * @returns {string}
+   */
+  describeSection(section) {
+    if (section.title) return section.title;
+
+    const top = `Top ${section.limit}`;
+    switch (section.type) {
+      case 'valuation':
+        return 'Inventory Valuation';
+      case 'priciest':
+        return `${top} Priciest Books`;
+      case 'cheapest':
+        return `${top} Cheapest Books`;
+      case 'most-copies':
+        return `${top} Books by Copies in Stock`;
+      case 'sold-out':
+        return 'Sold Out Books';
+      case 'low-stock':
+        return `Low Stock Books (${section.threshold} or fewer copies)`;
+      case 'newest':
+        return 'Newest Additions';
+      case 'prolific-authors':
+        return `${top} Prolific Authors`;
+      default:
+        return `${top} Authors by Inventory Value`;
+    }
+  }
+
+  /**
+   * Names of the authors report filters refer to
+   * @param {Array} sections - Normalized sections
+   * @returns {Promise<Map>} - Author name by ID
+   */
+  async getFilterAuthorNames(sections) {
+    const authorIds = [
+      ...new Set(sections.map((s) => s.filters.authorId).filter(Boolean)),
+    ];
+    if (authorIds.length === 0) return new Map();
+
+    const authors = await Author.findAll({
+      where: { id: authorIds },
+      attributes: ['id', 'name'],
+    });
+    return new Map(authors.map((author) => [author.id, author.name]));
+  }
+
+  /**
+   * One-line summary of the filters a section applies
+   * @param {Object} filters - Normalized filters
+   * @param {Map} authorNames - Author name by ID
+   * @returns {string} - Filters, or an empty string if there are none
+   */
+  describeFilters(filters, authorNames) {
+    const price = (value) => `$${value.toFixed(2)}`;
+    let priceRange = null;
+    if (filters.minPrice !== undefined && filters.maxPrice !== undefined) {
+      priceRange = `${price(filters.minPrice)} to ${price(filters.maxPrice)}`;
+    } else if (filters.minPrice !== undefined) {
+      priceRange = `${price(filters.minPrice)} or more`;
+    } else if (filters.maxPrice !== undefined) {
+      priceRange = `up to ${price(filters.maxPrice)}`;
+    }
+
+    return [
+      filters.genre && `Genre: ${filters.genre}`,
+      filters.language && `Language: ${filters.language}`,
+      filters.authorId &&
+        `Author: ${
+          authorNames.get(filters.authorId) || `ID ${filters.authorId}`
+        }`,
+      priceRange && `Price: ${priceRange}`,
+    ]
+      .filter(Boolean)
+      .join(' · ');
+  }
+
   /**
    * Create PDF document
    * @param {Object} store - Store object
-   * @param {Array} topBooks - Top priced books
-   * @param {Array} topAuthors - Top prolific authors
+   * @param {Array} content - Report sections with their rows ({ section, title, filters, rows })
    * @returns {Promise<Buffer>} - PDF buffer
    */
-  createPDF(store, topBooks, topAuthors) {
+  createPDF(store, content) {
     return new Promise((resolve, reject) => {
-      const doc = new PDFDocument({ margin: 50 });
+      // Pages stay buffered so the footer can number them once all are known
+      const doc = new PDFDocument({ margin: 50, bufferPages: true });
       const chunks = [];
 
       doc.on('data', (chunk) => chunks.push(chunk));
@@ -126,35 +687,420 @@ class ReportService {
       // Header with logo and store name
       this.addHeader(doc, store);
 
-      // Report date
-      doc.moveDown();
-      doc.fontSize(10).fillColor('#666666');
-      doc.text(
-        `Report Generated: ${new Date().toLocaleDateString('en-US', {
-          year: 'numeric',
-          month: 'long',
-          day: 'numeric',
-        })}`,
-        { align: 'right' }
-      );
+      this.addReportDate(doc);
 
-      doc.moveDown(2);
+      // Sections in the order the definition lists them
+      for (const { section, title, filters, rows } of content) {
+        doc.moveDown(2);
+        if (section.type === 'valuation') {
+          this.addValuationSection(doc, title, filters, rows);
+        } else if (BOOK_SECTIONS[section.type]) {
+          this.addBooksSection(doc, title, filters, rows);
+        } else {
+          this.addAuthorsSection(doc, section.type, title, filters, rows);
+        }
+      }
 
-      // Top 5 Priciest Books Section
-      this.addPriciestBooksSection(doc, topBooks);
+      // Footer on every page
+      this.addFooter(doc);
 
-      doc.moveDown(2);
+      doc.end();
+    });
+  }
 
-      // Top 5 Prolific Authors Section
-      this.addProlificAuthorsSection(doc, topAuthors);
+  /**
+   * Create the consolidated report PDF
+   * @param {Object} content - Figures from generateConsolidatedReport
+   * @returns {Promise<Buffer>}
+   */
+  createConsolidatedPDF({
+    stores,
+    limit,
+    summary,
+    topBooks,
+    topAuthors,
+    priceComparison,
+  }) {
+    return new Promise((resolve, reject) => {
+      // Pages stay buffered so the footer can number them once all are known
+      const doc = new PDFDocument({ margin: 50, bufferPages: true });
+      const chunks = [];
+
+      doc.on('data', (chunk) => chunks.push(chunk));
+      doc.on('end', () => resolve(Buffer.concat(chunks)));
+      doc.on('error', reject);
+
+      this.addHeader(doc, { name: 'Consolidated Report' });
+      doc.moveDown(0.5);
+      doc
+        .fontSize(10)
+        .fillColor('#7f8c8d')
+        .text(
+          `${stores.length} store(s): ${stores
+            .map((store) => store.name)
+            .join(', ')}`,
+          { align: 'center' }
+        );
+      this.addReportDate(doc);
+
+      doc.moveDown(2);
+      this.addStoreSummarySection(doc, summary);
+      doc.moveDown(2);
+      this.addChainBooksSection(
+        doc,
+        `Top ${limit} Books Across Stores`,
+        topBooks
+      );
+      doc.moveDown(2);
+      this.addChainAuthorsSection(
+        doc,
+        `Top ${limit} Authors Across Stores`,
+        topAuthors
+      );
+      doc.moveDown(2);
+      this.addPriceComparisonSection(doc, priceComparison);
 
-      // Footer
       this.addFooter(doc);
 
       doc.end();
     });
   }
 
+  /**
+   * Add the date the report was generated, right-aligned
+   */
+  addReportDate(doc) {
+    doc.moveDown();
+    doc.fontSize(10).fillColor('#666666');
+    doc.text(
+      `Report Generated: ${new Date().toLocaleDateString('en-US', {
+        year: 'numeric',
+        month: 'long',
+        day: 'numeric',
+      })}`,
+      { align: 'right' }
+    );
+  }
+
+  /**
+   * Start a new page unless the given height still fits on this one
+   */
+  ensureSpace(doc, height) {
+    if (doc.y + height > doc.page.height - doc.page.margins.bottom) {
+      doc.addPage();
+    }
+  }
+
+  /**
+   * Draw a table that flows over as many pages as it needs. Cell text wraps
+   * within its column, the header row is repeated at the top of every page
+   * and every other row is shaded.
+   * @param {Object} doc - PDFKit document
+   * @param {Object} table - Table to draw
+   * @param {Array<Object>} table.columns - [{ header, width, align }] - align
+   *   is left unless given
+   * @param {Array} table.rows - The cell texts of each row, or
+   *   { cells, detail, bold } where detail is a smaller line under the cells,
+   *   spanning every column but the first
+   * @param {boolean} [table.header] - Whether to draw the header row
+   * @param {boolean} [table.striped] - Whether to shade every other row
+   */
+  addTable(doc, { columns, rows, header = true, striped = true }) {
+    const headerRow = {
+      cells: columns.map((column) => column.header),
+      bold: true,
+      header: true,
+    };
+    const bottom = () => doc.page.height - doc.page.margins.bottom;
+
+    const entries = rows.map((row) =>
+      Array.isArray(row) ? { cells: row } : row
+    );
+    if (header) {
+      // Keep the header together with the first row
+      const first = entries.length > 0 ? entries[0] : null;
+      this.ensureSpace(
+        doc,
+        this.measureTableRow(doc, columns, headerRow).height +
+          (first ? this.measureTableRow(doc, columns, first).height : 0)
+      );
+      this.drawTableRow(doc, columns, headerRow);
+    }
+
+    entries.forEach((row, index) => {
+      if (doc.y + this.measureTableRow(doc, columns, row).height > bottom()) {
+        doc.addPage();
+        if (header) this.drawTableRow(doc, columns, headerRow);
+      }
+      this.drawTableRow(doc, columns, row, striped && index % 2 === 1);
+    });
+    doc.x = doc.page.margins.left;
+  }
+
+  /**
+   * Set the font of a table row
+   */
+  setTableRowFont(doc, row) {
+    doc
+      .font(row.bold ? 'Helvetica-Bold' : 'Helvetica')
+      .fontSize(row.header ? 10 : 9);
+  }
+
+  /**
+   * Height a table row needs with its text wrapped in the columns
+   * @returns {Object} - { height, cellsHeight } - cellsHeight leaves out the detail line
+   */
+  measureTableRow(doc, columns, row) {
+    this.setTableRowFont(doc, row);
+    let cellsHeight = 0;
+    columns.forEach((column, i) => {
+      const text = this.cellText(row.cells[i]);
+      cellsHeight = Math.max(
+        cellsHeight,
+        doc.heightOfString(text, {
+          width: column.width - 2 * CELL_PADDING,
+          align: column.align,
+        })
+      );
+    });
+
+    let height = cellsHeight + 2 * CELL_PADDING;
+    if (row.detail) {
+      doc.font('Helvetica').fontSize(8);
+      height += doc.heightOfString(row.detail, {
+        width: this.detailWidth(columns),
+      });
+    }
+    return { height, cellsHeight };
+  }
+
+  /**
+   * Width of the detail line under a table row
+   */
+  detailWidth(columns) {
+    return (
+      columns.slice(1).reduce((sum, column) => sum + column.width, 0) -
+      2 * CELL_PADDING
+    );
+  }
+
+  /**
+   * Text of a table cell; empty for missing values
+   */
+  cellText(value) {
+    return value === null || value === undefined ? '' : String(value);
+  }
+
+  /**
+   * Draw one table row at the current position and move below it; header
+   * rows are underlined
+   */
+  drawTableRow(doc, columns, row, shaded = false) {
+    const startX = doc.page.margins.left;
+    const width = columns.reduce((sum, column) => sum + column.width, 0);
+    const y = doc.y;
+    const { height, cellsHeight } = this.measureTableRow(doc, columns, row);
+
+    if (shaded) {
+      doc.rect(startX, y, width, height).fill(STRIPE_COLOR);
+    }
+
+    this.setTableRowFont(doc, row);
+    doc.fillColor(row.header ? '#2c3e50' : '#34495e');
+    let x = startX;
+    columns.forEach((column, i) => {
+      doc.text(
+        this.cellText(row.cells[i]),
+        x + CELL_PADDING,
+        y + CELL_PADDING,
+        {
+          width: column.width - 2 * CELL_PADDING,
+          align: column.align,
+        }
+      );
+      x += column.width;
+    });
+
+    if (row.detail) {
+      doc
+        .font('Helvetica')
+        .fontSize(8)
+        .fillColor('#7f8c8d')
+        .text(
+          row.detail,
+          startX + columns[0].width + CELL_PADDING,
+          y + CELL_PADDING + cellsHeight,
+          { width: this.detailWidth(columns) }
+        );
+    }
+
+    if (row.header) {
+      doc
+        .strokeColor('#bdc3c7')
+        .lineWidth(0.5)
+        .moveTo(startX, y + height)
+        .lineTo(startX + width, y + height)
+        .stroke();
+    }
+
+    doc.font('Helvetica');
+    doc.x = startX;
+    doc.y = y + height;
+  }
+
+  /**
+   * Add the table of stock figures per store, with the chain totals
+   */
+  addStoreSummarySection(doc, { stores, totals }) {
+    this.addSectionTitle(doc, 'Store Summary', '#2c3e50');
+
+    const cells = (name, figures) => [
+      name,
+      figures.titles,
+      figures.totalCopies,
+      formatMoney(figures.totalValue),
+      formatMoney(figures.averagePrice),
+    ];
+    this.addTable(doc, {
+      columns: [
+        { header: 'Store', width: 180 },
+        { header: 'Titles', width: 60, align: 'right' },
+        { header: 'Copies', width: 70, align: 'right' },
+        { header: 'Retail Value', width: 90, align: 'right' },
+        { header: 'Average Price', width: 90, align: 'right' },
+      ],
+      rows: [
+        ...stores.map((store) => cells(store.name, store)),
+        { cells: cells('All stores', totals), bold: true },
+      ],
+    });
+  }
+
+  /**
+   * Add the books with the most copies across stores
+   */
+  addChainBooksSection(doc, title, books) {
+    this.addSectionTitle(doc, title, '#2980b9');
+
+    if (books.length === 0) {
+      doc
+        .fontSize(12)
+        .fillColor('#7f8c8d')
+        .text('No books available in inventory.');
+      return;
+    }
+
+    this.addTable(doc, {
+      columns: [
+        { header: '#', width: 25, align: 'right' },
+        { header: 'Book Name', width: 150 },
+        { header: 'Author', width: 120 },
+        { header: 'Stores', width: 50, align: 'right' },
+        { header: 'Copies', width: 55, align: 'right' },
+        { header: 'Price', width: 90, align: 'right' },
+      ],
+      rows: books.map((book, index) => [
+        index + 1,
+        book.name,
+        book.author,
+        book.storeCount,
+        book.totalCopies,
+        book.minPrice === book.maxPrice
+          ? formatMoney(book.minPrice)
+          : `${formatMoney(book.minPrice)} - ${formatMoney(book.maxPrice)}`,
+      ]),
+    });
+  }
+
+  /**
+   * Add the authors with the most books available across stores
+   */
+  addChainAuthorsSection(doc, title, authors) {
+    this.addSectionTitle(doc, title, '#27ae60');
+
+    if (authors.length === 0) {
+      doc
+        .fontSize(12)
+        .fillColor('#7f8c8d')
+        .text('No authors available in inventory.');
+      return;
+    }
+
+    this.addTable(doc, {
+      columns: [
+        { header: '#', width: 25, align: 'right' },
+        { header: 'Author Name', width: 215 },
+        { header: 'Books Available', width: 90, align: 'right' },
+        { header: 'Stores', width: 70, align: 'right' },
+        { header: 'Total Copies', width: 90, align: 'right' },
+      ],
+      rows: authors.map((author, index) => [
+        index + 1,
+        author.name,
+        author.bookCount,
+        author.storeCount,
+        author.totalCopies,
+      ]),
+    });
+  }
+
+  /**
+   * Add the titles stocked at different prices, each followed by its price
+   * in every store that has it in stock
+   */
+  addPriceComparisonSection(doc, { titles, total }) {
+    this.addSectionTitle(
+      doc,
+      'Price Comparison',
+      '#c0392b',
+      total > titles.length
+        ? `The ${titles.length} of ${total} titles with the widest price spread`
+        : null
+    );
+
+    if (titles.length === 0) {
+      doc
+        .fontSize(12)
+        .fillColor('#7f8c8d')
+        .text('No titles are priced differently between stores.');
+      return;
+    }
+
+    titles.forEach((title) => {
+      // Keep a title together with its table header and first price
+      this.ensureSpace(doc, 80);
+      doc
+        .font('Helvetica-Bold')
+        .fontSize(10)
+        .fillColor('#2c3e50')
+        .text(`${title.name} by ${title.author}`, doc.page.margins.left);
+      doc
+        .font('Helvetica')
+        .fontSize(8)
+        .fillColor('#7f8c8d')
+        .text(
+          `${formatMoney(title.minPrice)} to ${formatMoney(
+            title.maxPrice
+          )}, a spread of ${formatMoney(title.maxPrice - title.minPrice)}`
+        );
+      doc.moveDown(0.3);
+
+      this.addTable(doc, {
+        columns: [
+          { header: 'Store', width: 240 },
+          { header: 'Price', width: 100, align: 'right' },
+          { header: 'Copies', width: 100, align: 'right' },
+        ],
+        rows: title.prices.map((entry) => [
+          entry.store,
+          formatMoney(entry.price),
+          entry.copies,
+        ]),
+      });
+      doc.moveDown();
+    });
+  }
+
   /**
    * Add header with logo and store name
    */
@@ -215,15 +1161,25 @@ class ReportService {
   }
 
   /**
-   * Add Top 5 Priciest Books section
+   * Add a section title, with the section's filters below it if it has any
    */
-  addPriciestBooksSection(doc, topBooks) {
-    // Section title
-    doc
-      .fontSize(16)
-      .fillColor('#2980b9')
-      .text('📚 Top 5 Priciest Books', { underline: true });
+  addSectionTitle(doc, title, color, filters) {
+    // Keep the title on the same page as the start of its section
+    this.ensureSpace(doc, 80);
+    doc.fontSize(16).fillColor(color).text(title, 50, doc.y, {
+      underline: true,
+    });
+    if (filters) {
+      doc.fontSize(9).fillColor('#7f8c8d').text(filters);
+    }
     doc.moveDown();
+  }
+
+  /**
+   * Add a section listing books with their price and copies
+   */
+  addBooksSection(doc, title, filters, topBooks) {
+    this.addSectionTitle(doc, `📚 ${title}`, '#2980b9', filters);
 
     if (topBooks.length === 0) {
       doc
@@ -233,97 +1189,55 @@ class ReportService {
       return;
     }
 
-    // Table header
-    const startX = 50;
-    const colWidths = [30, 150, 120, 60, 70, 60];
-    let y = doc.y;
-
-    doc.fontSize(10).fillColor('#2c3e50');
-    doc.text('#', startX, y, { width: colWidths[0] });
-    doc.text('Book Name', startX + colWidths[0], y, { width: colWidths[1] });
-    doc.text('Author', startX + colWidths[0] + colWidths[1], y, {
-      width: colWidths[2],
-    });
-    doc.text('Pages', startX + colWidths[0] + colWidths[1] + colWidths[2], y, {
-      width: colWidths[3],
+    this.addTable(doc, {
+      columns: [
+        { header: '#', width: 25, align: 'right' },
+        { header: 'Book Name', width: 170 },
+        { header: 'Author', width: 130 },
+        { header: 'Pages', width: 45, align: 'right' },
+        { header: 'Price', width: 65, align: 'right' },
+        { header: 'Copies', width: 55, align: 'right' },
+      ],
+      rows: topBooks.map((book, index) => ({
+        cells: [
+          index + 1,
+          book.name,
+          book.author,
+          book.pages || 'N/A',
+          formatMoney(book.price),
+          book.copies,
+        ],
+        // Bibliographic details, when known, on a line of their own
+        detail: this.describeBookDetails(book),
+      })),
     });
-    doc.text(
-      'Price',
-      startX + colWidths[0] + colWidths[1] + colWidths[2] + colWidths[3],
-      y,
-      { width: colWidths[4] }
-    );
-    doc.text(
-      'Copies',
-      startX +
-        colWidths[0] +
-        colWidths[1] +
-        colWidths[2] +
-        colWidths[3] +
-        colWidths[4],
-      y,
-      { width: colWidths[5] }
-    );
-
-    doc.moveDown(0.5);
-    doc.strokeColor('#bdc3c7').lineWidth(0.5);
-    doc
-      .moveTo(startX, doc.y)
-      .lineTo(doc.page.width - 50, doc.y)
-      .stroke();
-    doc.moveDown(0.5);
+  }
 
-    // Table rows
-    topBooks.forEach((book, index) => {
-      y = doc.y;
-      doc.fontSize(9).fillColor('#34495e');
-      doc.text(`${index + 1}`, startX, y, { width: colWidths[0] });
-      doc.text(this.truncateText(book.name, 25), startX + colWidths[0], y, {
-        width: colWidths[1],
-      });
-      doc.text(
-        this.truncateText(book.author, 20),
-        startX + colWidths[0] + colWidths[1],
-        y,
-        { width: colWidths[2] }
-      );
-      doc.text(
-        book.pages ? book.pages.toString() : 'N/A',
-        startX + colWidths[0] + colWidths[1] + colWidths[2],
-        y,
-        { width: colWidths[3] }
-      );
-      doc.text(
-        `$${book.price.toFixed(2)}`,
-        startX + colWidths[0] + colWidths[1] + colWidths[2] + colWidths[3],
-        y,
-        { width: colWidths[4] }
-      );
-      doc.text(
-        book.copies.toString(),
-        startX +
-          colWidths[0] +
-          colWidths[1] +
-          colWidths[2] +
-          colWidths[3] +
-          colWidths[4],
-        y,
-        { width: colWidths[5] }
-      );
-      doc.moveDown();
-    });
+  /**
+   * One-line summary of a book's ISBN, publisher, year, language and genre
+   * @param {Object} book - Book from getBookSection
+   * @returns {string} - Known details, or an empty string
+   */
+  describeBookDetails(book) {
+    const edition = [book.publisher, book.publicationYear]
+      .filter(Boolean)
+      .join(', ');
+    return [
+      book.isbn && `ISBN ${book.isbn}`,
+      edition,
+      book.language,
+      book.genre,
+    ]
+      .filter(Boolean)
+      .join(' · ');
   }
 
   /**
-   * Add Top 5 Prolific Authors section
+   * Add a section listing authors: their books available and copies
+   * (prolific-authors), plus the value of those copies (value-by-author)
    */
-  addProlificAuthorsSection(doc, topAuthors) {
-    // Section title
-    doc
-      .fontSize(16)
-      .fillColor('#27ae60')
-      .text('✍️ Top 5 Prolific Authors', { underline: true });
-    doc.moveDown();
+  addAuthorsSection(doc, type, title, filters, topAuthors) {
+    this.addSectionTitle(doc, `✍️ ${title}`, '#27ae60', filters);
 
     if (topAuthors.length === 0) {
       doc
@@ -333,78 +1247,172 @@ class ReportService {
       return;
     }
 
-    // Table header
-    const startX = 50;
-    const colWidths = [30, 200, 130, 130];
-    let y = doc.y;
+    if (type === 'value-by-author') {
+      this.addTable(doc, {
+        columns: [
+          { header: '#', width: 25, align: 'right' },
+          { header: 'Author Name', width: 195 },
+          { header: 'Books', width: 80, align: 'right' },
+          { header: 'Total Copies', width: 90, align: 'right' },
+          { header: 'Value', width: 100, align: 'right' },
+        ],
+        rows: topAuthors.map((author, index) => [
+          index + 1,
+          author.name,
+          author.bookCount,
+          author.totalCopies,
+          formatMoney(author.totalValue),
+        ]),
+      });
+      return;
+    }
 
-    doc.fontSize(10).fillColor('#2c3e50');
-    doc.text('#', startX, y, { width: colWidths[0] });
-    doc.text('Author Name', startX + colWidths[0], y, { width: colWidths[1] });
-    doc.text('Books Available', startX + colWidths[0] + colWidths[1], y, {
-      width: colWidths[2],
+    this.addTable(doc, {
+      columns: [
+        { header: '#', width: 25, align: 'right' },
+        { header: 'Author Name', width: 245 },
+        { header: 'Books Available', width: 110, align: 'right' },
+        { header: 'Total Copies', width: 110, align: 'right' },
+      ],
+      rows: topAuthors.map((author, index) => [
+        index + 1,
+        author.name,
+        author.bookCount,
+        author.totalCopies,
+      ]),
     });
-    doc.text(
-      'Total Copies',
-      startX + colWidths[0] + colWidths[1] + colWidths[2],
-      y,
-      { width: colWidths[3] }
-    );
+  }
+
+  /**
+   * Add the valuation section: summary figures, a bar chart of titles per
+   * price bucket and the authors with the most value in stock
+   */
+  addValuationSection(doc, title, filters, stats) {
+    this.addSectionTitle(doc, `💰 ${title}`, '#8e44ad', filters);
+
+    // Two columns of label/value pairs
+    const figure = { width: 130 };
+    const value = { width: 110, align: 'right' };
+    this.addTable(doc, {
+      columns: [figure, value, { ...figure, width: 140 }, value],
+      header: false,
+      rows: [
+        [
+          'Retail value',
+          formatMoney(stats.totalValue),
+          'Copies in stock',
+          stats.totalCopies,
+        ],
+        [
+          'Titles in stock',
+          stats.titles,
+          'Sold out titles',
+          stats.soldOutTitles,
+        ],
+        [
+          'Average price',
+          formatMoney(stats.averagePrice),
+          'Median price',
+          formatMoney(stats.medianPrice),
+        ],
+      ],
+    });
+    doc.moveDown();
 
-    doc.moveDown(0.5);
-    doc.strokeColor('#bdc3c7').lineWidth(0.5);
     doc
-      .moveTo(startX, doc.y)
-      .lineTo(doc.page.width - 50, doc.y)
-      .stroke();
+      .fontSize(11)
+      .fillColor('#2c3e50')
+      .text('Titles by price', doc.page.margins.left);
     doc.moveDown(0.5);
+    this.addBarChart(
+      doc,
+      stats.priceDistribution.map((bucket) => ({
+        label: bucket.label,
+        value: bucket.titles,
+        text: `${bucket.titles} (${formatMoney(bucket.value)})`,
+      })),
+      '#9b59b6'
+    );
 
-    // Table rows
-    topAuthors.forEach((author, index) => {
-      y = doc.y;
-      doc.fontSize(9).fillColor('#34495e');
-      doc.text(`${index + 1}`, startX, y, { width: colWidths[0] });
-      doc.text(this.truncateText(author.name, 35), startX + colWidths[0], y, {
-        width: colWidths[1],
-      });
-      doc.text(
-        author.bookCount.toString(),
-        startX + colWidths[0] + colWidths[1],
-        y,
-        { width: colWidths[2] }
-      );
-      doc.text(
-        author.totalCopies.toString(),
-        startX + colWidths[0] + colWidths[1] + colWidths[2],
-        y,
-        { width: colWidths[3] }
-      );
-      doc.moveDown();
-    });
+    doc.moveDown();
+    this.addAuthorsSection(
+      doc,
+      'value-by-author',
+      'Value by Author',
+      null,
+      stats.valueByAuthor
+    );
   }
 
   /**
-   * Add footer to PDF
+   * Draw a horizontal bar chart, starting on a new page if it does not fit
+   * @param {Object} doc - PDFKit document
+   * @param {Array} bars - [{ label, value, text }] - text is printed after the bar
+   * @param {string} color - Bar color
    */
-  addFooter(doc) {
-    const bottomMargin = 50;
-    doc.fontSize(8).fillColor('#95a5a6');
-    doc.text(
-      'Generated by Digital Bookstore Inventory System',
-      50,
-      doc.page.height - bottomMargin,
-      { align: 'center' }
-    );
+  addBarChart(doc, bars, color) {
+    const startX = 50;
+    const labelWidth = 90;
+    const textWidth = 110;
+    const barHeight = 14;
+    const gap = 6;
+    const maxBarWidth = doc.page.width - 100 - labelWidth - textWidth;
+    const max = Math.max(1, ...bars.map((bar) => bar.value));
+
+    this.ensureSpace(doc, bars.length * (barHeight + gap));
+
+    let y = doc.y;
+    for (const bar of bars) {
+      const width =
+        bar.value > 0 ? Math.max(2, (bar.value / max) * maxBarWidth) : 0;
+      doc
+        .fontSize(9)
+        .fillColor('#34495e')
+        .text(bar.label, startX, y + 3, { width: labelWidth });
+      if (width > 0) {
+        doc.rect(startX + labelWidth, y, width, barHeight).fill(color);
+      }
+      doc
+        .fillColor('#34495e')
+        .text(bar.text, startX + labelWidth + width + 5, y + 3, {
+          width: textWidth,
+        });
+      y += barHeight + gap;
+    }
+    doc.x = startX;
+    doc.y = y;
   }
 
   /**
-   * Truncate text to fit in column
+   * Add the footer to every page: where the report comes from and
+   * "Page X of Y". Needs a document created with bufferPages.
    */
-  truncateText(text, maxLength) {
-    if (!text) return '';
-    return text.length > maxLength
-      ? text.substring(0, maxLength - 3) + '...'
-      : text;
+  addFooter(doc) {
+    const { start, count } = doc.bufferedPageRange();
+    for (let i = start; i < start + count; i++) {
+      doc.switchToPage(i);
+
+      // The footer sits in the bottom margin, where text would otherwise
+      // start a new page
+      const { bottom } = doc.page.margins;
+      doc.page.margins.bottom = 0;
+
+      const y = doc.page.height - 35;
+      const width = doc.page.width - 100;
+      doc.font('Helvetica').fontSize(8).fillColor('#95a5a6');
+      doc.text('Generated by Digital Bookstore Inventory System', 50, y, {
+        width,
+        align: 'center',
+        lineBreak: false,
+      });
+      doc.text(`Page ${i - start + 1} of ${count}`, 50, y, {
+        width,
+        align: 'right',
+        lineBreak: false,
+      });
+
+      doc.page.margins.bottom = bottom;
+    }
   }
 }
 
@@ -0,0 +1,107 @@
+const { ReportTemplate } = require('../models');
+
+// API field -> model attribute for the settings a client can change
+const TEMPLATE_ATTRIBUTES = {
+  name: 'name',
+  description: 'description',
+  definition: 'definition',
+};
+
+class ReportTemplateService {
+  /**
+   * List report templates by name
+   * @returns {Promise<Array>} - ReportTemplate instances
+   */
+  async listTemplates() {
+    return ReportTemplate.findAll({ order: [['name', 'ASC']] });
+  }
+
+  /**
+   * Get a single report template
+   * @param {number} templateId - ReportTemplate ID
+   * @returns {Promise<Object|null>} - ReportTemplate or null if not found
+   */
+  async getTemplate(templateId) {
+    return ReportTemplate.findByPk(templateId);
+  }
+
+  /**
+   * Find the template a report asked for, by ID or by name
+   * @param {string} ref - Template ID or name
+   * @returns {Promise<Object|null>} - ReportTemplate or null if not found
+   */
+  async resolveTemplate(ref) {
+    if (/^\d+$/.test(ref)) {
+      const template = await ReportTemplate.findByPk(parseInt(ref, 10));
+      if (template) return template;
+    }
+    return this.findByName(ref);
+  }
+
+  /**
+   * Find a template by its exact name
+   * @param {string} name - Template name
+   * @returns {Promise<Object|null>} - ReportTemplate or null if not found
+   */
+  async findByName(name) {
+    return ReportTemplate.findOne({ where: { name } });
+  }
+
+  /**
+   * Create a report template
+   * @param {Object} data - { name, description, definition }
+   * @returns {Promise<Object>} - Created ReportTemplate
+   */
+  async createTemplate(data) {
+    return ReportTemplate.create(this.toAttributes(data));
+  }
+
+  /**
+   * Update the given settings of a report template
+   * @param {Object} template - ReportTemplate instance
+   * @param {Object} data - Settings to change
+   * @returns {Promise<Object>} - Updated ReportTemplate
+   */
+  async updateTemplate(template, data) {
+    return template.update(this.toAttributes(data));
+  }
+
+  /**
+   * Delete a report template
+   * @param {Object} template - ReportTemplate instance
+   */
+  async deleteTemplate(template) {
+    await template.destroy();
+  }
+
+  /**
+   * Map API field names to model attributes, skipping fields not given
+   * @param {Object} data - Request body
+   * @returns {Object} - Model attributes
+   */
+  toAttributes(data) {
+    const attributes = {};
+    for (const [field, attribute] of Object.entries(TEMPLATE_ATTRIBUTES)) {
+      if (data[field] !== undefined) attributes[attribute] = data[field];
+    }
+    return attributes;
+  }
+
+  /**
+   * Shape a ReportTemplate for API responses
+   * @param {Object} template - ReportTemplate instance
+   * @returns {Object} - Serialized template
+   */
+  serialize(template) {
+    return {
+      id: template.id,
+      name: template.name,
+      description: template.description,
+      definition: template.definition,
+      createdAt: template.created_at,
+      updatedAt: template.updated_at,
+    };
+  }
+}
+
+module.exports = new ReportTemplateService();
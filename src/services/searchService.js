@@ -0,0 +1,206 @@
+const { Author, Book, Store, sequelize } = require('../models');
+const { normalizeIsbn } = require('../utils/bibliographic');
+
+// Result types, in the order results with equal scores are listed
+const SEARCH_TYPES = ['book', 'author', 'store'];
+
+class SearchService {
+  /**
+   * Result types a search can be limited to
+   * @returns {Array<string>} - Type names
+   */
+  get types() {
+    return SEARCH_TYPES;
+  }
+
+  /**
+   * Search books, authors and stores. Full-text matches and fuzzy (trigram)
+   * matches for typos are both returned, ranked by a score combining the two.
+   * @param {string} q - Search text; websearch syntax ("quoted phrases", or, -not) is supported
+   * @param {Object} [options] - { types, limit } - limit applies to the combined results
+   * @returns {Promise<Array>} - Results, best first, each with a `type`
+   */
+  async search(q, { types = SEARCH_TYPES, limit = 20 } = {}) {
+    const searches = {
+      book: () => this.searchBooks(q, limit),
+      author: () => this.searchAuthors(q, limit),
+      store: () => this.searchStores(q, limit),
+    };
+
+    const results = [];
+    for (const type of SEARCH_TYPES) {
+      if (types.includes(type)) results.push(...(await searches[type]()));
+    }
+
+    // Array sort is stable, so ties keep the book, author, store order
+    return results.sort((a, b) => b.score - a.score).slice(0, limit);
+  }
+
+  /**
+   * Books whose title matches, with their author and the stores stocking them.
+   * A search for an ISBN (either form) also finds the book with that ISBN.
+   * @param {string} q - Search text
+   * @param {number} limit - Maximum number of books
+   * @returns {Promise<Array>} - Book results
+   */
+  async searchBooks(q, limit) {
+    const rows = await sequelize.query(
+      `
+      WITH matches AS (
+        SELECT
+          id,
+          ts_rank(${Book.SEARCH_DOCUMENT}, websearch_to_tsquery('english', :q)) AS rank,
+          word_similarity(:q, name) AS similarity,
+          CASE WHEN isbn = :isbn THEN 1 ELSE 0 END AS exact
+        FROM books
+        WHERE ${Book.SEARCH_DOCUMENT} @@ websearch_to_tsquery('english', :q)
+          OR :q <% name
+          OR isbn = :isbn
+      )
+      SELECT b.id, b.name, b.pages, b.isbn, a.id AS author_id,
+        a.name AS author_name, m.rank + m.similarity + m.exact AS score
+      FROM matches m
+      JOIN books b ON b.id = m.id
+      JOIN authors a ON a.id = b.author_id
+      ORDER BY score DESC, b.name ASC
+      LIMIT :limit
+    `,
+      {
+        replacements: { q, isbn: normalizeIsbn(q), limit },
+        type: sequelize.QueryTypes.SELECT,
+      }
+    );
+
+    const stores = await this.findStockingStores(rows.map((row) => row.id));
+
+    return rows.map((row) => ({
+      type: 'book',
+      id: row.id,
+      name: row.name,
+      pages: row.pages,
+      isbn: row.isbn,
+      author: { id: row.author_id, name: row.author_name },
+      stores: stores.get(row.id) || [],
+      score: this.roundScore(row.score),
+    }));
+  }
+
+  /**
+   * Authors whose name matches, with how many books they have
+   * @param {string} q - Search text
+   * @param {number} limit - Maximum number of authors
+   * @returns {Promise<Array>} - Author results
+   */
+  async searchAuthors(q, limit) {
+    const rows = await sequelize.query(
+      `
+      WITH matches AS (
+        SELECT
+          id,
+          ts_rank(${Author.SEARCH_DOCUMENT}, websearch_to_tsquery('simple', :q)) AS rank,
+          word_similarity(:q, name) AS similarity
+        FROM authors
+        WHERE ${Author.SEARCH_DOCUMENT} @@ websearch_to_tsquery('simple', :q)
+          OR :q <% name
+      )
+      SELECT a.id, a.name,
+        (SELECT COUNT(*) FROM book_authors ba WHERE ba.author_id = a.id)::int AS books,
+        m.rank + m.similarity AS score
+      FROM matches m
+      JOIN authors a ON a.id = m.id
+      ORDER BY score DESC, a.name ASC
+      LIMIT :limit
+    `,
+      { replacements: { q, limit }, type: sequelize.QueryTypes.SELECT }
+    );
+
+    return rows.map((row) => ({
+      type: 'author',
+      id: row.id,
+      name: row.name,
+      books: row.books,
+      score: this.roundScore(row.score),
+    }));
+  }
+
+  /**
+   * Stores whose name or address matches; deleted stores are left out
+   * @param {string} q - Search text
+   * @param {number} limit - Maximum number of stores
+   * @returns {Promise<Array>} - Store results
+   */
+  async searchStores(q, limit) {
+    const rows = await sequelize.query(
+      `
+      SELECT id, name, address,
+        ts_rank(${Store.SEARCH_DOCUMENT}, websearch_to_tsquery('simple', :q))
+          + GREATEST(
+            word_similarity(:q, name),
+            word_similarity(:q, coalesce(address, ''))
+          ) AS score
+      FROM stores
+      WHERE deleted_at IS NULL
+        AND (
+          ${Store.SEARCH_DOCUMENT} @@ websearch_to_tsquery('simple', :q)
+          OR :q <% name
+          OR :q <% address
+        )
+      ORDER BY score DESC, name ASC
+      LIMIT :limit
+    `,
+      { replacements: { q, limit }, type: sequelize.QueryTypes.SELECT }
+    );
+
+    return rows.map((row) => ({
+      type: 'store',
+      id: row.id,
+      name: row.name,
+      address: row.address,
+      score: this.roundScore(row.score),
+    }));
+  }
+
+  /**
+   * Stores (not deleted) stocking each of the given books, cheapest first
+   * @param {Array<number>} bookIds - Book IDs
+   * @returns {Promise<Map>} - Book ID -> [{ id, name, price, copies, sold_out }]
+   */
+  async findStockingStores(bookIds) {
+    const stores = new Map();
+    if (bookIds.length === 0) return stores;
+
+    const rows = await sequelize.query(
+      `
+      SELECT sb.book_id, s.id, s.name, sb.price, sb.copies, sb.sold_out
+      FROM store_books sb
+      JOIN stores s ON s.id = sb.store_id AND s.deleted_at IS NULL
+      WHERE sb.book_id IN (:bookIds)
+      ORDER BY sb.price ASC, s.name ASC
+    `,
+      { replacements: { bookIds }, type: sequelize.QueryTypes.SELECT }
+    );
+
+    for (const row of rows) {
+      if (!stores.has(row.book_id)) stores.set(row.book_id, []);
+      stores.get(row.book_id).push({
+        id: row.id,
+        name: row.name,
+        price: row.price,
+        copies: row.copies,
+        sold_out: row.sold_out,
+      });
+    }
+    return stores;
+  }
+
+  /**
+   * Round a relevance score for display
+   * @param {number|string} score - Raw score
+   * @returns {number} - Score with 4 decimals
+   */
+  roundScore(score) {
+    return Math.round(parseFloat(score) * 10000) / 10000;
+  }
+}
+
+module.exports = new SearchService();
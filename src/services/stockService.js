@@ -0,0 +1,142 @@
+const { Op } = require('sequelize');
+const { Book, StockMovement, StoreBook, sequelize } = require('../models');
+
+class StockService {
+  /**
+   * Sell copies of a book from a store
+   * @param {number} storeId - Store ID
+   * @param {number} bookId - Book ID
+   * @param {Object} sale - { quantity, price, note } - price defaults to the shelf price
+   * @returns {Promise<Object>} - { inventory, movement }
+   */
+  async sell(storeId, bookId, { quantity = 1, price, note } = {}) {
+    return this.move(storeId, bookId, {
+      type: 'sale',
+      quantity,
+      unitPrice: price,
+      note,
+    });
+  }
+
+  /**
+   * Record a stock adjustment (return, damage, transfer out)
+   * @param {number} storeId - Store ID
+   * @param {number} bookId - Book ID
+   * @param {Object} adjustment - { type, quantity, note }
+   * @returns {Promise<Object>} - { inventory, movement }
+   */
+  async adjust(storeId, bookId, { type, quantity, note }) {
+    return this.move(storeId, bookId, { type, quantity, note });
+  }
+
+  /**
+   * Apply a stock movement to a store's inventory row and record it in the
+   * ledger. The row is locked so concurrent sales cannot oversell.
+   * @param {number} storeId - Store ID
+   * @param {number} bookId - Book ID
+   * @param {Object} movement - { type, quantity, unitPrice, price, note, transferId }
+   *   - quantity is a positive number of copies; the type decides the direction.
+   *   price, if given, becomes the store's price for the book.
+   * @param {Object} [options] - { transaction, createPrice } - join an outer
+   *   transaction; with createPrice a missing inventory row is created at that price
+   * @returns {Promise<Object>} - { inventory, movement }
+   */
+  async move(
+    storeId,
+    bookId,
+    { type, quantity, unitPrice, price, note, transferId },
+    { transaction: outer, createPrice } = {}
+  ) {
+    const apply = async (transaction) => {
+      const where = { store_id: storeId, book_id: bookId };
+
+      if (createPrice !== undefined) {
+        await StoreBook.findOrCreate({
+          where,
+          defaults: { price: createPrice, copies: 0, sold_out: true },
+          transaction,
+        });
+      }
+
+      const storeBook = await StoreBook.findOne({
+        where,
+        lock: transaction.LOCK.UPDATE,
+        transaction,
+      });
+
+      if (!storeBook) {
+        const error = new Error(
+          `Book ${bookId} is not in the inventory of store ${storeId}.`
+        );
+        error.statusCode = 404;
+        throw error;
+      }
+
+      const delta = StockMovement.DIRECTIONS[type] * quantity;
+      const copies = storeBook.copies + delta;
+
+      if (copies < 0) {
+        const error = new Error(
+          storeBook.copies === 0
+            ? `Book ${bookId} is sold out at store ${storeId}.`
+            : `Only ${storeBook.copies} ${
+                storeBook.copies === 1 ? 'copy' : 'copies'
+              } of book ${bookId} in stock at store ${storeId}.`
+        );
+        error.statusCode = 409;
+        throw error;
+      }
+
+      const changes = { copies, sold_out: copies === 0 };
+      if (price !== undefined && price !== null) changes.price = price;
+      await storeBook.update(changes, { transaction });
+
+      const movement = await StockMovement.create(
+        {
+          store_id: storeId,
+          book_id: bookId,
+          type,
+          quantity: delta,
+          copies_after: copies,
+          unit_price: unitPrice !== undefined ? unitPrice : storeBook.price,
+          note: note || null,
+          transfer_id: transferId || null,
+        },
+        { transaction }
+      );
+
+      return { inventory: storeBook, movement };
+    };
+
+    return outer ? apply(outer) : sequelize.transaction(apply);
+  }
+
+  /**
+   * List a store's stock movements, newest first
+   * @param {number} storeId - Store ID
+   * @param {Object} filters - { bookId, type, since, limit, offset }
+   * @returns {Promise<{rows: Array, count: number}>} - Movements and total count
+   */
+  async listMovements(
+    storeId,
+    { bookId, type, since, limit = 50, offset = 0 } = {}
+  ) {
+    const where = { store_id: storeId };
+    if (bookId) where.book_id = bookId;
+    if (type) where.type = type;
+    if (since) where.created_at = { [Op.gte]: since };
+
+    return StockMovement.findAndCountAll({
+      where,
+      include: [{ model: Book, as: 'book', attributes: ['id', 'name'] }],
+      order: [
+        ['created_at', 'DESC'],
+        ['id', 'DESC'],
+      ],
+      limit,
+      offset,
+    });
+  }
+}
+
+module.exports = new StockService();
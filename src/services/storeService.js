@@ -0,0 +1,403 @@
+const { Op } = require('sequelize');
+const {
+  Author,
+  Book,
+  Store,
+  StoreBook,
+  InventoryChange,
+  StockMovement,
+  Transfer,
+  sequelize,
+} = require('../models');
+
+// Store details a client can set
+const STORE_ATTRIBUTES = ['name', 'address', 'logo'];
+
+// Pairs suggested by findDuplicates when no threshold is given
+const DEFAULT_DUPLICATE_THRESHOLD = 0.6;
+
+// Inventory sort field -> path of the column through the book and author includes
+const INVENTORY_SORTS = {
+  title: [{ model: Book, as: 'book' }, 'name'],
+  author: [
+    { model: Book, as: 'book' },
+    { model: Author, as: 'author' },
+    'name',
+  ],
+  pages: [{ model: Book, as: 'book' }, 'pages'],
+  price: ['price'],
+  copies: ['copies'],
+  sold_out: ['sold_out'],
+  updated_at: ['updated_at'],
+};
+
+/**
+ * ILIKE pattern matching text anywhere, with LIKE wildcards in it taken literally
+ * @param {string} text - Search text
+ * @returns {string} - Pattern
+ */
+function containsPattern(text) {
+  return `%${text.replace(/[\\%_]/g, '\\$&')}%`;
+}
+
+class StoreService {
+  /**
+   * Fields the inventory of a store can be sorted by
+   * @returns {Array<string>} - Sort field names
+   */
+  get inventorySortFields() {
+    return Object.keys(INVENTORY_SORTS);
+  }
+
+  /**
+   * List stores by name
+   * @param {Object} filters - { search, limit, offset } - search matches name or address
+   * @returns {Promise<{rows: Array, count: number}>} - Stores and total count
+   */
+  async listStores({ search, limit = 50, offset = 0 } = {}) {
+    const where = {};
+    if (search) {
+      const pattern = containsPattern(search);
+      where[Op.or] = [
+        { name: { [Op.iLike]: pattern } },
+        { address: { [Op.iLike]: pattern } },
+      ];
+    }
+
+    return Store.findAndCountAll({
+      where,
+      order: [
+        ['name', 'ASC'],
+        ['id', 'ASC'],
+      ],
+      limit,
+      offset,
+    });
+  }
+
+  /**
+   * List the books a store stocks, with their first credited author
+   * @param {number} storeId - Store ID
+   * @param {Object} filters - { authorId, author, title, minPrice, maxPrice,
+   *   soldOut, minCopies, sort, order, limit, offset }
+   * @returns {Promise<{rows: Array, count: number}>} - StoreBook rows and total count
+   */
+  async listInventory(
+    storeId,
+    {
+      authorId,
+      author,
+      title,
+      minPrice,
+      maxPrice,
+      soldOut,
+      minCopies,
+      sort = 'title',
+      order = 'asc',
+      limit = 50,
+      offset = 0,
+    } = {}
+  ) {
+    const where = { store_id: storeId };
+    if (minPrice !== undefined || maxPrice !== undefined) {
+      where.price = {};
+      if (minPrice !== undefined) where.price[Op.gte] = minPrice;
+      if (maxPrice !== undefined) where.price[Op.lte] = maxPrice;
+    }
+    if (soldOut !== undefined) where.sold_out = soldOut;
+    if (minCopies !== undefined) where.copies = { [Op.gte]: minCopies };
+
+    const bookWhere = {};
+    if (title) bookWhere.name = { [Op.iLike]: containsPattern(title) };
+
+    // Author filters match any credited author, not only the first
+    const creditConditions = [];
+    if (authorId) {
+      creditConditions.push(`ba.author_id = ${sequelize.escape(authorId)}`);
+    }
+    if (author) {
+      creditConditions.push(
+        `a.name ILIKE ${sequelize.escape(containsPattern(author))}`
+      );
+    }
+    if (creditConditions.length > 0) {
+      bookWhere.id = {
+        [Op.in]: sequelize.literal(`(
+          SELECT ba.book_id FROM book_authors ba
+          JOIN authors a ON a.id = ba.author_id
+          WHERE ${creditConditions.join(' AND ')}
+        )`),
+      };
+    }
+
+    const direction = order.toUpperCase() === 'DESC' ? 'DESC' : 'ASC';
+
+    return StoreBook.findAndCountAll({
+      where,
+      attributes: ['price', 'copies', 'sold_out', 'created_at', 'updated_at'],
+      include: [
+        {
+          model: Book,
+          as: 'book',
+          attributes: [
+            'id',
+            'name',
+            'pages',
+            'isbn',
+            'publisher',
+            'publication_year',
+            'language',
+            'genre',
+          ],
+          where: bookWhere,
+          required: true,
+          include: [
+            {
+              model: Author,
+              as: 'author',
+              attributes: ['id', 'name'],
+              required: true,
+            },
+          ],
+        },
+      ],
+      // book_id keeps pages stable when many rows share the sort value
+      order: [
+        [...INVENTORY_SORTS[sort], direction],
+        ['book_id', 'ASC'],
+      ],
+      limit,
+      offset,
+    });
+  }
+
+  /**
+   * Get a single store
+   * @param {number} storeId - Store ID
+   * @param {Object} [options] - { paranoid } - pass false to include deleted stores
+   * @returns {Promise<Object|null>} - Store or null if not found
+   */
+  async getStore(storeId, { paranoid = true } = {}) {
+    return Store.findByPk(storeId, { paranoid });
+  }
+
+  /**
+   * Find the store using a name, deleted stores included since names stay
+   * unique across them
+   * @param {string} name - Store name
+   * @returns {Promise<Object|null>} - Store or null if the name is free
+   */
+  async findByName(name) {
+    return Store.findOne({ where: { name }, paranoid: false });
+  }
+
+  /**
+   * Create a store
+   * @param {Object} data - { name, address, logo }
+   * @returns {Promise<Object>} - Created Store
+   */
+  async createStore(data) {
+    return Store.create(this.toAttributes(data, { replace: true }));
+  }
+
+  /**
+   * Update a store
+   * @param {Object} store - Store instance
+   * @param {Object} data - { name, address, logo }
+   * @param {Object} [options] - { replace } - clear fields left out (PUT)
+   * @returns {Promise<Object>} - Updated Store
+   */
+  async updateStore(store, data, { replace = false } = {}) {
+    return store.update(this.toAttributes(data, { replace }));
+  }
+
+  /**
+   * Soft delete a store. Its inventory, import history and reports are kept.
+   * @param {Object} store - Store instance
+   */
+  async deleteStore(store) {
+    await store.destroy();
+  }
+
+  /**
+   * Bring back a deleted store
+   * @param {Object} store - Store instance (deleted)
+   * @returns {Promise<Object>} - Restored Store
+   */
+  async restoreStore(store) {
+    await store.restore();
+    return store;
+  }
+
+  /**
+   * Suggest pairs of stores that are likely the same shop: names sharing a
+   * name key (see utils/names) score 1, others their trigram similarity.
+   * Deleted stores are left out.
+   * @param {Object} [options] - { threshold, limit }
+   * @returns {Promise<Array>} - [{ score, stores: [{ id, name, address, inventory }, ...] }], most similar first
+   */
+  async findDuplicates({
+    threshold = DEFAULT_DUPLICATE_THRESHOLD,
+    limit = 50,
+  } = {}) {
+    const rows = await sequelize.query(
+      `SELECT p.score,
+              a.id AS a_id, a.name AS a_name, a.address AS a_address,
+              (SELECT CAST(count(*) AS integer) FROM store_books sb
+               WHERE sb.store_id = a.id) AS a_inventory,
+              b.id AS b_id, b.name AS b_name, b.address AS b_address,
+              (SELECT CAST(count(*) AS integer) FROM store_books sb
+               WHERE sb.store_id = b.id) AS b_inventory
+       FROM (
+         SELECT a.id AS a_id, b.id AS b_id,
+                CASE WHEN a.name_key = b.name_key THEN 1
+                     ELSE similarity(a.name, b.name) END AS score
+         FROM stores a
+         JOIN stores b ON b.id > a.id
+          AND (b.name_key = a.name_key OR b.name % a.name)
+         WHERE a.deleted_at IS NULL AND b.deleted_at IS NULL
+       ) p
+       JOIN stores a ON a.id = p.a_id
+       JOIN stores b ON b.id = p.b_id
+       WHERE p.score >= :threshold
+       ORDER BY p.score DESC, a.id ASC, b.id ASC
+       LIMIT :limit`,
+      {
+        replacements: { threshold, limit },
+        type: sequelize.QueryTypes.SELECT,
+      }
+    );
+
+    return rows.map((row) => ({
+      score: Math.round(row.score * 1000) / 1000,
+      stores: ['a', 'b'].map((side) => ({
+        id: row[`${side}_id`],
+        name: row[`${side}_name`],
+        address: row[`${side}_address`],
+        inventory: row[`${side}_inventory`],
+      })),
+    }));
+  }
+
+  /**
+   * Get the stores with the given IDs, deleted stores included
+   * @param {Array<number>} storeIds - Store IDs
+   * @returns {Promise<Array>} - Stores found
+   */
+  async getStores(storeIds) {
+    return Store.findAll({ where: { id: storeIds }, paranoid: false });
+  }
+
+  /**
+   * Merge duplicate stores into one. Copies of books both stock are added
+   * to the target's inventory row, which keeps its price; other inventory
+   * rows, import history, stock movements and transfers move to the target.
+   * Blank address and logo are filled from the duplicates, which are then
+   * removed for good so their names are free again.
+   * @param {Object} target - Store instance kept
+   * @param {Array<Object>} sources - Store instances merged into it
+   * @returns {Promise<Object>} - Summary { merged, combined, moved }
+   * @throws {Error} 409 if a transfer ran between the stores, which would
+   *   become a transfer from the target to itself
+   */
+  async mergeStores(target, sources) {
+    return sequelize.transaction(async (transaction) => {
+      const storeIds = [target.id, ...sources.map((source) => source.id)];
+
+      // Whatever their status, they would become self-transfers
+      const between = await Transfer.findOne({
+        where: { from_store_id: storeIds, to_store_id: storeIds },
+        order: [['id', 'ASC']],
+        transaction,
+      });
+      if (between) {
+        const error = new Error(
+          `Transfer ${between.id} (${between.status}) ran between stores ${between.from_store_id} and ${between.to_store_id}. Stores with transfers between them cannot be merged.`
+        );
+        error.statusCode = 409;
+        throw error;
+      }
+
+      // Keep sales and adjustments out until the inventory has moved
+      await StoreBook.findAll({
+        where: { store_id: storeIds },
+        lock: transaction.LOCK.UPDATE,
+        transaction,
+      });
+
+      const summary = { merged: sources.length, combined: 0, moved: 0 };
+      for (const source of sources) {
+        const replacements = { target: target.id, source: source.id };
+
+        const [, combined] = await sequelize.query(
+          `UPDATE store_books t
+           SET copies = t.copies + s.copies,
+               sold_out = t.copies + s.copies = 0,
+               updated_at = NOW()
+           FROM store_books s
+           WHERE t.book_id = s.book_id AND t.store_id = :target
+             AND s.store_id = :source`,
+          { replacements, transaction }
+        );
+        await sequelize.query(
+          `DELETE FROM store_books s USING store_books t
+           WHERE s.book_id = t.book_id AND s.store_id = :source
+             AND t.store_id = :target`,
+          { replacements, transaction }
+        );
+        const [moved] = await StoreBook.update(
+          { store_id: target.id },
+          { where: { store_id: source.id }, transaction }
+        );
+        summary.combined += combined.rowCount;
+        summary.moved += moved;
+
+        for (const Model of [InventoryChange, StockMovement]) {
+          await Model.update(
+            { store_id: target.id },
+            { where: { store_id: source.id }, transaction }
+          );
+        }
+        await Transfer.update(
+          { from_store_id: target.id },
+          { where: { from_store_id: source.id }, transaction }
+        );
+        await Transfer.update(
+          { to_store_id: target.id },
+          { where: { to_store_id: source.id }, transaction }
+        );
+
+        const details = {};
+        if (!target.address && source.address) details.address = source.address;
+        if (!target.logo && source.logo) details.logo = source.logo;
+        if (Object.keys(details).length > 0) {
+          await target.update(details, { transaction });
+        }
+
+        await source.destroy({ force: true, transaction });
+      }
+
+      return summary;
+    });
+  }
+
+  /**
+   * Pick store attributes from a request body
+   * @param {Object} data - Request body
+   * @param {Object} options - { replace } - set fields left out to null
+   * @returns {Object} - Model attributes
+   */
+  toAttributes(data, { replace }) {
+    const attributes = {};
+    for (const field of STORE_ATTRIBUTES) {
+      if (data[field] !== undefined) {
+        attributes[field] = data[field];
+      } else if (replace && field !== 'name') {
+        attributes[field] = null;
+      }
+    }
+    return attributes;
+  }
+}
+
+module.exports = new StoreService();
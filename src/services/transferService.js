@@ -0,0 +1,294 @@
+const { Op } = require('sequelize');
+const { Book, Store, Transfer, TransferItem, sequelize } = require('../models');
+const stockService = require('./stockService');
+
+// Statuses a transfer can move on from
+const OPEN_STATUSES = ['pending', 'in-transit'];
+
+class TransferService {
+  /**
+   * List transfers, newest first
+   * @param {Object} filters - { storeId, status, limit, offset } - storeId
+   *   matches either the source or the destination
+   * @returns {Promise<{rows: Array, count: number}>} - Transfers and total count
+   */
+  async listTransfers({ storeId, status, limit = 50, offset = 0 } = {}) {
+    const where = {};
+    if (storeId) {
+      where[Op.or] = [{ from_store_id: storeId }, { to_store_id: storeId }];
+    }
+    if (status) where.status = status;
+
+    return Transfer.findAndCountAll({
+      where,
+      include: this.storeIncludes(),
+      order: [
+        ['created_at', 'DESC'],
+        ['id', 'DESC'],
+      ],
+      limit,
+      offset,
+    });
+  }
+
+  /**
+   * Get a transfer with its stores and items
+   * @param {number} transferId - Transfer ID
+   * @param {Object} [options] - { transaction }
+   * @returns {Promise<Object|null>} - Transfer or null if not found
+   */
+  async getTransfer(transferId, { transaction } = {}) {
+    return Transfer.findByPk(transferId, {
+      include: [
+        ...this.storeIncludes(),
+        {
+          model: TransferItem,
+          as: 'items',
+          attributes: ['book_id', 'quantity', 'price', 'source_price'],
+          include: [{ model: Book, as: 'book', attributes: ['id', 'name'] }],
+        },
+      ],
+      order: [[{ model: TransferItem, as: 'items' }, 'book_id', 'ASC']],
+      transaction,
+    });
+  }
+
+  /**
+   * Store names for transfer listings; deleted stores are still shown
+   * @returns {Array} - Sequelize includes
+   */
+  storeIncludes() {
+    return ['fromStore', 'toStore'].map((as) => ({
+      model: Store,
+      as,
+      attributes: ['id', 'name'],
+      paranoid: false,
+    }));
+  }
+
+  /**
+   * Create a transfer. Copies leave the source once the transfer is
+   * in transit and reach the destination once it is received; asking for
+   * either status here does that in the same transaction.
+   * @param {Object} data - { fromStoreId, toStoreId, items: [{ bookId, quantity, price }],
+   *   note, status } - status is pending, in-transit (default) or received
+   * @returns {Promise<Object>} - Created Transfer with its stores and items
+   */
+  async createTransfer({
+    fromStoreId,
+    toStoreId,
+    items,
+    note,
+    status = 'in-transit',
+  }) {
+    const transferId = await sequelize.transaction(async (transaction) => {
+      const transfer = await Transfer.create(
+        {
+          from_store_id: fromStoreId,
+          to_store_id: toStoreId,
+          note: note || null,
+        },
+        { transaction }
+      );
+
+      await TransferItem.bulkCreate(
+        items.map((item) => ({
+          transfer_id: transfer.id,
+          book_id: item.bookId,
+          quantity: item.quantity,
+          price: item.price !== undefined ? item.price : null,
+        })),
+        { transaction }
+      );
+
+      if (status !== 'pending') await this.ship(transfer, transaction);
+      if (status === 'received') await this.receive(transfer, transaction);
+
+      return transfer.id;
+    });
+
+    return this.getTransfer(transferId);
+  }
+
+  /**
+   * Ship a pending transfer: take its copies out of the source store
+   * @param {Object} transfer - Transfer instance
+   * @returns {Promise<Object>} - Updated Transfer with its stores and items
+   */
+  async shipTransfer(transfer) {
+    return this.advance(transfer, ['pending'], (locked, transaction) =>
+      this.ship(locked, transaction)
+    );
+  }
+
+  /**
+   * Receive a transfer: add its copies to the destination store, shipping
+   * them first if it is still pending
+   * @param {Object} transfer - Transfer instance
+   * @returns {Promise<Object>} - Updated Transfer with its stores and items
+   */
+  async receiveTransfer(transfer) {
+    return this.advance(
+      transfer,
+      OPEN_STATUSES,
+      async (locked, transaction) => {
+        if (locked.status === 'pending') await this.ship(locked, transaction);
+        await this.receive(locked, transaction);
+      }
+    );
+  }
+
+  /**
+   * Cancel a transfer that has not been received. Copies already shipped
+   * go back to the source store.
+   * @param {Object} transfer - Transfer instance
+   * @returns {Promise<Object>} - Updated Transfer with its stores and items
+   */
+  async cancelTransfer(transfer) {
+    return this.advance(
+      transfer,
+      OPEN_STATUSES,
+      async (locked, transaction) => {
+        if (locked.status === 'in-transit') {
+          for (const item of await this.getItems(locked, transaction)) {
+            await stockService.move(
+              locked.from_store_id,
+              item.book_id,
+              {
+                type: 'transfer-in',
+                quantity: item.quantity,
+                note: `Transfer ${locked.id} cancelled`,
+                transferId: locked.id,
+              },
+              { transaction, createPrice: item.source_price }
+            );
+          }
+        }
+
+        await locked.update(
+          { status: 'cancelled', cancelled_at: new Date() },
+          { transaction }
+        );
+      }
+    );
+  }
+
+  /**
+   * Lock a transfer, check it is in one of the given statuses and apply a step
+   * @param {Object} transfer - Transfer instance
+   * @param {Array<string>} from - Statuses the step applies to
+   * @param {Function} step - (lockedTransfer, transaction) => Promise
+   * @returns {Promise<Object>} - Updated Transfer with its stores and items
+   */
+  async advance(transfer, from, step) {
+    await sequelize.transaction(async (transaction) => {
+      // Lock the transfer so concurrent requests cannot both apply
+      const locked = await Transfer.findByPk(transfer.id, {
+        lock: transaction.LOCK.UPDATE,
+        transaction,
+      });
+
+      if (!from.includes(locked.status)) {
+        const error = new Error(
+          `Transfer ${transfer.id} is ${locked.status}; only ${from.join(
+            ' or '
+          )} transfers can do that.`
+        );
+        error.statusCode = 409;
+        throw error;
+      }
+
+      await step(locked, transaction);
+    });
+
+    return this.getTransfer(transfer.id);
+  }
+
+  /**
+   * Take a transfer's copies out of the source store and remember the
+   * source price of each book
+   * @param {Object} transfer - Transfer instance
+   * @param {Object} transaction - Sequelize transaction
+   */
+  async ship(transfer, transaction) {
+    for (const item of await this.getItems(transfer, transaction)) {
+      const { movement } = await stockService.move(
+        transfer.from_store_id,
+        item.book_id,
+        {
+          type: 'transfer-out',
+          quantity: item.quantity,
+          note: `Transfer ${transfer.id} to store ${transfer.to_store_id}`,
+          transferId: transfer.id,
+        },
+        { transaction }
+      );
+      await item.update({ source_price: movement.unit_price }, { transaction });
+    }
+
+    await transfer.update(
+      { status: 'in-transit', shipped_at: new Date() },
+      { transaction }
+    );
+  }
+
+  /**
+   * Add a transfer's copies to the destination store. A book new to the
+   * destination gets the item's price, or the source price if none was
+   * given; a book it already stocks only changes price if the item sets one.
+   * @param {Object} transfer - Transfer instance
+   * @param {Object} transaction - Sequelize transaction
+   */
+  async receive(transfer, transaction) {
+    const destination = await Store.findByPk(transfer.to_store_id, {
+      transaction,
+    });
+    if (!destination) {
+      const error = new Error(
+        `Destination store ${transfer.to_store_id} has been deleted. Restore it or cancel the transfer.`
+      );
+      error.statusCode = 409;
+      throw error;
+    }
+
+    for (const item of await this.getItems(transfer, transaction)) {
+      await stockService.move(
+        transfer.to_store_id,
+        item.book_id,
+        {
+          type: 'transfer-in',
+          quantity: item.quantity,
+          price: item.price,
+          note: `Transfer ${transfer.id} from store ${transfer.from_store_id}`,
+          transferId: transfer.id,
+        },
+        {
+          transaction,
+          createPrice: item.price !== null ? item.price : item.source_price,
+        }
+      );
+    }
+
+    await transfer.update(
+      { status: 'received', received_at: new Date() },
+      { transaction }
+    );
+  }
+
+  /**
+   * Items of a transfer in book order, so concurrent transfers lock
+   * inventory rows in the same order
+   * @param {Object} transfer - Transfer instance
+   * @param {Object} transaction - Sequelize transaction
+   * @returns {Promise<Array>} - TransferItem instances
+   */
+  async getItems(transfer, transaction) {
+    return TransferItem.findAll({
+      where: { transfer_id: transfer.id },
+      order: [['book_id', 'ASC']],
+      transaction,
+    });
+  }
+}
+
+module.exports = new TransferService();
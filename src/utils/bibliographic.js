@@ -0,0 +1,119 @@
+/**
+ * Normalization for bibliographic book details shared by the API, the
+ * importer and the book models.
+ * ISBNs are stored as 13 digits; ISBN-10s are converted with the 978 prefix.
+ */
+
+/**
+ * Check digit of the first 12 digits of an ISBN-13
+ * @param {string} digits - 12 digits
+ * @returns {string} - Check digit
+ */
+function isbn13CheckDigit(digits) {
+  let sum = 0;
+  for (let i = 0; i < 12; i++) {
+    sum += Number(digits[i]) * (i % 2 === 0 ? 1 : 3);
+  }
+  return String((10 - (sum % 10)) % 10);
+}
+
+/**
+ * Whether an ISBN-10 (digits, X allowed as the check digit) has a valid checksum
+ * @param {string} isbn - 10 characters
+ * @returns {boolean}
+ */
+function isValidIsbn10(isbn) {
+  let sum = 0;
+  for (let i = 0; i < 10; i++) {
+    const digit = isbn[i] === 'X' ? 10 : Number(isbn[i]);
+    sum += digit * (10 - i);
+  }
+  return sum % 11 === 0;
+}
+
+/**
+ * Normalize an ISBN-10 or ISBN-13 to 13 digits.
+ * Hyphens and spaces are ignored and a lowercase x check digit is accepted.
+ * @param {string|number} value - ISBN as written
+ * @returns {string|null} - 13-digit ISBN, or null if it is not a valid ISBN
+ */
+function normalizeIsbn(value) {
+  if (value === null || value === undefined) return null;
+  const isbn = String(value).replace(/[\s-]/g, '').toUpperCase();
+
+  if (/^\d{9}[\dX]$/.test(isbn)) {
+    if (!isValidIsbn10(isbn)) return null;
+    const prefixed = `978${isbn.slice(0, 9)}`;
+    return prefixed + isbn13CheckDigit(prefixed);
+  }
+
+  if (/^97[89]\d{10}$/.test(isbn)) {
+    return isbn13CheckDigit(isbn) === isbn[12] ? isbn : null;
+  }
+
+  return null;
+}
+
+/**
+ * Canonical form of a BCP 47 language tag ("EN-us" becomes "en-US")
+ * @param {string} value - Language tag
+ * @returns {string|null} - Canonical tag, or null if it is not a valid tag
+ */
+function normalizeLanguage(value) {
+  if (typeof value !== 'string' || !value.trim()) return null;
+  try {
+    return Intl.getCanonicalLocales(value.trim())[0];
+  } catch (error) {
+    return null;
+  }
+}
+
+/**
+ * Latest publication year accepted; books are announced ahead of release
+ * @returns {number}
+ */
+function maxPublicationYear() {
+  return new Date().getFullYear() + 1;
+}
+
+// Earliest publication year accepted
+const MIN_PUBLICATION_YEAR = 1450;
+
+// What an author did for a book
+const AUTHOR_ROLES = ['author', 'editor', 'translator'];
+
+/**
+ * Split the authors of a book as written in an import file.
+ * Authors are separated by semicolons and may be followed by their role in
+ * parentheses: "Terry Pratchett; Neil Gaiman" or "Ann Lee (editor); Bo Chen
+ * (translator)". Parentheses holding anything but a role stay in the name.
+ * @param {string} value - author_name column
+ * @returns {Array<Object>} - [{ name, role }] in order, each name once
+ */
+function parseAuthorCredits(value) {
+  const credits = [];
+  for (const part of String(value).split(';')) {
+    let name = part.trim();
+    let role = 'author';
+
+    const match = name.match(/^(.*?)\s*\(\s*([a-z]+)\s*\)$/i);
+    if (match && match[1] && AUTHOR_ROLES.includes(match[2].toLowerCase())) {
+      name = match[1];
+      role = match[2].toLowerCase();
+    }
+
+    if (name && !credits.some((credit) => credit.name === name)) {
+      credits.push({ name, role });
+    }
+  }
+  return credits;
+}
+
+module.exports = {
+  normalizeIsbn,
+  normalizeLanguage,
+  maxPublicationYear,
+  MIN_PUBLICATION_YEAR,
+  AUTHOR_ROLES,
+  parseAuthorCredits,
+};
@@ -0,0 +1,62 @@
+/**
+ * CSV writing shared by the import error report and the exports.
+ * Cells are quoted only when they need it, and text a spreadsheet would run
+ * as a formula is prefixed with a quote, which the importer strips again, so
+ * files read back through the importer unchanged.
+ */
+
+// Leading characters that make spreadsheets read a cell as a formula. Text
+// that has quotes before them is escaped too, so unescaping gives it back
+const FORMULA_PREFIX = /^'*[=+\-@\t\r]/;
+
+/**
+ * Prefix text a spreadsheet would run as a formula with a quote, so it is
+ * shown as written. Numbers are left alone.
+ * @param {*} value - Cell value
+ * @returns {*} - The value, escaped if it is formula text
+ */
+function escapeFormula(value) {
+  return typeof value === 'string' && FORMULA_PREFIX.test(value)
+    ? `'${value}`
+    : value;
+}
+
+/**
+ * Undo escapeFormula on a value read back from a file
+ * @param {string} value - Cell text
+ * @returns {string} - The text without the quote added before formula text
+ */
+function unescapeFormula(value) {
+  return value.startsWith("'") && FORMULA_PREFIX.test(value.slice(1))
+    ? value.slice(1)
+    : value;
+}
+
+/**
+ * Quote a value for a CSV cell when it needs it, escaping formula text
+ * @param {*} value - Cell value
+ * @returns {string} - CSV-safe cell
+ */
+function csvCell(value) {
+  if (value === null || value === undefined) return '';
+  const text =
+    typeof value === 'object'
+      ? JSON.stringify(value)
+      : String(escapeFormula(value));
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+/**
+ * Write one CSV line
+ * @param {Array} cells - Cell values
+ * @returns {string} - Line ending in a newline
+ */
+function csvLine(cells) {
+  return `${cells.map(csvCell).join(',')}\n`;
+}
+
+module.exports = {
+  csvCell,
+  csvLine,
+  unescapeFormula,
+};
@@ -0,0 +1,65 @@
+/**
+ * Stable, machine-readable codes for rows an import rejects.
+ * Codes are part of the API (job results and error report CSV); add new
+ * ones rather than renaming existing ones.
+ */
+const IMPORT_ERROR_CODES = {
+  // Rejected by the parser worker
+  MISSING_REQUIRED_FIELDS: 'MISSING_REQUIRED_FIELDS',
+  INVALID_PRICE: 'INVALID_PRICE',
+  INVALID_PAGES: 'INVALID_PAGES',
+  INVALID_COPIES: 'INVALID_COPIES',
+  INVALID_ISBN: 'INVALID_ISBN',
+  INVALID_YEAR: 'INVALID_YEAR',
+  INVALID_LANGUAGE: 'INVALID_LANGUAGE',
+  INVALID_JSON: 'INVALID_JSON',
+  INVALID_RECORD: 'INVALID_RECORD',
+  // Rejected while writing to the database. ISBN_CONFLICT is no longer
+  // raised (another ISBN for a title is a new edition) but stays in past jobs.
+  ISBN_CONFLICT: 'ISBN_CONFLICT',
+  VALIDATION_FAILED: 'VALIDATION_FAILED',
+  CONSTRAINT_VIOLATION: 'CONSTRAINT_VIOLATION',
+  DATABASE_ERROR: 'DATABASE_ERROR',
+  PROCESSING_FAILED: 'PROCESSING_FAILED',
+};
+
+const KNOWN_CODES = new Set(Object.values(IMPORT_ERROR_CODES));
+
+/**
+ * Create an error for a row, tagged with its import error code
+ * @param {string} code - One of IMPORT_ERROR_CODES
+ * @param {string} message - Human readable description
+ * @returns {Error} - Error with an `importErrorCode` property
+ */
+function createImportError(code, message) {
+  const error = new Error(message);
+  error.importErrorCode = code;
+  return error;
+}
+
+/**
+ * Work out the code for an error thrown while importing a row
+ * @param {Error} error - Error thrown by processRow
+ * @returns {string} - Import error code
+ */
+function classifyImportError(error) {
+  if (KNOWN_CODES.has(error.importErrorCode)) return error.importErrorCode;
+
+  switch (error.name) {
+    case 'SequelizeValidationError':
+      return IMPORT_ERROR_CODES.VALIDATION_FAILED;
+    case 'SequelizeUniqueConstraintError':
+    case 'SequelizeForeignKeyConstraintError':
+      return IMPORT_ERROR_CODES.CONSTRAINT_VIOLATION;
+    case 'SequelizeDatabaseError':
+      return IMPORT_ERROR_CODES.DATABASE_ERROR;
+    default:
+      return IMPORT_ERROR_CODES.PROCESSING_FAILED;
+  }
+}
+
+module.exports = {
+  IMPORT_ERROR_CODES,
+  createImportError,
+  classifyImportError,
+};
@@ -0,0 +1,23 @@
+/**
+ * Name keys for spotting differently written names of the same author or
+ * store. Case, accents, whitespace and punctuation are ignored, so
+ * "J.R.R. Tolkien" and "J. R. R. Tolkien", or "BookWorld" and "Book World",
+ * share a key.
+ */
+
+/**
+ * Fold a name to its key
+ * @param {string} name - Author or store name
+ * @returns {string|null} - Key, or null if the name has no letters or digits
+ */
+function nameKey(name) {
+  if (typeof name !== 'string') return null;
+  const key = name
+    .normalize('NFKD')
+    .replace(/\p{M}/gu, '')
+    .toLowerCase()
+    .replace(/[^\p{L}\p{N}]/gu, '');
+  return key || null;
+}
+
+module.exports = { nameKey };
@@ -0,0 +1,293 @@
+/**
+ * Store report definitions: which sections a report has, how many rows each
+ * shows and which inventory they look at. Definitions come from report
+ * templates or from the download-report query and are checked here for both.
+ *
+ * {
+ *   "filters": { "genre": "Fantasy" },
+ *   "sections": [
+ *     { "type": "priciest", "limit": 10 },
+ *     { "type": "low-stock", "threshold": 3, "filters": { "maxPrice": 20 } }
+ *   ]
+ * }
+ *
+ * Report-wide filters apply to every section; a section's own filters
+ * override them field by field, and null clears one.
+ */
+
+const { normalizeLanguage } = require('./bibliographic');
+
+// Sections a report can include, in the order they are documented
+const REPORT_SECTION_TYPES = [
+  'valuation',
+  'priciest',
+  'cheapest',
+  'most-copies',
+  'sold-out',
+  'low-stock',
+  'newest',
+  'prolific-authors',
+  'value-by-author',
+];
+
+// Filters narrowing the inventory a section looks at
+const REPORT_FILTERS = [
+  'genre',
+  'language',
+  'authorId',
+  'minPrice',
+  'maxPrice',
+];
+
+const DEFAULT_SECTION_LIMIT = 5;
+const MAX_SECTION_LIMIT = 100;
+const MAX_SECTIONS = 20;
+
+// Copies at or below which a book in stock counts as low (low-stock section)
+const DEFAULT_LOW_STOCK_THRESHOLD = 5;
+
+// Report downloaded without a template or sections
+const DEFAULT_REPORT_DEFINITION = {
+  sections: [
+    { type: 'valuation' },
+    { type: 'priciest' },
+    { type: 'prolific-authors' },
+  ],
+};
+
+/**
+ * Error for an invalid definition; the message says what is wrong
+ * @param {string} message - Problem found
+ * @returns {Error}
+ */
+function definitionError(message) {
+  const error = new Error(message);
+  error.statusCode = 400;
+  return error;
+}
+
+/**
+ * Whether a value is a plain object
+ * @param {*} value
+ * @returns {boolean}
+ */
+function isObject(value) {
+  return Boolean(value) && typeof value === 'object' && !Array.isArray(value);
+}
+
+/**
+ * Check report filters and put them in canonical form
+ * @param {Object} filters - Filters as given
+ * @param {string} [where] - Where they were given, for error messages
+ * @returns {Object} - Filters with the language canonical and numbers parsed
+ * @throws {Error} if a filter is unknown or invalid
+ */
+function normalizeReportFilters(filters, where = 'the report') {
+  if (filters === null || filters === undefined) return {};
+  if (!isObject(filters)) {
+    throw definitionError(`${where} filters must be an object`);
+  }
+
+  const normalized = {};
+  for (const [field, value] of Object.entries(filters)) {
+    if (!REPORT_FILTERS.includes(field)) {
+      throw definitionError(
+        `Unknown filter "${field}" in ${where}. Expected one of: ${REPORT_FILTERS.join(
+          ', '
+        )}`
+      );
+    }
+    // An empty value clears a filter the report sets for a section
+    if (value === null || value === undefined || value === '') {
+      normalized[field] = undefined;
+      continue;
+    }
+
+    switch (field) {
+      case 'genre':
+        if (typeof value !== 'string' || value.length > 100) {
+          throw definitionError(
+            `Genre filter in ${where} must be at most 100 characters`
+          );
+        }
+        normalized.genre = value;
+        break;
+      case 'language':
+        normalized.language = normalizeLanguage(value);
+        if (!normalized.language) {
+          throw definitionError(
+            `Language filter in ${where} must be a BCP 47 language tag`
+          );
+        }
+        break;
+      case 'authorId':
+        if (!/^\d+$/.test(String(value)) || Number(value) < 1) {
+          throw definitionError(
+            `authorId filter in ${where} must be a positive integer`
+          );
+        }
+        normalized.authorId = Number(value);
+        break;
+      default: {
+        const price = Number(value);
+        if (
+          typeof value === 'boolean' ||
+          !Number.isFinite(price) ||
+          price < 0
+        ) {
+          throw definitionError(
+            `${field} filter in ${where} must be a non-negative number`
+          );
+        }
+        normalized[field] = price;
+      }
+    }
+  }
+
+  if (
+    normalized.minPrice !== undefined &&
+    normalized.maxPrice !== undefined &&
+    normalized.minPrice > normalized.maxPrice
+  ) {
+    throw definitionError(
+      `minPrice cannot be greater than maxPrice in ${where}`
+    );
+  }
+  return normalized;
+}
+
+/**
+ * Check a whole number option of a section
+ * @returns {number} - The value, or the default if it was left out
+ */
+function sectionNumber(section, field, { min, max, fallback }, where) {
+  const value = section[field];
+  if (value === undefined || value === null) return fallback;
+  if (!Number.isInteger(value) || value < min || value > max) {
+    throw definitionError(
+      `${field} of ${where} must be a whole number from ${min} to ${max}`
+    );
+  }
+  return value;
+}
+
+/**
+ * Check a report definition and fill in its defaults
+ * @param {Object} definition - Definition as given
+ * @returns {Object} - { sections: [{ type, title, limit, threshold, filters }] }
+ *   with report-wide filters merged into each section
+ * @throws {Error} 400 describing the first problem found
+ */
+function normalizeReportDefinition(definition) {
+  if (!isObject(definition)) {
+    throw definitionError('Report definition must be an object');
+  }
+  for (const field of Object.keys(definition)) {
+    if (!['filters', 'sections'].includes(field)) {
+      throw definitionError(
+        `Unknown report definition field "${field}". Expected filters or sections`
+      );
+    }
+  }
+
+  const { sections } = definition;
+  if (
+    !Array.isArray(sections) ||
+    sections.length === 0 ||
+    sections.length > MAX_SECTIONS
+  ) {
+    throw definitionError(
+      `sections must be a list of 1 to ${MAX_SECTIONS} report sections`
+    );
+  }
+
+  const filters = normalizeReportFilters(definition.filters, 'the report');
+
+  return {
+    sections: sections.map((section, i) => {
+      const where = `section ${i + 1}`;
+      if (!isObject(section)) {
+        throw definitionError(`${where} must be an object`);
+      }
+      if (!REPORT_SECTION_TYPES.includes(section.type)) {
+        throw definitionError(
+          `type of ${where} must be one of: ${REPORT_SECTION_TYPES.join(', ')}`
+        );
+      }
+      if (
+        section.title !== undefined &&
+        section.title !== null &&
+        (typeof section.title !== 'string' || section.title.length > 100)
+      ) {
+        throw definitionError(
+          `title of ${where} must be at most 100 characters`
+        );
+      }
+
+      const normalized = {
+        type: section.type,
+        title: section.title || null,
+        limit: sectionNumber(
+          section,
+          'limit',
+          { min: 1, max: MAX_SECTION_LIMIT, fallback: DEFAULT_SECTION_LIMIT },
+          where
+        ),
+        filters: {
+          ...filters,
+          ...normalizeReportFilters(section.filters, where),
+        },
+      };
+      if (section.type === 'low-stock') {
+        normalized.threshold = sectionNumber(
+          section,
+          'threshold',
+          {
+            min: 1,
+            max: 1000000,
+            fallback: DEFAULT_LOW_STOCK_THRESHOLD,
+          },
+          where
+        );
+      }
+      return normalized;
+    }),
+  };
+}
+
+/**
+ * Read the sections query parameter of the download-report endpoint, a
+ * comma-separated list of section types each optionally followed by its
+ * number of rows: "priciest:10,sold-out,value-by-author:20"
+ * @param {string} value - Query value
+ * @returns {Array<Object>} - [{ type, limit }]
+ * @throws {Error} 400 if an entry is not a known section
+ */
+function parseSectionList(value) {
+  return String(value)
+    .split(',')
+    .map((entry) => entry.trim())
+    .filter(Boolean)
+    .map((entry) => {
+      const match = entry.match(/^([a-z-]+)(?::(\d+))?$/);
+      if (!match || !REPORT_SECTION_TYPES.includes(match[1])) {
+        throw definitionError(
+          `Unknown report section "${entry}". Expected one of: ${REPORT_SECTION_TYPES.join(
+            ', '
+          )}, optionally followed by :N`
+        );
+      }
+      const section = { type: match[1] };
+      if (match[2]) section.limit = parseInt(match[2], 10);
+      return section;
+    });
+}
+
+module.exports = {
+  REPORT_SECTION_TYPES,
+  REPORT_FILTERS,
+  DEFAULT_REPORT_DEFINITION,
+  normalizeReportFilters,
+  normalizeReportDefinition,
+  parseSectionList,
+};
@@ -1,47 +1,126 @@
 /**
- * Piscina Worker for parsing CSV files
- * Offloads CPU-intensive CSV parsing to thread pool
+ * Piscina Worker for parsing inventory files (CSV, XLSX, JSON, NDJSON)
+ * Offloads CPU-intensive parsing to thread pool
  */
-const csv = require('csv-parser');
-const { Readable } = require('stream');
+const { readRows } = require('./rowReaders');
+const { IMPORT_ERROR_CODES } = require('../utils/importErrors');
+const { unescapeFormula } = require('../utils/csv');
+const {
+  normalizeIsbn,
+  normalizeLanguage,
+  maxPublicationYear,
+  MIN_PUBLICATION_YEAR,
+  parseAuthorCredits,
+} = require('../utils/bibliographic');
+
+// Columns read as numbers, normalized from the profile's number locale
+const NUMERIC_FIELDS = ['price', 'pages', 'copies', 'quantity'];
 
 /**
- * Parse CSV buffer into array of row objects
- * @param {string} csvString - CSV file content as string
- * @returns {Promise<Array>} - Array of parsed rows
+ * Normalize a header to our column naming (lowercase, underscores)
+ * @param {string} header - Header as written in the file
+ * @returns {string} - Normalized header
  */
-function parseCSV(csvString) {
-  return new Promise((resolve, reject) => {
-    const rows = [];
-    const stream = Readable.from(csvString);
-
-    stream
-      .pipe(
-        csv({
-          mapHeaders: ({ header }) =>
-            header.trim().toLowerCase().replace(/\s+/g, '_'),
-          mapValues: ({ value }) => value.trim(),
-        })
-      )
-      .on('data', (row) => rows.push(row))
-      .on('end', () => resolve(rows))
-      .on('error', (error) => reject(error));
-  });
+function normalizeHeader(header) {
+  return header.trim().toLowerCase().replace(/\s+/g, '_');
+}
+
+/**
+ * Build a lookup from normalized supplier headers to import fields
+ * @param {Object} headerAliases - { field: [alias, ...] }
+ * @returns {Map} - normalized alias -> field
+ */
+function buildAliasLookup(headerAliases = {}) {
+  const lookup = new Map();
+  for (const [field, aliases] of Object.entries(headerAliases)) {
+    for (const alias of aliases) {
+      lookup.set(normalizeHeader(alias), field);
+    }
+  }
+  return lookup;
+}
+
+/**
+ * Build a function converting locale-formatted numbers to plain notation
+ * ("1.234,56" in de-DE becomes "1234.56"). Values are left as text so row
+ * validation reports them unchanged when they are not numbers.
+ * @param {string} [locale] - BCP 47 locale, or nothing for plain numbers
+ * @returns {Function} - value -> normalized value
+ */
+function createNumberNormalizer(locale) {
+  if (!locale) return (value) => value;
+
+  const parts = new Intl.NumberFormat(locale).formatToParts(12345.6);
+  const group = parts.find((p) => p.type === 'group');
+  const decimal = parts.find((p) => p.type === 'decimal');
+
+  return (value) => {
+    let normalized = value;
+    if (group) {
+      normalized = normalized.split(group.value).join('');
+      // Locales grouping with (narrow) no-break spaces are often typed with plain ones
+      if (/\s/.test(group.value)) normalized = normalized.replace(/\s/g, '');
+    }
+    if (decimal && decimal.value !== '.') {
+      normalized = normalized.replace(decimal.value, '.');
+    }
+    return normalized;
+  };
+}
+
+/**
+ * Map a record read from the file onto import fields.
+ * Headers are normalized and resolved through the profile's aliases; values
+ * become trimmed text, with numbers typed as text in the file converted from
+ * the profile's number locale. The quote our exports and error reports put
+ * before formula text is removed.
+ * @param {Object} record - Row keyed by the file's own headers
+ * @param {Object} context - { aliases, normalizeNumber }
+ * @returns {Object} - Row keyed by import field
+ */
+function normalizeRecord(record, { aliases, normalizeNumber }) {
+  const row = {};
+  for (const [header, value] of Object.entries(record)) {
+    const normalized = normalizeHeader(header);
+    const field = aliases.get(normalized) || normalized;
+
+    if (value === null || value === undefined) {
+      row[field] = '';
+    } else if (typeof value === 'string') {
+      const trimmed = unescapeFormula(value).trim();
+      row[field] =
+        NUMERIC_FIELDS.includes(field) && trimmed
+          ? normalizeNumber(trimmed)
+          : trimmed;
+    } else if (value instanceof Date) {
+      row[field] = value.toISOString();
+    } else if (typeof value === 'object') {
+      row[field] = JSON.stringify(value);
+    } else {
+      row[field] = String(value);
+    }
+  }
+  return row;
 }
 
 /**
- * Validate a CSV row has required fields
- * @param {Object} row - CSV row to validate
+ * Validate a row has required fields
+ * @param {Object} row - Normalized row to validate
  * @param {number} rowNumber - Row number for error messages
- * @returns {Object} - { valid: boolean, error?: string }
+ * @returns {Object} - { valid: boolean, code?: string, error?: string }
  */
 function validateRow(row, rowNumber) {
   const requiredFields = ['store_name', 'book_name', 'author_name', 'price'];
   const missingFields = requiredFields.filter((field) => !row[field]);
+  // author_name may list several authors but must name at least one
+  if (row.author_name && parseAuthorCredits(row.author_name).length === 0) {
+    missingFields.push('author_name');
+  }
 
   if (missingFields.length > 0) {
     return {
       valid: false,
+      code: IMPORT_ERROR_CODES.MISSING_REQUIRED_FIELDS,
       error: `Row ${rowNumber}: Missing required fields: ${missingFields.join(
         ', '
       )}`,
@@ -53,6 +132,7 @@ function validateRow(row, rowNumber) {
   if (isNaN(price)) {
     return {
       valid: false,
+      code: IMPORT_ERROR_CODES.INVALID_PRICE,
       error: `Row ${rowNumber}: Invalid price value: ${row.price}`,
     };
   }
@@ -63,50 +143,151 @@ function validateRow(row, rowNumber) {
     if (isNaN(pages) || pages < 1) {
       return {
         valid: false,
+        code: IMPORT_ERROR_CODES.INVALID_PAGES,
         error: `Row ${rowNumber}: Invalid pages value: ${row.pages}`,
       };
     }
   }
 
+  // Validate quantity if provided (copies, or quantity as an alias)
+  const copies = row.copies || row.quantity;
+  if (copies && !/^\d+$/.test(copies)) {
+    return {
+      valid: false,
+      code: IMPORT_ERROR_CODES.INVALID_COPIES,
+      error: `Row ${rowNumber}: Invalid copies value: ${copies}`,
+    };
+  }
+
+  // Validate bibliographic details if provided
+  if (row.isbn && !normalizeIsbn(row.isbn)) {
+    return {
+      valid: false,
+      code: IMPORT_ERROR_CODES.INVALID_ISBN,
+      error: `Row ${rowNumber}: Invalid ISBN: ${row.isbn}`,
+    };
+  }
+
+  if (row.publication_year) {
+    const year = Number(row.publication_year);
+    if (
+      !Number.isInteger(year) ||
+      year < MIN_PUBLICATION_YEAR ||
+      year > maxPublicationYear()
+    ) {
+      return {
+        valid: false,
+        code: IMPORT_ERROR_CODES.INVALID_YEAR,
+        error: `Row ${rowNumber}: Invalid publication year: ${row.publication_year}`,
+      };
+    }
+  }
+
+  if (row.language && !normalizeLanguage(row.language)) {
+    return {
+      valid: false,
+      code: IMPORT_ERROR_CODES.INVALID_LANGUAGE,
+      error: `Row ${rowNumber}: Invalid language: ${row.language}`,
+    };
+  }
+
   return { valid: true };
 }
 
+/**
+ * Wait for the main thread to acknowledge a chunk
+ * @param {MessagePort} port - Port shared with the main thread
+ * @returns {Promise<boolean>} - false if the main thread stopped listening
+ */
+function waitForAck(port) {
+  return new Promise((resolve) => {
+    const onMessage = () => {
+      port.off('close', onClose);
+      resolve(true);
+    };
+    const onClose = () => {
+      port.off('message', onMessage);
+      resolve(false);
+    };
+    port.once('message', onMessage);
+    port.once('close', onClose);
+  });
+}
+
 /**
  * Main worker function - exported for Piscina
- * @param {Object} param0 - Worker data containing csvString
- * @returns {Promise<Object>} - Parsed and validated results
+ *
+ * Streams the file in its format (`parseOptions.format`, CSV by default)
+ * and posts validated rows to `port` in chunks of
+ * `chunkSize`, waiting for the main thread to acknowledge each chunk
+ * before reading further so memory stays bounded.
+ * @param {Object} param0 - Worker data containing filePath, port, chunkSize and parseOptions
+ * @returns {Promise<Object>} - Parsing summary
  */
-module.exports = async function ({ csvString }) {
-  // Parse CSV
-  const rows = await parseCSV(csvString);
+module.exports = async function ({
+  filePath,
+  port,
+  chunkSize = 1000,
+  parseOptions,
+}) {
+  let validatedRows = [];
+  let validationErrors = [];
+  let totalParsed = 0;
 
-  // Validate all rows and separate valid/invalid
-  const validatedRows = [];
-  const validationErrors = [];
+  const sendChunk = async () => {
+    port.postMessage({ validatedRows, validationErrors, totalParsed });
+    validatedRows = [];
+    validationErrors = [];
+    return waitForAck(port);
+  };
 
-  for (let i = 0; i < rows.length; i++) {
-    const row = rows[i];
-    const rowNumber = i + 2; // +2 because row 1 is header, and we're 0-indexed
+  const context = {
+    aliases: buildAliasLookup(parseOptions && parseOptions.headerAliases),
+    normalizeNumber: createNumberNormalizer(
+      parseOptions && parseOptions.numberLocale
+    ),
+  };
 
-    const validation = validateRow(row, rowNumber);
+  for await (const { rowNumber, record, code, error, raw } of readRows(
+    filePath,
+    parseOptions
+  )) {
+    totalParsed++;
+
+    const row = record ? normalizeRecord(record, context) : {};
+    // The row as found in the file, for the error report
+    const original = record || { raw };
+    const validation = error
+      ? { valid: false, code, error: `Row ${rowNumber}: ${error}` }
+      : validateRow(row, rowNumber);
 
     if (validation.valid) {
       validatedRows.push({
         rowNumber,
         data: row,
+        record: original,
       });
     } else {
       validationErrors.push({
         row: rowNumber,
         data: row,
+        record: original,
+        code: validation.code,
         error: validation.error,
       });
     }
+
+    if (validatedRows.length + validationErrors.length >= chunkSize) {
+      // Leaving the loop destroys the file stream
+      if (!(await sendChunk())) break;
+    }
   }
 
-  return {
-    validatedRows,
-    validationErrors,
-    totalParsed: rows.length,
-  };
+  if (validatedRows.length + validationErrors.length > 0) {
+    await sendChunk();
+  }
+
+  port.close();
+
+  return { totalParsed };
 };
@@ -0,0 +1,206 @@
+/**
+ * Streaming row readers for each supported upload format.
+ * Every reader yields { rowNumber, record } with the record keyed by the
+ * file's own headers, or { rowNumber, code, error, raw } for a row that cannot
+ * be read, with raw holding its text as found in the file.
+ * Header mapping, value normalization and validation are left to the worker.
+ */
+const fs = require('fs');
+const readline = require('readline');
+const { Transform } = require('stream');
+const csv = require('csv-parser');
+const ExcelJS = require('exceljs');
+const StreamArray = require('stream-json/streamers/StreamArray');
+const { IMPORT_ERROR_CODES } = require('../utils/importErrors');
+
+/**
+ * Create a stream decoding bytes in the given encoding to UTF-8 text
+ * @param {string} encoding - WHATWG encoding label
+ * @returns {Transform} - Decoding stream
+ */
+function createDecoder(encoding) {
+  const decoder = new TextDecoder(encoding);
+  return new Transform({
+    transform(chunk, enc, callback) {
+      callback(null, decoder.decode(chunk, { stream: true }));
+    },
+    flush(callback) {
+      callback(null, decoder.decode());
+    },
+  });
+}
+
+/**
+ * Open a text file, decoding it unless it is already UTF-8
+ * @param {string} filePath - Path to the file
+ * @param {string} [encoding] - WHATWG encoding label
+ * @returns {Stream} - Readable stream
+ */
+function openText(filePath, encoding) {
+  const input = fs.createReadStream(filePath);
+  if (encoding && !/^utf-?8$/i.test(encoding)) {
+    return input.pipe(createDecoder(encoding));
+  }
+  return input;
+}
+
+/**
+ * Read rows from a CSV file; row 1 is the header
+ * @param {string} filePath - Path to the file
+ * @param {Object} options - { delimiter, quote, encoding }
+ */
+async function* readCSV(filePath, { delimiter, quote, encoding }) {
+  const rows = openText(filePath, encoding).pipe(
+    csv({
+      separator: delimiter || ',',
+      quote: quote || '"',
+    })
+  );
+
+  let rowNumber = 1;
+  for await (const record of rows) {
+    rowNumber++;
+    yield { rowNumber, record };
+  }
+}
+
+/**
+ * Read rows from a JSON array of objects; row N is the Nth element
+ * @param {string} filePath - Path to the file
+ * @param {Object} options - { encoding }
+ */
+async function* readJSON(filePath, { encoding }) {
+  const items = openText(filePath, encoding).pipe(StreamArray.withParser());
+
+  for await (const { key, value } of items) {
+    const rowNumber = key + 1;
+    if (!value || typeof value !== 'object' || Array.isArray(value)) {
+      yield {
+        rowNumber,
+        code: IMPORT_ERROR_CODES.INVALID_RECORD,
+        error: 'Expected an object',
+        raw: JSON.stringify(value),
+      };
+    } else {
+      yield { rowNumber, record: value };
+    }
+  }
+}
+
+/**
+ * Read rows from newline-delimited JSON; row N is line N, blank lines are skipped
+ * @param {string} filePath - Path to the file
+ * @param {Object} options - { encoding }
+ */
+async function* readNDJSON(filePath, { encoding }) {
+  const lines = readline.createInterface({
+    input: openText(filePath, encoding),
+    crlfDelay: Infinity,
+  });
+
+  let rowNumber = 0;
+  for await (const line of lines) {
+    rowNumber++;
+    if (!line.trim()) continue;
+
+    let value;
+    try {
+      value = JSON.parse(line);
+    } catch (error) {
+      yield {
+        rowNumber,
+        code: IMPORT_ERROR_CODES.INVALID_JSON,
+        error: 'Invalid JSON',
+        raw: line,
+      };
+      continue;
+    }
+
+    if (!value || typeof value !== 'object' || Array.isArray(value)) {
+      yield {
+        rowNumber,
+        code: IMPORT_ERROR_CODES.INVALID_RECORD,
+        error: 'Expected an object',
+        raw: line,
+      };
+    } else {
+      yield { rowNumber, record: value };
+    }
+  }
+}
+
+/**
+ * Plain value of a spreadsheet cell (rich text, formulas and links resolved)
+ * @param {*} value - ExcelJS cell value
+ * @returns {*} - String, number, boolean, Date or null
+ */
+function cellValue(value) {
+  if (value === null || value === undefined) return null;
+  if (typeof value !== 'object' || value instanceof Date) return value;
+  if (value.richText) return value.richText.map((part) => part.text).join('');
+  if ('result' in value) return cellValue(value.result);
+  if ('text' in value) return cellValue(value.text);
+  if (value.error) return null;
+  return String(value);
+}
+
+/**
+ * Read rows from an XLSX workbook; the first row of the sheet is the header.
+ * Row numbers are the spreadsheet's own, and empty rows are skipped.
+ * @param {string} filePath - Path to the file
+ * @param {Object} options - { sheet } - worksheet name, the first sheet if not given
+ */
+async function* readXLSX(filePath, { sheet }) {
+  const workbook = new ExcelJS.stream.xlsx.WorkbookReader(filePath, {
+    sharedStrings: 'cache',
+    hyperlinks: 'cache',
+    styles: 'ignore',
+    worksheets: 'emit',
+  });
+
+  for await (const worksheet of workbook) {
+    if (sheet && worksheet.name !== sheet) continue;
+
+    let headers = null;
+    for await (const row of worksheet) {
+      // row.values is 1-based; index 0 is always empty
+      const values = row.values.slice(1).map(cellValue);
+      if (values.every((v) => v === null || v === '')) continue;
+
+      if (!headers) {
+        headers = values.map((v) => (v === null ? '' : String(v)));
+        continue;
+      }
+
+      const record = {};
+      headers.forEach((header, i) => {
+        if (header) record[header] = values[i] === undefined ? null : values[i];
+      });
+      yield { rowNumber: row.number, record };
+    }
+    return;
+  }
+
+  if (sheet) throw new Error(`Worksheet "${sheet}" not found in workbook.`);
+}
+
+const READERS = {
+  csv: readCSV,
+  xlsx: readXLSX,
+  json: readJSON,
+  ndjson: readNDJSON,
+};
+
+/**
+ * Read the rows of an uploaded file in its format
+ * @param {string} filePath - Path to the file
+ * @param {Object} [options] - { format, sheet, delimiter, quote, encoding }
+ * @returns {AsyncGenerator<Object>} - { rowNumber, record } or { rowNumber, code, error, raw }
+ */
+function readRows(filePath, options = {}) {
+  const reader = READERS[options.format || 'csv'];
+  if (!reader) throw new Error(`Unsupported file format: ${options.format}`);
+  return reader(filePath, options);
+}
+
+module.exports = { readRows };
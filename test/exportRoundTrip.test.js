@@ -0,0 +1,126 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { MessageChannel } = require('worker_threads');
+const exportService = require('../src/services/exportService');
+const parseFile = require('../src/workers/csvParserWorker');
+
+// Import columns of an inventory export; the rest are ignored on upload
+const IMPORT_COLUMNS = [
+  'store_name',
+  'store_address',
+  'book_name',
+  'author_name',
+  'price',
+  'copies',
+  'pages',
+  'isbn',
+  'publisher',
+  'publication_year',
+  'language',
+  'genre',
+];
+
+// Inventory as the export reads it, with text a spreadsheet would run as a
+// formula, text already quoted before such characters, and CSV specials
+const INVENTORY = [
+  {
+    store_name: '=North, Books',
+    store_address: '@1 Main St',
+    book_name: '-Minus, "quoted"',
+    author_name: '+Ann; Bob (editor)',
+    price: '12.50',
+    copies: 3,
+    pages: 300,
+    isbn: '9780306406157',
+    publisher: "'=Quoted Press",
+    publication_year: 1999,
+    language: 'en',
+    genre: "It's\nfiction",
+    book_id: 1,
+    value: '37.50',
+    sold_out: false,
+    added_at: new Date('2024-05-01T10:00:00Z'),
+    updated_at: new Date('2024-05-02T10:00:00Z'),
+  },
+  {
+    store_name: '=North, Books',
+    store_address: null,
+    book_name: 'Plain',
+    author_name: 'Carl',
+    price: '0.00',
+    copies: 0,
+    pages: null,
+    isbn: null,
+    publisher: null,
+    publication_year: null,
+    language: null,
+    genre: null,
+    book_id: 2,
+    value: '0.00',
+    sold_out: true,
+    added_at: new Date('2024-05-01T10:00:00Z'),
+    updated_at: new Date('2024-05-01T10:00:00Z'),
+  },
+];
+
+/**
+ * Write a store's inventory export to a temporary file
+ * @param {string} dir - Directory to write to
+ * @returns {Promise<string>} - Path to the CSV file
+ */
+const writeExport = async (dir) => {
+  const filePath = path.join(dir, 'inventory.csv');
+  let csv = '';
+  for await (const lines of exportService.inventoryCsvLines(1)) {
+    csv += lines;
+  }
+  fs.writeFileSync(filePath, csv);
+  return filePath;
+};
+
+/**
+ * Read a file through the parser worker, acknowledging every chunk
+ * @param {string} filePath - Path to the file
+ * @returns {Promise<Object>} - { validatedRows, validationErrors }
+ */
+const readBack = async (filePath) => {
+  const { port1, port2 } = new MessageChannel();
+  const validatedRows = [];
+  const validationErrors = [];
+  port1.on('message', (chunk) => {
+    validatedRows.push(...chunk.validatedRows);
+    validationErrors.push(...chunk.validationErrors);
+    port1.postMessage('ack');
+  });
+
+  await parseFile({ filePath, port: port2 });
+  port1.close();
+  return { validatedRows, validationErrors };
+};
+
+test('an inventory CSV export imports back to the same values', async (t) => {
+  t.mock.method(exportService, 'inventoryRows', async function* () {
+    yield INVENTORY;
+  });
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'export-round-trip-'));
+  t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+
+  const { validatedRows, validationErrors } = await readBack(
+    await writeExport(dir)
+  );
+
+  assert.deepStrictEqual(validationErrors, []);
+  assert.deepStrictEqual(
+    validatedRows.map(({ data }) =>
+      IMPORT_COLUMNS.map((column) => data[column])
+    ),
+    INVENTORY.map((row) =>
+      IMPORT_COLUMNS.map((column) =>
+        row[column] === null ? '' : String(row[column])
+      )
+    )
+  );
+});